@@ -0,0 +1,375 @@
+/**
+ * ========================================
+ * EcoTrack - Emission Factor Data
+ * Shared by the browser app (script.js) and the reference server
+ * ========================================
+ */
+
+// ============================
+// EMISSION FACTOR DATA
+// ============================
+
+/**
+ * Transport factors in kg CO2e per km. Vehicle-basis modes are per vehicle
+ * km and get split across passengers; passenger-basis modes are already
+ * per passenger km. Combustion modes name the fuel in VEHICLE_FUEL_FACTORS
+ * used for trips entered in litres.
+ */
+const TRANSPORT_MODES = {
+    petrol_car: {
+        label: 'Petrol car',
+        basis: 'vehicle',
+        fuel: 'petrol',
+        factors: { small: 0.14308, medium: 0.17474, large: 0.26828, average: 0.16272 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    diesel_car: {
+        label: 'Diesel car',
+        basis: 'vehicle',
+        fuel: 'diesel',
+        factors: { small: 0.13721, medium: 0.16637, large: 0.20419, average: 0.16984 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    hybrid_car: {
+        label: 'Hybrid car',
+        basis: 'vehicle',
+        fuel: 'petrol',
+        factors: { small: 0.10275, medium: 0.10698, large: 0.14581, average: 0.11558 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    electric_car: {
+        label: 'Electric car',
+        basis: 'vehicle',
+        factors: { small: 0.04678, medium: 0.05195, large: 0.05656, average: 0.04942 },
+        source: 'UK DESNZ GHG Conversion Factors (UK grid)',
+        year: 2023
+    },
+    motorbike: {
+        label: 'Motorbike',
+        basis: 'vehicle',
+        fuel: 'petrol',
+        factors: { small: 0.08306, medium: 0.10090, large: 0.13245, average: 0.11355 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    taxi: {
+        label: 'Taxi',
+        basis: 'vehicle',
+        factors: { average: 0.20826 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    bus: {
+        label: 'Local bus',
+        basis: 'passenger',
+        factors: { average: 0.10215 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    coach: {
+        label: 'Coach',
+        basis: 'passenger',
+        factors: { average: 0.02733 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    rail: {
+        label: 'National rail',
+        basis: 'passenger',
+        factors: { average: 0.03549 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    metro: {
+        label: 'Metro / underground',
+        basis: 'passenger',
+        factors: { average: 0.02780 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    ferry: {
+        label: 'Ferry (foot passenger)',
+        basis: 'passenger',
+        factors: { average: 0.01874 },
+        source: 'UK DESNZ GHG Conversion Factors',
+        year: 2023
+    },
+    bicycle: {
+        label: 'Bicycle',
+        basis: 'passenger',
+        factors: { average: 0 },
+        source: 'No direct emissions',
+        year: 2023
+    },
+    walk: {
+        label: 'Walking',
+        basis: 'passenger',
+        factors: { average: 0 },
+        source: 'No direct emissions',
+        year: 2023
+    }
+};
+
+const VEHICLE_SIZE_LABELS = {
+    small: 'Small',
+    medium: 'Medium',
+    large: 'Large / SUV',
+    average: 'Average / unknown'
+};
+
+/**
+ * Road fuel factors in kg CO2e per litre (average biofuel blend), for trips
+ * entered as litres of fuel rather than distance
+ */
+const VEHICLE_FUEL_FACTORS = {
+    petrol: { label: 'Petrol', factor: 2.16185, source: 'UK DESNZ GHG Conversion Factors', year: 2023 },
+    diesel: { label: 'Diesel', factor: 2.51279, source: 'UK DESNZ GHG Conversion Factors', year: 2023 }
+};
+
+/**
+ * Combustion factors in kg CO2e per kWh (gross calorific value) for energy
+ * entered in fuel units, which the electricity grid factor doesn't cover
+ */
+const FUEL_FACTORS = {
+    natural_gas: { label: 'Natural gas', factor: 0.18293, source: 'UK DESNZ GHG Conversion Factors', year: 2023 },
+    heating_oil: { label: 'Heating oil (burning oil)', factor: 0.24677, source: 'UK DESNZ GHG Conversion Factors', year: 2023 }
+};
+
+/**
+ * Food catalogue. "kg" items carry kg CO2e per kg of product with a typical
+ * portion in grams; "serving" items carry kg CO2e per serving.
+ */
+const FOOD_GROUPS = {
+    beef: 'Beef',
+    lamb: 'Lamb',
+    pork: 'Pork',
+    poultry: 'Poultry',
+    fish: 'Fish & seafood',
+    dairy: 'Dairy',
+    eggs: 'Eggs',
+    grains: 'Grains',
+    legumes: 'Legumes & nuts',
+    vegetables: 'Vegetables & fruit',
+    drinks: 'Drinks'
+};
+
+const FOOD_CATALOGUE = {
+    beef_steak: { label: 'Beef steak (beef herd)', group: 'beef', per: 'kg', factor: 99.48, portion: 200 },
+    beef_mince: { label: 'Beef mince (dairy herd)', group: 'beef', per: 'kg', factor: 33.30, portion: 125 },
+    lamb: { label: 'Lamb & mutton', group: 'lamb', per: 'kg', factor: 39.72, portion: 150 },
+    pork: { label: 'Pork', group: 'pork', per: 'kg', factor: 12.31, portion: 150 },
+    chicken: { label: 'Chicken', group: 'poultry', per: 'kg', factor: 9.87, portion: 150 },
+    fish_farmed: { label: 'Fish (farmed)', group: 'fish', per: 'kg', factor: 13.63, portion: 140 },
+    prawns: { label: 'Prawns (farmed)', group: 'fish', per: 'kg', factor: 26.87, portion: 100 },
+    cheese: { label: 'Cheese', group: 'dairy', per: 'kg', factor: 23.88, portion: 40 },
+    milk: { label: 'Milk', group: 'dairy', per: 'kg', factor: 3.15, portion: 250 },
+    eggs: { label: 'Eggs', group: 'eggs', per: 'kg', factor: 4.67, portion: 120 },
+    rice: { label: 'Rice', group: 'grains', per: 'kg', factor: 4.45, portion: 75 },
+    bread: { label: 'Bread (wheat & rye)', group: 'grains', per: 'kg', factor: 1.57, portion: 80 },
+    oats: { label: 'Oatmeal', group: 'grains', per: 'kg', factor: 2.48, portion: 50 },
+    maize: { label: 'Maize', group: 'grains', per: 'kg', factor: 1.70, portion: 75 },
+    tofu: { label: 'Tofu', group: 'legumes', per: 'kg', factor: 3.16, portion: 150 },
+    peas: { label: 'Peas', group: 'legumes', per: 'kg', factor: 0.98, portion: 80 },
+    pulses: { label: 'Beans & lentils', group: 'legumes', per: 'kg', factor: 1.79, portion: 80 },
+    peanuts: { label: 'Peanuts', group: 'legumes', per: 'kg', factor: 3.23, portion: 30 },
+    nuts: { label: 'Tree nuts', group: 'legumes', per: 'kg', factor: 0.43, portion: 30 },
+    potatoes: { label: 'Potatoes', group: 'vegetables', per: 'kg', factor: 0.46, portion: 200 },
+    tomatoes: { label: 'Tomatoes', group: 'vegetables', per: 'kg', factor: 2.09, portion: 80 },
+    root_vegetables: { label: 'Root vegetables', group: 'vegetables', per: 'kg', factor: 0.43, portion: 80 },
+    brassicas: { label: 'Broccoli & cabbage', group: 'vegetables', per: 'kg', factor: 0.51, portion: 80 },
+    onions: { label: 'Onions & leeks', group: 'vegetables', per: 'kg', factor: 0.50, portion: 50 },
+    bananas: { label: 'Bananas', group: 'vegetables', per: 'kg', factor: 0.86, portion: 120 },
+    apples: { label: 'Apples', group: 'vegetables', per: 'kg', factor: 0.43, portion: 150 },
+    citrus: { label: 'Citrus fruit', group: 'vegetables', per: 'kg', factor: 0.39, portion: 150 },
+    soy_milk: { label: 'Soy milk', group: 'drinks', per: 'kg', factor: 0.98, portion: 250 },
+    coffee: { label: 'Coffee (cup)', group: 'drinks', per: 'serving', factor: 0.29 },   // ~10 g beans at 28.53 kg/kg
+    wine: { label: 'Wine (175 ml glass)', group: 'drinks', per: 'serving', factor: 0.31 }   // 1.79 kg/kg
+};
+
+const FOOD_SOURCE = { source: 'Poore & Nemecek, Science', year: 2018 };
+
+/**
+ * Spend-based (environmentally extended input-output) factors in kg CO2e per
+ * US dollar at purchaser price, with an average per-item factor for people
+ * who count items instead. perItem is null where counting items is meaningless.
+ */
+const SPEND_FACTORS = {
+    general: { label: 'General merchandise', perUSD: 0.30, perItem: 5.0 },
+    electronics: { label: 'Electronics', perUSD: 0.28, perItem: 60 },
+    clothing: { label: 'Clothing', perUSD: 0.35, perItem: 15 },
+    footwear: { label: 'Footwear', perUSD: 0.31, perItem: 14 },
+    furniture: { label: 'Furniture', perUSD: 0.39, perItem: 90 },
+    household: { label: 'Household goods & appliances', perUSD: 0.34, perItem: 12 },
+    personal_care: { label: 'Cosmetics & personal care', perUSD: 0.42, perItem: 2 },
+    books: { label: 'Books & paper', perUSD: 0.25, perItem: 2.5 },
+    toys_sports: { label: 'Toys & sporting goods', perUSD: 0.29, perItem: 6 },
+    restaurants: { label: 'Restaurants & takeaway', perUSD: 0.31, perItem: null },
+    services: { label: 'Services (repairs, insurance, finance)', perUSD: 0.14, perItem: null },
+    telecom: { label: 'Phone & internet services', perUSD: 0.10, perItem: null },
+    healthcare: { label: 'Healthcare', perUSD: 0.16, perItem: null }
+};
+
+const SPEND_FACTOR_SOURCE = { source: 'US EPA Supply Chain GHG Emission Factors (USEEIO v1.2)', year: 2022 };
+
+/**
+ * Exchange rates as units of each currency per US dollar
+ */
+const CURRENCY_RATES = {
+    asOf: '2024-01-02',
+    perUSD: {
+        USD: 1,
+        EUR: 0.91,
+        GBP: 0.79,
+        CAD: 1.33,
+        AUD: 1.47,
+        CHF: 0.85,
+        SEK: 10.10,
+        JPY: 141.9,
+        INR: 83.3,
+        CNY: 7.10,
+        BRL: 4.89
+    }
+};
+
+/**
+ * Electricity grid carbon intensity in kg CO2e per kWh, by country code with
+ * optional sub-regions (keyed "<country>-<region>"). Sub-regions inherit the
+ * country's source unless they name their own.
+ */
+const GRID_INTENSITY = {
+    WORLD: { label: 'World average', factor: 0.481, source: 'Ember Global Electricity Review', year: 2023 },
+    AR: { label: 'Argentina', factor: 0.344, source: 'Ember Electricity Data Explorer', year: 2023 },
+    AU: {
+        label: 'Australia',
+        factor: 0.549,
+        source: 'Ember Electricity Data Explorer',
+        year: 2023,
+        regions: {
+            'AU-NSW': { label: 'New South Wales & ACT', factor: 0.68, source: 'Australian National Greenhouse Accounts Factors' },
+            'AU-VIC': { label: 'Victoria', factor: 0.79, source: 'Australian National Greenhouse Accounts Factors' },
+            'AU-QLD': { label: 'Queensland', factor: 0.73, source: 'Australian National Greenhouse Accounts Factors' },
+            'AU-SA': { label: 'South Australia', factor: 0.25, source: 'Australian National Greenhouse Accounts Factors' },
+            'AU-WA': { label: 'Western Australia (SWIS)', factor: 0.51, source: 'Australian National Greenhouse Accounts Factors' },
+            'AU-TAS': { label: 'Tasmania', factor: 0.15, source: 'Australian National Greenhouse Accounts Factors' }
+        }
+    },
+    AT: { label: 'Austria', factor: 0.110, source: 'Ember Electricity Data Explorer', year: 2023 },
+    BE: { label: 'Belgium', factor: 0.144, source: 'Ember Electricity Data Explorer', year: 2023 },
+    BR: { label: 'Brazil', factor: 0.098, source: 'Ember Electricity Data Explorer', year: 2023 },
+    CA: {
+        label: 'Canada',
+        factor: 0.170,
+        source: 'Ember Electricity Data Explorer',
+        year: 2023,
+        regions: {
+            'CA-AB': { label: 'Alberta', factor: 0.540, source: 'Canada National Inventory Report' },
+            'CA-BC': { label: 'British Columbia', factor: 0.013, source: 'Canada National Inventory Report' },
+            'CA-ON': { label: 'Ontario', factor: 0.030, source: 'Canada National Inventory Report' },
+            'CA-QC': { label: 'Quebec', factor: 0.002, source: 'Canada National Inventory Report' },
+            'CA-SK': { label: 'Saskatchewan', factor: 0.650, source: 'Canada National Inventory Report' }
+        }
+    },
+    CL: { label: 'Chile', factor: 0.291, source: 'Ember Electricity Data Explorer', year: 2023 },
+    CN: { label: 'China', factor: 0.582, source: 'Ember Electricity Data Explorer', year: 2023 },
+    DK: { label: 'Denmark', factor: 0.151, source: 'Ember Electricity Data Explorer', year: 2023 },
+    FI: { label: 'Finland', factor: 0.079, source: 'Ember Electricity Data Explorer', year: 2023 },
+    FR: { label: 'France', factor: 0.056, source: 'Ember Electricity Data Explorer', year: 2023 },
+    DE: { label: 'Germany', factor: 0.381, source: 'Ember Electricity Data Explorer', year: 2023 },
+    IN: { label: 'India', factor: 0.713, source: 'Ember Electricity Data Explorer', year: 2023 },
+    ID: { label: 'Indonesia', factor: 0.676, source: 'Ember Electricity Data Explorer', year: 2023 },
+    IE: { label: 'Ireland', factor: 0.282, source: 'Ember Electricity Data Explorer', year: 2023 },
+    IT: { label: 'Italy', factor: 0.288, source: 'Ember Electricity Data Explorer', year: 2023 },
+    JP: { label: 'Japan', factor: 0.485, source: 'Ember Electricity Data Explorer', year: 2023 },
+    MX: { label: 'Mexico', factor: 0.423, source: 'Ember Electricity Data Explorer', year: 2023 },
+    NL: { label: 'Netherlands', factor: 0.268, source: 'Ember Electricity Data Explorer', year: 2023 },
+    NZ: { label: 'New Zealand', factor: 0.112, source: 'Ember Electricity Data Explorer', year: 2023 },
+    NO: { label: 'Norway', factor: 0.030, source: 'Ember Electricity Data Explorer', year: 2023 },
+    PL: { label: 'Poland', factor: 0.662, source: 'Ember Electricity Data Explorer', year: 2023 },
+    PT: { label: 'Portugal', factor: 0.165, source: 'Ember Electricity Data Explorer', year: 2023 },
+    ZA: { label: 'South Africa', factor: 0.709, source: 'Ember Electricity Data Explorer', year: 2023 },
+    KR: { label: 'South Korea', factor: 0.432, source: 'Ember Electricity Data Explorer', year: 2023 },
+    ES: { label: 'Spain', factor: 0.174, source: 'Ember Electricity Data Explorer', year: 2023 },
+    SE: { label: 'Sweden', factor: 0.041, source: 'Ember Electricity Data Explorer', year: 2023 },
+    CH: { label: 'Switzerland', factor: 0.046, source: 'Ember Electricity Data Explorer', year: 2023 },
+    GB: { label: 'United Kingdom', factor: 0.207, source: 'UK DESNZ GHG Conversion Factors', year: 2023 },
+    US: {
+        label: 'United States',
+        factor: 0.369,
+        source: 'Ember Electricity Data Explorer',
+        year: 2023,
+        regions: {
+            'US-CA': { label: 'California', factor: 0.197, source: 'US EPA eGRID', year: 2022 },
+            'US-FL': { label: 'Florida', factor: 0.380, source: 'US EPA eGRID', year: 2022 },
+            'US-NY': { label: 'New York', factor: 0.188, source: 'US EPA eGRID', year: 2022 },
+            'US-TX': { label: 'Texas', factor: 0.370, source: 'US EPA eGRID', year: 2022 },
+            'US-WA': { label: 'Washington', factor: 0.090, source: 'US EPA eGRID', year: 2022 },
+            'US-WV': { label: 'West Virginia', factor: 0.850, source: 'US EPA eGRID', year: 2022 }
+        }
+    }
+};
+
+/**
+ * Everyday equivalents for a quantity of CO2e: how much of each unit emits
+ * (or, for trees, absorbs) one unit's worth. `kgPerUnit` is kg CO2e per unit.
+ */
+const EMISSION_EQUIVALENCIES = {
+    car_km: {
+        singular: 'km driven in an average car',
+        plural: 'km driven in an average car',
+        kgPerUnit: 0.16844,
+        source: 'UK DESNZ GHG Conversion Factors (average car, unknown fuel)',
+        year: 2023
+    },
+    smartphone_charges: {
+        singular: 'smartphone charge',
+        plural: 'smartphone charges',
+        kgPerUnit: 0.0124,
+        source: 'US EPA Greenhouse Gas Equivalencies Calculator',
+        year: 2023
+    },
+    household_days: {
+        singular: 'day of an average household\'s electricity',
+        plural: 'days of an average household\'s electricity',
+        // 5.139 t CO2 per US home per year / 365
+        kgPerUnit: 14.08,
+        source: 'US EPA Greenhouse Gas Equivalencies Calculator',
+        year: 2023
+    },
+    tree_years: {
+        singular: 'tree-year of absorption',
+        plural: 'tree-years of absorption',
+        // One mature tree absorbs about 48 lb (21.77 kg) of CO2 a year
+        kgPerUnit: 21.77,
+        source: 'Arbor Day Foundation',
+        year: 2021
+    },
+    flights: {
+        singular: 'return short-haul flight',
+        plural: 'return short-haul flights',
+        // 2 x 1,140 km (e.g. London-Barcelona) economy, incl. radiative forcing at 0.15102 kg/pkm
+        kgPerUnit: 344,
+        source: 'UK DESNZ GHG Conversion Factors (short-haul economy)',
+        year: 2023
+    }
+};
+
+// Node (server/server.js) loads the same tables; browsers just see the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRANSPORT_MODES,
+        VEHICLE_SIZE_LABELS,
+        VEHICLE_FUEL_FACTORS,
+        FUEL_FACTORS,
+        FOOD_GROUPS,
+        FOOD_CATALOGUE,
+        FOOD_SOURCE,
+        SPEND_FACTORS,
+        SPEND_FACTOR_SOURCE,
+        CURRENCY_RATES,
+        GRID_INTENSITY,
+        EMISSION_EQUIVALENCIES
+    };
+}
@@ -0,0 +1,415 @@
+/**
+ * ========================================
+ * EcoTrack - Message Catalogues
+ * Interface copy per language, looked up by I18n.t() in script.js
+ * ========================================
+ */
+
+// ============================
+// MESSAGE CATALOGUES
+// ============================
+
+/**
+ * Catalogues keyed by language code. Messages use dotted keys and {name}
+ * placeholders; a value may also be a list (typing lines, plan features).
+ * English is the fallback for any key a catalogue leaves out. Data labels
+ * that live with their data (units, categories, emission factors) only need
+ * entries in non-English catalogues.
+ */
+const LOCALES = {
+    en: {
+        name: 'English',
+        messages: {
+            'nav.home': 'Home',
+            'nav.features': 'Features',
+            'nav.demo': 'Demo',
+            'nav.analytics': 'Analytics',
+            'nav.teams': 'Teams',
+            'nav.pricing': 'Pricing',
+            'header.startTrial': 'Start Free Trial',
+            'header.signOut': 'Sign Out',
+            'header.greeting': 'Hi, {name}',
+
+            'settings.language': 'Language',
+            'settings.units': 'Units',
+            'settings.metric': 'Metric',
+            'settings.imperial': 'Imperial',
+
+            'pwa.install': 'Install app',
+            'pwa.updateAvailable': 'A new version of EcoTrack is available.',
+            'pwa.reload': 'Reload',
+            'pwa.later': 'Later',
+
+            'typing.lines': [
+                'Track your carbon footprint with AI',
+                'Your Green Journey, Powered by AI',
+                'AI for a Cleaner, Greener World',
+                'Measure Today, Save Tomorrow'
+            ],
+            'hero.description': 'Transform your daily activities into actionable climate insights. EcoTrack uses advanced AI to help individuals and businesses achieve their sustainability goals through personalized recommendations and real-time tracking.',
+            'hero.getStarted': 'Get Started Free',
+            'hero.watchDemo': 'Watch Demo',
+
+            'sections.features': 'Powerful Features for Sustainable Living',
+            'sections.demo': 'Try Our Carbon Calculator',
+            'sections.demoIntro': 'See how your daily activities impact the environment in real-time',
+            'sections.analytics': 'Your Emissions Analytics',
+            'sections.teams': 'Team Challenges',
+            'sections.pricing': 'Choose Your Plan',
+
+            'features.insights.title': 'AI-Powered Insights',
+            'features.insights.description': 'Get personalized recommendations based on your lifestyle patterns and carbon footprint analysis using advanced machine learning algorithms.',
+            'features.analytics.title': 'Real-time Analytics',
+            'features.analytics.description': 'Track your progress with beautiful visualizations and detailed reports that show your environmental impact across different activities.',
+            'features.teams.title': 'Team Collaboration',
+            'features.teams.description': 'Perfect for businesses and organizations looking to achieve sustainability goals together with team challenges and leaderboards.',
+            'features.mobile.title': 'Mobile App',
+            'features.mobile.description': 'Log activities on-the-go with our intuitive mobile app that makes carbon tracking as easy as taking a photo.',
+            'features.marketplace.title': 'Eco-friendly Marketplace',
+            'features.marketplace.description': 'Discover and purchase sustainable products from our curated marketplace of eco-friendly brands and partners.',
+            'features.offsets.title': 'Carbon Offsetting',
+            'features.offsets.description': 'Automatically offset your carbon footprint through verified projects including reforestation and renewable energy initiatives.',
+
+            'pricing.free': 'Free',
+            'pricing.perMonth': '/month',
+            'pricing.current': 'Current Plan',
+            'pricing.switch': 'Switch to {plan}',
+            'pricing.personal.description': 'Perfect for individuals starting their eco-journey',
+            'pricing.personal.features': [
+                'Basic carbon tracking',
+                '3 activity categories',
+                'Monthly reports',
+                'Mobile app access'
+            ],
+            'pricing.personal.button': 'Get Started',
+            'pricing.pro.description': 'Advanced features for serious eco-warriors',
+            'pricing.pro.features': [
+                'All four activity categories',
+                'AI recommendations',
+                'Real-time analytics',
+                'Carbon offsetting',
+                'Priority support'
+            ],
+            'pricing.pro.button': 'Choose Pro',
+            'pricing.business.description': 'Complete solution for organizations',
+            'pricing.business.features': [
+                'Team management',
+                'Custom reporting',
+                'API access',
+                'White-label options',
+                'Dedicated support'
+            ],
+            'pricing.business.button': 'Contact Sales',
+
+            'calculator.day': 'Day',
+            'calculator.addActivity': 'Add activity',
+            'calculator.calculate': 'Calculate Impact',
+            'calculator.selectActivity': 'Select Activity',
+            'calculator.activityType': 'Activity type',
+            'calculator.amount': 'Amount',
+            'calculator.unit': 'Unit',
+            'calculator.row': 'Activity {number}',
+            'calculator.removeRow': 'Remove {label}',
+
+            'result.kg': 'kg CO₂ equivalent',
+            'result.kgMany': 'kg CO₂ equivalent across {count} activities',
+            'result.factor': 'Factor: {note}',
+            'result.topSuggestion': 'Top suggestion: {title} — about {kg} kg CO₂e/month saved. {reason}',
+
+            'tips.transport': 'Try walking, cycling, or using public transport to reduce emissions!',
+            'tips.energy': 'Switch to LED bulbs and unplug devices when not in use.',
+            'tips.food': 'Consider plant-based meals - they have a lower carbon footprint!',
+            'tips.shopping': 'Buy only what you need and choose sustainable brands.',
+            'tips.largestIngredient': '{food} was the largest contributor to this meal ({kg} kg CO₂e, {share}% of the total).',
+
+            'errors.chooseType': 'Choose an activity type.',
+            'errors.amountPositive': 'Enter an amount greater than zero.',
+            'errors.planCategory': '{category} tracking is part of the {plan} plan. Upgrade to log it.',
+            'errors.paidPlan': 'paid',
+            'errors.unitIncompatible': '{unit} can\'t be used for {category}. Choose one of: {allowed}.',
+            'errors.fuelMode': 'Litres of fuel only apply to these modes: {modes}. Enter other trips as a distance.',
+            'errors.spendOnly': '{category} can only be entered as an amount spent.',
+            'errors.chooseDate': 'Please choose the day these activities happened.',
+            'errors.futureDate': 'Activities can\'t be logged for a future date.',
+            'errors.fixOne': 'Please fix the highlighted activity — nothing was logged.',
+            'errors.fixMany': 'Please fix the {count} highlighted activities — nothing was logged.',
+            'errors.notSaved': 'Your result was calculated but could not be saved.',
+
+            'budget.status.on-track': 'On track · {left} kg left',
+            'budget.status.ahead': '{ahead} kg ahead of pace · {left} kg left',
+            'budget.status.over': 'Over by {over} kg',
+            'budget.used.daily': '{used} of {allowance} kg used this day · {status}',
+            'budget.used.weekly': '{used} of {allowance} kg used this week · {status}',
+            'budget.used.annual': '{used} of {allowance} kg used this year · {status}',
+            'budget.alreadyOver': 'You\'re already over your {period} budget — this adds {kg} kg, {over} kg over in total.',
+            'budget.wouldGoOver': 'Heads up: this puts you {over} kg over your {period} budget.',
+
+            'dashboard.trees': 'tree-years below the average footprint',
+            'dashboard.treesOr': 'tree-years below the average footprint · or {alternative}',
+            'dashboard.treesExplained': 'Sum of how far each past day with {categories} logged came in under {baseline} kg CO₂e (global average per person). 1 tree-year = {kgPerTree} kg CO₂ ({source}, {year})',
+            'dashboard.trend': 'vs last month',
+            'dashboard.trendNoData': 'vs last month (not enough data yet)',
+            'dashboard.budget': '{used} of {allowance} kg {period} budget · {status}',
+            'dashboard.net': 'Net this month: {net} after offsets ({netOfRemovals} counting removals only)',
+
+            'auth.title.signup': 'Create your free account',
+            'auth.title.signin': 'Welcome back',
+            'auth.title.resetRequest': 'Reset your password',
+            'auth.title.reset': 'Choose a new password',
+            'auth.plan': 'Plan: {plan}',
+            'auth.resetCode': 'Development mode: your reset code is {code}. It expires in {minutes} minutes.',
+            'auth.resetSent': 'If an account exists for that email, a reset code is on its way.',
+
+            'report.title': 'EcoTrack Monthly Report',
+            'report.meta': '{month} · {activities} · generated {generated}',
+            'report.activities.one': '{count} activity',
+            'report.activities.other': '{count} activities',
+            'report.thisMonth': 'kg CO₂e this month',
+            'report.noPrevious': 'No data for the previous month to compare against.',
+            'report.change': '{arrow} {change}% vs previous month ({previous} kg CO₂e)',
+            'report.offsets': 'Offsets & net footprint',
+            'report.gross': 'Gross emissions',
+            'report.removals': 'Removal credits retired',
+            'report.avoidance': 'Avoidance credits retired',
+            'report.net': 'Net footprint',
+            'report.byCategory': 'Totals by category',
+            'report.category': 'Category',
+            'report.share': 'Share',
+            'report.topSources': 'Top emission sources',
+            'report.source': 'Source',
+            'report.entries': 'Entries',
+            'report.noActivities': 'No activities logged this month.',
+            'report.tips': 'Tips for next month',
+            'report.noTips': 'Log some activities to get tips.',
+
+            'offsets.avoidanceShare': '{avoidance} of these offsets are avoided emissions: they stopped emissions happening elsewhere but did not take your CO₂ out of the atmosphere. Counting only removals, your net footprint is {net}.',
+            'offsets.notNetZero': 'You have retired more offsets than you emitted, but avoidance credits do not cancel emissions. A "net zero" claim needs removals covering {needed} more.',
+            'offsets.avoidanceCredit': 'Avoidance credit — does not remove CO₂ from the atmosphere.',
+            'offsets.oldVintage': 'Vintage {vintage} is more than {years} years old.',
+            'offsets.duplicateSerial': 'This registry serial appears more than once; a credit can only be retired once.',
+
+            'equivalents.car_miles.one': 'mile driven in an average car',
+            'equivalents.car_miles.other': 'miles driven in an average car'
+        }
+    },
+
+    es: {
+        name: 'Español',
+        messages: {
+            'nav.home': 'Inicio',
+            'nav.features': 'Funciones',
+            'nav.demo': 'Demo',
+            'nav.analytics': 'Análisis',
+            'nav.teams': 'Equipos',
+            'nav.pricing': 'Precios',
+            'header.startTrial': 'Prueba gratis',
+            'header.signOut': 'Cerrar sesión',
+            'header.greeting': 'Hola, {name}',
+
+            'settings.language': 'Idioma',
+            'settings.units': 'Unidades',
+            'settings.metric': 'Métrico',
+            'settings.imperial': 'Imperial',
+
+            'pwa.install': 'Instalar app',
+            'pwa.updateAvailable': 'Hay una nueva versión de EcoTrack disponible.',
+            'pwa.reload': 'Recargar',
+            'pwa.later': 'Más tarde',
+
+            'typing.lines': [
+                'Mide tu huella de carbono con IA',
+                'Tu camino verde, impulsado por IA',
+                'IA para un mundo más limpio y verde',
+                'Mide hoy, ahorra mañana'
+            ],
+            'hero.description': 'Convierte tus actividades diarias en información climática útil. EcoTrack usa IA avanzada para ayudar a personas y empresas a alcanzar sus objetivos de sostenibilidad con recomendaciones personalizadas y seguimiento en tiempo real.',
+            'hero.getStarted': 'Empieza gratis',
+            'hero.watchDemo': 'Ver demo',
+
+            'sections.features': 'Funciones potentes para una vida sostenible',
+            'sections.demo': 'Prueba nuestra calculadora de carbono',
+            'sections.demoIntro': 'Descubre en tiempo real cómo tus actividades diarias afectan al medio ambiente',
+            'sections.analytics': 'Análisis de tus emisiones',
+            'sections.teams': 'Retos de equipo',
+            'sections.pricing': 'Elige tu plan',
+
+            'features.insights.title': 'Información impulsada por IA',
+            'features.insights.description': 'Recibe recomendaciones personalizadas según tus hábitos y el análisis de tu huella de carbono con algoritmos avanzados de aprendizaje automático.',
+            'features.analytics.title': 'Análisis en tiempo real',
+            'features.analytics.description': 'Sigue tu progreso con visualizaciones atractivas e informes detallados que muestran tu impacto ambiental en cada actividad.',
+            'features.teams.title': 'Colaboración en equipo',
+            'features.teams.description': 'Ideal para empresas y organizaciones que quieren alcanzar objetivos de sostenibilidad juntas con retos de equipo y clasificaciones.',
+            'features.mobile.title': 'App móvil',
+            'features.mobile.description': 'Registra actividades sobre la marcha con nuestra app móvil, que hace que medir el carbono sea tan fácil como hacer una foto.',
+            'features.marketplace.title': 'Mercado ecológico',
+            'features.marketplace.description': 'Descubre y compra productos sostenibles en nuestro mercado seleccionado de marcas y socios ecológicos.',
+            'features.offsets.title': 'Compensación de carbono',
+            'features.offsets.description': 'Compensa automáticamente tu huella de carbono con proyectos verificados, como la reforestación y las energías renovables.',
+
+            'pricing.free': 'Gratis',
+            'pricing.perMonth': '/mes',
+            'pricing.current': 'Plan actual',
+            'pricing.switch': 'Cambiar a {plan}',
+            'pricing.personal.description': 'Perfecto para quien empieza su camino ecológico',
+            'pricing.personal.features': [
+                'Seguimiento básico de carbono',
+                '3 categorías de actividad',
+                'Informes mensuales',
+                'Acceso a la app móvil'
+            ],
+            'pricing.personal.button': 'Empezar',
+            'pricing.pro.description': 'Funciones avanzadas para quien va en serio',
+            'pricing.pro.features': [
+                'Las cuatro categorías de actividad',
+                'Recomendaciones con IA',
+                'Análisis en tiempo real',
+                'Compensación de carbono',
+                'Soporte prioritario'
+            ],
+            'pricing.pro.button': 'Elegir Pro',
+            'pricing.business.description': 'Solución completa para organizaciones',
+            'pricing.business.features': [
+                'Gestión de equipos',
+                'Informes personalizados',
+                'Acceso a la API',
+                'Opciones de marca blanca',
+                'Soporte dedicado'
+            ],
+            'pricing.business.button': 'Contactar con ventas',
+
+            'calculator.day': 'Día',
+            'calculator.addActivity': 'Añadir actividad',
+            'calculator.calculate': 'Calcular impacto',
+            'calculator.selectActivity': 'Elige una actividad',
+            'calculator.activityType': 'Tipo de actividad',
+            'calculator.amount': 'Cantidad',
+            'calculator.unit': 'Unidad',
+            'calculator.row': 'Actividad {number}',
+            'calculator.removeRow': 'Quitar {label}',
+
+            'result.kg': 'kg de CO₂ equivalente',
+            'result.kgMany': 'kg de CO₂ equivalente en {count} actividades',
+            'result.factor': 'Factor: {note}',
+            'result.topSuggestion': 'Sugerencia principal: {title} — unos {kg} kg de CO₂e ahorrados al mes. {reason}',
+
+            'tips.transport': '¡Camina, ve en bici o usa el transporte público para reducir emisiones!',
+            'tips.energy': 'Cambia a bombillas LED y desenchufa los aparatos que no uses.',
+            'tips.food': 'Prueba comidas de origen vegetal: ¡tienen una huella de carbono menor!',
+            'tips.shopping': 'Compra solo lo que necesites y elige marcas sostenibles.',
+            'tips.largestIngredient': '{food} fue lo que más contribuyó a esta comida ({kg} kg de CO₂e, el {share}% del total).',
+
+            'errors.chooseType': 'Elige un tipo de actividad.',
+            'errors.amountPositive': 'Introduce una cantidad mayor que cero.',
+            'errors.planCategory': 'El seguimiento de {category} forma parte del plan {plan}. Mejora tu plan para registrarlo.',
+            'errors.paidPlan': 'de pago',
+            'errors.unitIncompatible': '{unit} no se puede usar para {category}. Elige una de estas: {allowed}.',
+            'errors.fuelMode': 'Los litros de combustible solo se aplican a: {modes}. Introduce los demás trayectos como distancia.',
+            'errors.spendOnly': '{category} solo se puede introducir como importe gastado.',
+            'errors.chooseDate': 'Elige el día en que ocurrieron estas actividades.',
+            'errors.futureDate': 'No se pueden registrar actividades en una fecha futura.',
+            'errors.fixOne': 'Corrige la actividad marcada: no se ha registrado nada.',
+            'errors.fixMany': 'Corrige las {count} actividades marcadas: no se ha registrado nada.',
+            'errors.notSaved': 'El resultado se ha calculado, pero no se ha podido guardar.',
+
+            'budget.period.daily': 'diario',
+            'budget.period.weekly': 'semanal',
+            'budget.period.annual': 'anual',
+            'budget.status.on-track': 'Vas bien · quedan {left} kg',
+            'budget.status.ahead': '{ahead} kg por encima del ritmo · quedan {left} kg',
+            'budget.status.over': 'Te has pasado {over} kg',
+            'budget.used.daily': '{used} de {allowance} kg usados hoy · {status}',
+            'budget.used.weekly': '{used} de {allowance} kg usados esta semana · {status}',
+            'budget.used.annual': '{used} de {allowance} kg usados este año · {status}',
+            'budget.alreadyOver': 'Ya has superado tu presupuesto {period}: esto suma {kg} kg y te pasas {over} kg en total.',
+            'budget.wouldGoOver': 'Atención: con esto superas tu presupuesto {period} en {over} kg.',
+
+            'dashboard.trees': 'años-árbol por debajo de la huella media',
+            'dashboard.treesOr': 'años-árbol por debajo de la huella media · o {alternative}',
+            'dashboard.treesExplained': 'Suma de cuánto quedó por debajo de {baseline} kg de CO₂e (media mundial por persona) cada día pasado con {categories} registrados. 1 año-árbol = {kgPerTree} kg de CO₂ ({source}, {year})',
+            'dashboard.trend': 'respecto al mes pasado',
+            'dashboard.trendNoData': 'respecto al mes pasado (aún no hay datos suficientes)',
+            'dashboard.budget': '{used} de {allowance} kg del presupuesto {period} · {status}',
+            'dashboard.net': 'Neto este mes: {net} tras las compensaciones ({netOfRemovals} contando solo absorciones)',
+
+            'auth.title.signup': 'Crea tu cuenta gratuita',
+            'auth.title.signin': 'Bienvenido de nuevo',
+            'auth.title.resetRequest': 'Restablece tu contraseña',
+            'auth.title.reset': 'Elige una contraseña nueva',
+            'auth.plan': 'Plan: {plan}',
+            'auth.resetCode': 'Modo de desarrollo: tu código de restablecimiento es {code}. Caduca en {minutes} minutos.',
+            'auth.resetSent': 'Si existe una cuenta con ese correo, te hemos enviado un código de restablecimiento.',
+
+            'report.title': 'Informe mensual de EcoTrack',
+            'report.meta': '{month} · {activities} · generado el {generated}',
+            'report.activities.one': '{count} actividad',
+            'report.activities.other': '{count} actividades',
+            'report.thisMonth': 'kg de CO₂e este mes',
+            'report.noPrevious': 'No hay datos del mes anterior con los que comparar.',
+            'report.change': '{arrow} {change}% respecto al mes anterior ({previous} kg de CO₂e)',
+            'report.offsets': 'Compensaciones y huella neta',
+            'report.gross': 'Emisiones brutas',
+            'report.removals': 'Créditos de absorción retirados',
+            'report.avoidance': 'Créditos de emisiones evitadas retirados',
+            'report.net': 'Huella neta',
+            'report.byCategory': 'Totales por categoría',
+            'report.category': 'Categoría',
+            'report.share': 'Proporción',
+            'report.topSources': 'Principales fuentes de emisiones',
+            'report.source': 'Fuente',
+            'report.entries': 'Registros',
+            'report.noActivities': 'No se ha registrado ninguna actividad este mes.',
+            'report.tips': 'Consejos para el próximo mes',
+            'report.noTips': 'Registra algunas actividades para recibir consejos.',
+
+            'offsets.avoidanceShare': '{avoidance} de estas compensaciones son emisiones evitadas: impidieron emisiones en otro lugar, pero no retiraron tu CO₂ de la atmósfera. Contando solo absorciones, tu huella neta es de {net}.',
+            'offsets.notNetZero': 'Has retirado más compensaciones de las que emitiste, pero los créditos de emisiones evitadas no anulan emisiones. Para afirmar «cero neto» necesitas absorciones que cubran {needed} más.',
+            'offsets.avoidanceCredit': 'Crédito de emisiones evitadas: no retira CO₂ de la atmósfera.',
+            'offsets.oldVintage': 'La añada {vintage} tiene más de {years} años.',
+            'offsets.duplicateSerial': 'Este número de serie del registro aparece más de una vez; un crédito solo se puede retirar una vez.',
+            'offsets.risk.reforestation': 'El carbono almacenado puede perderse por incendios, plagas o talas.',
+            'offsets.risk.renewable': 'Las renovables a menudo se construyen de todos modos, así que es difícil demostrar la adicionalidad.',
+            'offsets.risk.cookstoves': 'El uso y el ahorro suelen sobrestimarse.',
+
+            'categories.transport': 'Transporte',
+            'categories.energy': 'Consumo de energía',
+            'categories.food': 'Comida y dieta',
+            'categories.shopping': 'Compras',
+
+            'units.km': 'Kilómetros',
+            'units.miles': 'Millas',
+            'units.fuel_l': 'Litros de combustible',
+            'units.kwh': 'kWh',
+            'units.mj': 'Megajulios (MJ)',
+            'units.therms': 'Termias',
+            'units.gas_m3': 'm³ de gas natural',
+            'units.heating_oil_l': 'Litros de gasóleo de calefacción',
+            'units.meals': 'Comidas',
+            'units.servings': 'Raciones',
+            'units.items': 'Artículos',
+            'units.usd': 'Dólares estadounidenses gastados',
+            'units.eur': 'Euros gastados',
+            'units.gbp': 'Libras esterlinas gastadas',
+            'units.cad': 'Dólares canadienses gastados',
+            'units.aud': 'Dólares australianos gastados',
+            'units.chf': 'Francos suizos gastados',
+            'units.sek': 'Coronas suecas gastadas',
+            'units.jpy': 'Yenes japoneses gastados',
+            'units.inr': 'Rupias indias gastadas',
+            'units.cny': 'Yuanes chinos gastados',
+            'units.brl': 'Reales brasileños gastados',
+
+            'equivalents.car_km.one': 'km recorrido en un coche medio',
+            'equivalents.car_km.other': 'km recorridos en un coche medio',
+            'equivalents.car_miles.one': 'milla recorrida en un coche medio',
+            'equivalents.car_miles.other': 'millas recorridas en un coche medio',
+            'equivalents.smartphone_charges.one': 'carga de smartphone',
+            'equivalents.smartphone_charges.other': 'cargas de smartphone',
+            'equivalents.household_days.one': 'día de electricidad de un hogar medio',
+            'equivalents.household_days.other': 'días de electricidad de un hogar medio',
+            'equivalents.tree_years.one': 'año de absorción de un árbol',
+            'equivalents.tree_years.other': 'años de absorción de un árbol',
+            'equivalents.flights.one': 'vuelo de ida y vuelta de corta distancia',
+            'equivalents.flights.other': 'vuelos de ida y vuelta de corta distancia'
+        }
+    }
+};
@@ -24,14 +24,191 @@ const APP_CONFIG = {
         food: 2.5,       // kg CO2 per meal
         shopping: 5.0    // kg CO2 per item
     },
-    ecoTips: {
-        transport: "Try walking, cycling, or using public transport to reduce emissions!",
-        energy: "Switch to LED bulbs and unplug devices when not in use.",
-        food: "Consider plant-based meals - they have a lower carbon footprint!",
-        shopping: "Buy only what you need and choose sustainable brands."
+    // Each category's factor is expressed per one of these base units
+    baseUnits: {
+        transport: 'km',
+        energy: 'kwh',
+        food: 'meals',
+        shopping: 'items'
+    },
+    // toBase multiplies an amount in the unit into its category's base unit;
+    // currency units instead convert into US dollars via CURRENCY_RATES, and
+    // vehicle fuel stays in litres with the mode's per-litre fuel factor
+    units: {
+        km: { label: 'Kilometers', category: 'transport', toBase: 1 },
+        miles: { label: 'Miles', category: 'transport', toBase: 1.609344 },
+        fuel_l: { label: 'Litres of fuel', category: 'transport', toBase: 1, vehicleFuel: true },
+        kwh: { label: 'kWh', category: 'energy', toBase: 1 },
+        mj: { label: 'Megajoules (MJ)', category: 'energy', toBase: 1 / 3.6 },
+        therms: { label: 'Therms', category: 'energy', toBase: 29.3071, fuel: 'natural_gas' },
+        gas_m3: { label: 'm³ of natural gas', category: 'energy', toBase: 10.55, fuel: 'natural_gas' },   // gross calorific value
+        heating_oil_l: { label: 'Litres of heating oil', category: 'energy', toBase: 10.35, fuel: 'heating_oil' },
+        meals: { label: 'Meals', category: 'food', toBase: 1 },
+        servings: { label: 'Servings', category: 'food', toBase: 1 / 3 },                // about three servings per meal
+        items: { label: 'Items', category: 'shopping', toBase: 1 },
+        usd: { label: 'US dollars spent', category: 'shopping', currency: 'USD' },
+        eur: { label: 'Euros spent', category: 'shopping', currency: 'EUR' },
+        gbp: { label: 'Pounds sterling spent', category: 'shopping', currency: 'GBP' },
+        cad: { label: 'Canadian dollars spent', category: 'shopping', currency: 'CAD' },
+        aud: { label: 'Australian dollars spent', category: 'shopping', currency: 'AUD' },
+        chf: { label: 'Swiss francs spent', category: 'shopping', currency: 'CHF' },
+        sek: { label: 'Swedish kronor spent', category: 'shopping', currency: 'SEK' },
+        jpy: { label: 'Japanese yen spent', category: 'shopping', currency: 'JPY' },
+        inr: { label: 'Indian rupees spent', category: 'shopping', currency: 'INR' },
+        cny: { label: 'Chinese yuan spent', category: 'shopping', currency: 'CNY' },
+        brl: { label: 'Brazilian reais spent', category: 'shopping', currency: 'BRL' }
+    },
+    // Common spellings accepted when importing files
+    unitAliases: {
+        kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+        mi: 'miles', mile: 'miles',
+        l: 'fuel_l', litre: 'fuel_l', litres: 'fuel_l', liter: 'fuel_l', liters: 'fuel_l',
+        'kw h': 'kwh', 'kw·h': 'kwh',
+        megajoule: 'mj', megajoules: 'mj',
+        therm: 'therms',
+        m3: 'gas_m3', 'm³': 'gas_m3',
+        meal: 'meals', serving: 'servings',
+        item: 'items', pcs: 'items', pieces: 'items',
+        $: 'usd', '€': 'eur', '£': 'gbp', '¥': 'jpy', '₹': 'inr'
+    },
+    categoryColors: {
+        transport: '#00d4aa',
+        energy: '#667eea',
+        food: '#fc5c7d',
+        shopping: '#f9a825'
+    },
+    categoryLabels: {
+        transport: 'Transportation',
+        energy: 'Energy Use',
+        food: 'Food & Diet',
+        shopping: 'Shopping'
+    },
+    storage: {
+        dbName: 'ecotrack',
+        dbVersion: 1,
+        storeName: 'activities',
+        fallbackKey: 'ecotrack.activities',
+        preferencesKey: 'ecotrack.preferences',
+        teamsKey: 'ecotrack.teams',
+        offsetsKey: 'ecotrack.offsets',
+        recurringKey: 'ecotrack.recurring'
+    },
+    auth: {
+        usersKey: 'ecotrack.users',
+        sessionKey: 'ecotrack.session',
+        minPasswordLength: 8,
+        hashIterations: 100000,
+        resetCodeTtl: 15 * 60 * 1000     // ms
+    },
+    api: {
+        timeout: 8000,
+        retries: 3,
+        backoffBase: 500,       // ms, doubled per attempt
+        backoffMax: 60000,
+        queueKey: 'ecotrack.syncQueue',
+        syncStateKey: 'ecotrack.syncState'
+    },
+    budget: {
+        default: { period: 'daily', amount: 6.8 },
+        // Per-capita lifestyle footprints compatible with 1.5°C (Hot or Cool Institute, 2021)
+        presets: {
+            lifestyle_2030: { label: '1.5°C-compatible by 2030 (2.5 t/year)', annualKg: 2500 },
+            lifestyle_2040: { label: '1.5°C-compatible by 2040 (1.4 t/year)', annualKg: 1400 },
+            lifestyle_2050: { label: '1.5°C-compatible by 2050 (0.7 t/year)', annualKg: 700 }
+        },
+        periodLabels: {
+            daily: 'daily',
+            weekly: 'weekly',
+            annual: 'annual'
+        }
+    },
+    offsets: {
+        // Avoidance credits stop emissions happening elsewhere; removal credits take CO2 out of the air.
+        // Only removals can balance emissions you have already made.
+        projectTypes: {
+            reforestation: { label: 'Reforestation / afforestation', kind: 'removal', risk: 'Stored carbon can be lost to fire, pests or logging.' },
+            direct_air_capture: { label: 'Direct air capture & storage', kind: 'removal', risk: null },
+            renewable: { label: 'Renewable energy', kind: 'avoidance', risk: 'Renewables are often built anyway, so additionality is hard to prove.' },
+            methane_capture: { label: 'Methane capture (landfill / farm)', kind: 'avoidance', risk: null },
+            cookstoves: { label: 'Efficient cookstoves', kind: 'avoidance', risk: 'Usage and savings are frequently over-estimated.' }
+        },
+        maxVintageAge: 5        // years before retirement that a credit counts as old
+    },
+    dashboard: {
+        baselineDaily: 12.9,      // kg CO2e/day, global average per capita (~4.7 t/year)
+        // A day counts towards "below average" only once each of these was logged;
+        // shopping is left out because most days have none
+        completeDayCategories: ['transport', 'energy', 'food']
+    },
+    serviceWorker: {
+        url: 'sw.js',
+        updateInterval: 60 * 60 * 1000      // ms between checks for a new release
     }
 };
 
+// ============================
+// PRICING PLANS & ENTITLEMENTS
+// ============================
+
+/**
+ * Feature flags a plan can grant, with the names shown in upgrade prompts.
+ * Only features the app can lock belong here; card lines for services
+ * outside the app (support, white-label) are copy only.
+ */
+const PLAN_FEATURES = {
+    reports: 'Monthly reports',
+    analytics: 'Real-time analytics',
+    recommendations: 'AI recommendations',
+    scenarios: 'What-if scenarios',
+    bulkImport: 'Bulk import',
+    carbonOffsets: 'Carbon offsetting',
+    teams: 'Team management',
+    customReporting: 'Custom reporting',
+    apiAccess: 'API access'
+};
+
+/**
+ * Pricing tiers. Prices feed ContentGenerator.generatePricing(), with the
+ * card copy under pricing.<id>.* in LOCALES; entitlements are what
+ * Entitlements enforces across the app.
+ */
+const PRICING_PLANS = [
+    {
+        id: 'personal',
+        name: 'Personal',
+        monthlyPrice: 0,
+        currency: 'USD',
+        featured: false,
+        entitlements: {
+            categories: ['transport', 'energy', 'food'],
+            features: ['reports']
+        }
+    },
+    {
+        id: 'pro',
+        name: 'Pro',
+        monthlyPrice: 9,
+        currency: 'USD',
+        featured: true,
+        entitlements: {
+            categories: ['transport', 'energy', 'food', 'shopping'],
+            features: ['reports', 'analytics', 'recommendations', 'scenarios', 'bulkImport', 'carbonOffsets']
+        }
+    },
+    {
+        id: 'business',
+        name: 'Business',
+        monthlyPrice: 29,
+        currency: 'USD',
+        featured: false,
+        entitlements: {
+            categories: ['transport', 'energy', 'food', 'shopping'],
+            features: ['reports', 'analytics', 'recommendations', 'scenarios', 'bulkImport', 'carbonOffsets',
+                'teams', 'customReporting', 'apiAccess']
+        }
+    }
+];
+
 // ============================
 // UTILITY FUNCTIONS
 // ============================
@@ -43,11 +220,12 @@ class Utils {
     /**
      * Safely select DOM element with error handling
      * @param {string} selector - CSS selector
+     * @param {ParentNode} root - Element to search within
      * @returns {Element|null} - DOM element or null
      */
-    static safeSelect(selector) {
+    static safeSelect(selector, root = document) {
         try {
-            return document.querySelector(selector);
+            return root.querySelector(selector);
         } catch (error) {
             console.warn(`Element not found: ${selector}`);
             return null;
@@ -109,6 +287,431 @@ class Utils {
     static randomBetween(min, max) {
         return Math.random() * (max - min) + min;
     }
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date|string|number} date - Date to format
+     * @returns {string} - Local date key
+     */
+    static toDateKey(date) {
+        const d = new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD key as local midnight
+     * @param {string} key - Date key
+     * @returns {Date} - Local date
+     */
+    static parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Add days to a date without mutating it
+     * @param {Date} date - Start date
+     * @param {number} days - Days to add (may be negative)
+     * @returns {Date} - New date
+     */
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    /**
+     * Escape a string for safe insertion into HTML templates
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Show an inline form message, hiding the element when there is none
+     * @param {Element|null} element - Message element
+     * @param {string} text - Message, '' to hide
+     * @param {string} type - 'error' or 'info'
+     */
+    static showMessage(element, text, type = 'error') {
+        if (!element) return;
+        element.hidden = !text;
+        element.textContent = text;
+        element.dataset.type = type;
+    }
+
+    /**
+     * Run an action, reporting its error in an inline message
+     * @param {Element|null} element - Message element, cleared before the action runs
+     * @param {Function} action - Action, may be async
+     * @returns {Promise<*>} - Action result, or null on error
+     */
+    static async runWithMessage(element, action) {
+        Utils.showMessage(element, '');
+        try {
+            return await action();
+        } catch (error) {
+            Utils.showMessage(element, error.message);
+            return null;
+        }
+    }
+}
+
+// ============================
+// INTERNATIONALISATION MODULE
+// ============================
+
+/**
+ * Message lookup, locale-aware formatting and the metric/imperial
+ * preference, shared by every module. Catalogues come from LOCALES
+ * (locales.js); the choices are saved as the "locale" and "unitSystem"
+ * preferences so they sync with the rest of the user's settings.
+ */
+class I18n {
+    static DEFAULT_LOCALE = 'en';
+    // Countries whose road distances are in miles
+    static IMPERIAL_REGIONS = ['US', 'GB', 'LR', 'MM'];
+    // Default entry unit per category, where a system differs from APP_CONFIG.baseUnits
+    static UNIT_SYSTEMS = {
+        metric: {},
+        imperial: { transport: 'miles' }
+    };
+
+    static locale = this.DEFAULT_LOCALE;
+    static unitSystem = 'metric';
+    static preferences = null;
+    static listeners = new Set();
+
+    /**
+     * Restore the saved language and unit system, or guess them from the browser
+     * @param {PreferenceStore|null} preferences - Saved user preferences
+     */
+    static init(preferences = null) {
+        this.preferences = preferences;
+        this.locale = this.resolveLocale(preferences?.get('locale') || navigator.language);
+        this.unitSystem = this.UNIT_SYSTEMS[preferences?.get('unitSystem')] ? preferences.get('unitSystem') : this.guessUnitSystem();
+
+        // Settings pulled from the server arrive as preference changes
+        if (this.unsubscribePreferences) this.unsubscribePreferences();
+        this.unsubscribePreferences = preferences?.subscribe(({ key, value }) => {
+            if (key === 'locale') this.setLocale(value);
+            if (key === 'unitSystem') this.setUnitSystem(value);
+        });
+
+        this.translatePage();
+    }
+
+    /**
+     * Supported catalogue for a language tag
+     * @param {string} tag - e.g. "es-MX"
+     * @returns {string} - Catalogue code, or the default locale
+     */
+    static resolveLocale(tag) {
+        const language = String(tag || '').split('-')[0].toLowerCase();
+        return LOCALES[language] ? language : this.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Unit system for the browser's region
+     * @returns {string} - "metric" or "imperial"
+     */
+    static guessUnitSystem() {
+        const region = (navigator.language || '').split('-')[1]?.toUpperCase();
+        return this.IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric';
+    }
+
+    /**
+     * Locale used for numbers and dates: the browser's own regional variant
+     * when it speaks the chosen language (so en-GB keeps day-first dates)
+     * @returns {string} - BCP 47 tag
+     */
+    static get formatLocale() {
+        const browser = navigator.language || '';
+        return this.resolveLocale(browser) === this.locale && browser.includes('-') ? browser : this.locale;
+    }
+
+    /**
+     * Switch language
+     * @param {string} locale - Catalogue code
+     */
+    static setLocale(locale) {
+        const next = this.resolveLocale(locale);
+        if (next === this.locale) return;
+
+        this.locale = next;
+        this.preferences?.set('locale', next);
+        this.translatePage();
+        this.notify();
+    }
+
+    /**
+     * Switch between metric and imperial defaults and display values
+     * @param {string} system - "metric" or "imperial"
+     */
+    static setUnitSystem(system) {
+        if (!this.UNIT_SYSTEMS[system] || system === this.unitSystem) return;
+
+        this.unitSystem = system;
+        this.preferences?.set('unitSystem', system);
+        this.notify();
+    }
+
+    /**
+     * Subscribe to language and unit system changes
+     * @param {Function} listener - Called with { locale, unitSystem }
+     * @returns {Function} - Unsubscribe function
+     */
+    static subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Tell subscribers the settings changed
+     */
+    static notify() {
+        const state = { locale: this.locale, unitSystem: this.unitSystem };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('Locale listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Look up a message, falling back to English and then to the given text
+     * @param {string} key - Dotted message key
+     * @param {Object} params - Values for {name} placeholders
+     * @param {*} fallback - Used when no catalogue has the key
+     * @returns {string|Array} - Message
+     */
+    static t(key, params = {}, fallback = key) {
+        const message = LOCALES[this.locale]?.messages[key] ?? LOCALES[this.DEFAULT_LOCALE].messages[key] ?? fallback;
+        if (typeof message !== 'string') return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Display name of an activity category
+     * @param {string} type - Activity category
+     * @returns {string} - Label
+     */
+    static category(type) {
+        return this.t(`categories.${type}`, {}, APP_CONFIG.categoryLabels[type] || type);
+    }
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} - Formatted number
+     */
+    static formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.formatLocale, options).format(value);
+    }
+
+    /**
+     * Format a number with a fixed count of decimals for the current locale
+     * @param {number} value - Number
+     * @param {number} digits - Decimal places
+     * @returns {string} - e.g. "6.8" or "6,8"
+     */
+    static formatFixed(value, digits) {
+        return this.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    /**
+     * Format an amount of money for the current locale
+     * @param {number} amount - Amount
+     * @param {string} currency - ISO 4217 code
+     * @returns {string} - e.g. "$9" or "9 US$"
+     */
+    static formatCurrency(amount, currency) {
+        return this.formatNumber(amount, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: Number.isInteger(amount) ? 0 : 2
+        });
+    }
+
+    /**
+     * Format a calendar date for the current locale
+     * @param {Date|string|number} date - Date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} - Formatted date
+     */
+    static formatDate(date, options = {}) {
+        return new Date(date).toLocaleDateString(this.formatLocale, options);
+    }
+
+    /**
+     * Format a date and time for the current locale
+     * @param {Date|string|number} date - Date
+     * @returns {string} - Formatted date and time
+     */
+    static formatDateTime(date) {
+        return new Date(date).toLocaleString(this.formatLocale);
+    }
+
+    /**
+     * Unit new entries of a category start in
+     * @param {string} category - Activity category
+     * @returns {string} - Unit id
+     */
+    static defaultUnit(category) {
+        return this.UNIT_SYSTEMS[this.unitSystem][category] || APP_CONFIG.baseUnits[category];
+    }
+
+    /**
+     * Show a distance in the user's unit system
+     * @param {number} km - Distance in kilometres
+     * @returns {string} - e.g. "16.09 km" or "10 mi"
+     */
+    static formatDistance(km) {
+        const imperial = this.unitSystem === 'imperial';
+        const value = imperial ? km / APP_CONFIG.units.miles.toBase : km;
+        return `${this.formatNumber(value, { maximumFractionDigits: 2 })} ${imperial ? 'mi' : 'km'}`;
+    }
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-placeholder,
+     * data-i18n-aria-label and data-i18n-title set those attributes
+     * @param {ParentNode} root - Element or fragment to translate
+     */
+    static translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        [['placeholder', 'i18nPlaceholder'], ['aria-label', 'i18nAriaLabel'], ['title', 'i18nTitle']].forEach(([attribute, data]) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.dataset[data]));
+            });
+        });
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+        }
+    }
+}
+
+/**
+ * Header controls for language and unit system
+ */
+class LocaleSwitcher {
+    constructor() {
+        this.languageSelect = Utils.safeSelect('#language-select');
+        this.unitSystemSelect = Utils.safeSelect('#unit-system-select');
+
+        this.init();
+    }
+
+    /**
+     * Fill the language list and follow changes from either side
+     */
+    init() {
+        if (this.languageSelect) {
+            this.languageSelect.innerHTML = Object.entries(LOCALES).map(([code, locale]) => `
+                <option value="${code}" lang="${code}">${Utils.escapeHtml(locale.name)}</option>
+            `).join('');
+            Utils.addSafeListener(this.languageSelect, 'change', () => I18n.setLocale(this.languageSelect.value));
+        }
+        if (this.unitSystemSelect) {
+            Utils.addSafeListener(this.unitSystemSelect, 'change', () => I18n.setUnitSystem(this.unitSystemSelect.value));
+        }
+
+        this.unsubscribeLocale = I18n.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Show the current choices
+     */
+    render() {
+        if (this.languageSelect) this.languageSelect.value = I18n.locale;
+        if (this.unitSystemSelect) this.unitSystemSelect.value = I18n.unitSystem;
+    }
+}
+
+// ============================
+// MOTION PREFERENCE MODULE
+// ============================
+
+/**
+ * Follows the prefers-reduced-motion media query so animation modules can
+ * swap movement for instant changes
+ */
+class MotionPreference {
+    static QUERY = '(prefers-reduced-motion: reduce)';
+    static media = null;
+    static listeners = new Set();
+
+    /**
+     * Media query list, created on first use
+     * @returns {MediaQueryList|null} - Query, or null without matchMedia
+     */
+    static getMedia() {
+        if (!this.media && typeof window.matchMedia === 'function') {
+            this.media = window.matchMedia(this.QUERY);
+            const notify = () => this.notify();
+            if (this.media.addEventListener) {
+                this.media.addEventListener('change', notify);
+            } else if (this.media.addListener) {
+                this.media.addListener(notify);     // Safari < 14
+            }
+        }
+        return this.media;
+    }
+
+    /**
+     * Whether the user asked for reduced motion
+     * @returns {boolean} - True to skip animations
+     */
+    static get reduced() {
+        return !!this.getMedia()?.matches;
+    }
+
+    /**
+     * Behaviour for scrollIntoView() and scrollTo()
+     * @returns {string} - "auto" (instant) or "smooth"
+     */
+    static get scrollBehavior() {
+        return this.reduced ? 'auto' : 'smooth';
+    }
+
+    /**
+     * Subscribe to changes of the system setting
+     * @param {Function} listener - Called with the new reduced flag
+     * @returns {Function} - Unsubscribe function
+     */
+    static subscribe(listener) {
+        this.getMedia();
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Tell subscribers the setting changed
+     */
+    static notify() {
+        const reduced = this.reduced;
+        this.listeners.forEach(listener => {
+            try {
+                listener(reduced);
+            } catch (error) {
+                console.error('Motion listener failed:', error);
+            }
+        });
+    }
 }
 
 // ============================
@@ -158,11 +761,17 @@ class SmoothScroller {
     }
 
     /**
-     * Custom smooth scroll with easing animation
+     * Custom smooth scroll with easing animation, or an instant jump when
+     * the user prefers reduced motion
      * @param {number} target - Target scroll position
      * @param {number} duration - Animation duration in milliseconds
      */
     smoothScrollTo(target, duration) {
+        if (MotionPreference.reduced) {
+            window.scrollTo(0, target);
+            return;
+        }
+
         const start = window.pageYOffset;
         const distance = target - start;
         let startTime = null;
@@ -240,16 +849,23 @@ class TypingAnimation {
         this.textElement = this.container ? Utils.safeSelect('.typing-text', this.container) || this.container.querySelector('.typing-text') : null;
         this.cursorElement = this.container ? Utils.safeSelect('.typing-cursor', this.container) || this.container.querySelector('.typing-cursor') : null;
         
-        this.lines = lines || [
-            "Track your carbon footprint with AI",
-            "Your Green Journey, Powered by AI", 
-            "AI for a Cleaner, Greener World",
-            "Measure Today, Save Tomorrow"
-        ];
+        this.lines = lines || I18n.t('typing.lines');
+
+        // The default lines follow the chosen language from the next line on
+        if (!lines) {
+            this.unsubscribeLocale = I18n.subscribe(() => {
+                this.lines = I18n.t('typing.lines');
+                this.currentLineIndex %= this.lines.length;
+                this.labelHeadline();
+                if (MotionPreference.reduced) this.showStatic();
+            });
+        }
         
         this.currentLineIndex = 0;
         this.isAnimating = false;
         this.currentText = '';
+        // Bumped to end a running type/backspace loop
+        this.run = 0;
         
         // Animation timing (in milliseconds)
         this.config = {
@@ -293,10 +909,19 @@ class TypingAnimation {
             this.textElement.textContent = '';
         }
 
+        // Reduced motion gets a static headline, and can be switched either way
+        this.labelHeadline();
+        this.unsubscribeMotion = MotionPreference.subscribe(reduced => this.setReducedMotion(reduced));
+        if (MotionPreference.reduced) {
+            this.showStatic();
+            return;
+        }
+
         // Start animation after delay
+        const run = this.run;
         setTimeout(() => {
             console.log('Starting typing animation...');
-            this.startAnimation();
+            this.startAnimation(run);
         }, this.config.initialDelay);
     }
 
@@ -307,8 +932,8 @@ class TypingAnimation {
         if (!this.textElement && this.container) {
             // Clear container and create proper structure
             this.container.innerHTML = `
-                <span class="typing-text"></span>
-                <span class="typing-cursor">|</span>
+                <span class="typing-text" aria-hidden="true"></span>
+                <span class="typing-cursor" aria-hidden="true">|</span>
             `;
             
             this.textElement = this.container.querySelector('.typing-text');
@@ -321,10 +946,60 @@ class TypingAnimation {
         }
     }
 
+    /**
+     * Give the headline a stable accessible name, since screen readers would
+     * otherwise read whatever part of a line happens to be typed
+     */
+    labelHeadline() {
+        if (this.container) {
+            this.container.setAttribute('aria-label', this.lines[0]);
+        }
+    }
+
+    /**
+     * Show the first line without typing or a blinking cursor
+     */
+    showStatic() {
+        this.currentText = this.lines[0];
+        if (this.textElement) {
+            this.textElement.textContent = this.currentText;
+        }
+        if (this.cursorElement) {
+            this.cursorElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Follow a change of the reduced-motion setting
+     * @param {boolean} reduced - Whether motion should be avoided
+     */
+    setReducedMotion(reduced) {
+        this.run += 1;
+        this.isAnimating = false;
+
+        if (reduced) {
+            this.showStatic();
+            return;
+        }
+
+        this.currentText = '';
+        this.currentLineIndex = 0;
+        if (this.textElement) {
+            this.textElement.textContent = '';
+        }
+        if (this.cursorElement) {
+            this.cursorElement.style.display = 'inline-block';
+        }
+        this.startAnimation();
+    }
+
     /**
      * Start the main animation loop
+     * @param {number} run - Loop this call belongs to; stale loops end here
      */
-    startAnimation() {
+    startAnimation(run = this.run) {
+        if (run !== this.run) return;
+
         if (this.isAnimating) {
             console.log('Animation already running, skipping...');
             return;
@@ -339,14 +1014,16 @@ class TypingAnimation {
         
         this.typeText(this.lines[this.currentLineIndex])
             .then(() => {
+                if (run !== this.run) return null;
                 console.log('Typing complete, starting backspace...');
                 return this.backspaceText();
             })
             .then(() => {
+                if (run !== this.run) return;
                 console.log('Backspace complete, moving to next line...');
                 this.currentLineIndex = (this.currentLineIndex + 1) % this.lines.length;
                 // Recursive call to continue the loop
-                setTimeout(() => this.startAnimation(), this.config.pauseAfterBackspace);
+                setTimeout(() => this.startAnimation(run), this.config.pauseAfterBackspace);
             })
             .catch(error => {
                 console.error('Animation error:', error);
@@ -370,10 +1047,15 @@ class TypingAnimation {
             this.isAnimating = true;
             this.currentText = '';
             let charIndex = 0;
+            const run = this.run;
 
             console.log('Starting to type:', text);
 
             const typeNextChar = () => {
+                if (run !== this.run) {
+                    resolve();
+                    return;
+                }
                 if (charIndex < text.length) {
                     this.currentText += text[charIndex];
                     
@@ -410,10 +1092,15 @@ class TypingAnimation {
 
             this.isAnimating = true;
             let currentLength = this.currentText.length;
+            const run = this.run;
 
             console.log('Starting backspace, initial length:', currentLength);
 
             const removeNextChar = () => {
+                if (run !== this.run) {
+                    resolve();
+                    return;
+                }
                 if (currentLength > 0) {
                     this.currentText = this.currentText.slice(0, -1);
                     
@@ -440,6 +1127,7 @@ class TypingAnimation {
      * Stop animation and reset state
      */
     stop() {
+        this.run += 1;
         this.isAnimating = false;
         this.currentText = '';
         if (this.textElement) {
@@ -484,7 +1172,7 @@ class CounterAnimator {
     }
 
     /**
-     * Animate counter from 0 to target value
+     * Animate counter from 0 to target value (set at once for reduced motion)
      * @param {string} elementId - Element ID
      * @param {number} targetValue - Target value
      * @param {string} suffix - Suffix to append (optional)
@@ -494,6 +1182,17 @@ class CounterAnimator {
         const element = Utils.safeSelect(`#${elementId}`);
         if (!element) return;
 
+        // Restart cleanly if this counter is already animating
+        if (this.counters.has(elementId)) {
+            clearInterval(this.counters.get(elementId));
+            this.counters.delete(elementId);
+        }
+
+        if (MotionPreference.reduced) {
+            element.textContent = targetValue + suffix;
+            return;
+        }
+
         let current = 0;
         const increment = targetValue / (duration / 20);
         const isNegative = targetValue < 0;
@@ -533,159 +1232,7463 @@ class CounterAnimator {
 }
 
 // ============================
-// CARBON CALCULATOR MODULE
+// UNIT CONVERSION MODULE
 // ============================
 
 /**
- * Interactive carbon footprint calculator
+ * Normalise activity amounts into each category's base unit
  */
-class CarbonCalculator {
-    constructor() {
-        this.form = Utils.safeSelect('#carbon-calculator-form');
-        this.activityType = Utils.safeSelect('#activity-type');
-        this.activityAmount = Utils.safeSelect('#activity-amount');
-        this.activityUnit = Utils.safeSelect('#activity-unit');
+class UnitConverter {
+    /**
+     * List the units accepted by a category
+     * @param {string} category - Activity category
+     * @returns {Array<Object>} - [{ id, label, toBase }]
+     */
+    static getUnits(category) {
+        return Object.entries(APP_CONFIG.units)
+            .filter(([, unit]) => !category || unit.category === category)
+            .map(([id, unit]) => ({ id, ...unit }));
+    }
+
+    /**
+     * Check whether a unit can be used for a category
+     * @param {string} category - Activity category
+     * @param {string} unitId - Unit id
+     * @returns {boolean} - Compatibility
+     */
+    static isCompatible(category, unitId) {
+        const unit = APP_CONFIG.units[unitId];
+        return !!unit && unit.category === category;
+    }
+
+    /**
+     * Human-readable unit label in the current language
+     * @param {string} unitId - Unit id
+     * @returns {string} - Label, or the id for unknown units
+     */
+    static getLabel(unitId) {
+        return I18n.t(`units.${unitId}`, {}, APP_CONFIG.units[unitId]?.label || unitId);
+    }
+
+    /**
+     * Convert an amount into the category's base unit
+     * @param {string} category - Activity category
+     * @param {number} amount - Amount in the given unit
+     * @param {string} unitId - Unit id
+     * @returns {number} - Amount in the base unit
+     * @throws {Error} - When the unit does not apply to the category
+     */
+    static toBase(category, amount, unitId) {
+        if (!APP_CONFIG.baseUnits[category]) {
+            throw new Error(`Unknown activity category: ${category}`);
+        }
+
+        if (!this.isCompatible(category, unitId)) {
+            throw new Error(I18n.t('errors.unitIncompatible', {
+                unit: this.getLabel(unitId),
+                category: I18n.category(category),
+                allowed: this.getUnits(category).map(unit => this.getLabel(unit.id)).join(', ')
+            }));
+        }
+
+        const unit = APP_CONFIG.units[unitId];
+        if (unit.currency) {
+            return CurrencyConverter.convert(amount, unit.currency, 'USD');
+        }
+        return amount * unit.toBase;
+    }
+
+    /**
+     * Base unit an amount in the given unit is normalised to
+     * @param {string} category - Activity category
+     * @param {string} unitId - Unit id
+     * @returns {string} - Base unit id ("usd" for spend amounts, "fuel_l" for vehicle fuel)
+     */
+    static getBaseUnit(category, unitId) {
+        const unit = APP_CONFIG.units[unitId];
+        if (unit?.currency) return 'usd';
+        return unit?.vehicleFuel ? unitId : APP_CONFIG.baseUnits[category];
+    }
+
+    /**
+     * Match free text (an id, label or common abbreviation) to a unit id
+     * @param {string} text - Unit as written, e.g. "Miles", "kWh", "€"
+     * @param {string} category - Activity category the unit must belong to
+     * @returns {string|null} - Unit id, or null when nothing matches
+     */
+    static resolveUnitId(text, category) {
+        const needle = String(text || '').trim().toLowerCase();
+        if (!needle) return null;
+
+        const candidates = this.getUnits(category);
+        const match = candidates.find(unit => unit.id === needle || unit.label.toLowerCase() === needle)
+            || candidates.find(unit => unit.id === APP_CONFIG.unitAliases[needle])
+            || candidates.find(unit => unit.currency && unit.currency.toLowerCase() === needle);
+        return match ? match.id : null;
+    }
+
+    /**
+     * Whether a unit is an amount of money
+     * @param {string} unitId - Unit id
+     * @returns {boolean} - True for currency units
+     */
+    static isCurrency(unitId) {
+        return !!APP_CONFIG.units[unitId]?.currency;
+    }
+}
+
+/**
+ * Convert money between currencies using the bundled rate table
+ */
+class CurrencyConverter {
+    /**
+     * Convert an amount between two currencies
+     * @param {number} amount - Amount in the source currency
+     * @param {string} from - ISO 4217 code of the amount
+     * @param {string} to - ISO 4217 code to convert into
+     * @returns {number} - Converted amount
+     * @throws {Error} - For currencies missing from the rate table
+     */
+    static convert(amount, from, to) {
+        const fromRate = CURRENCY_RATES.perUSD[from];
+        const toRate = CURRENCY_RATES.perUSD[to];
+        if (!fromRate || !toRate) {
+            throw new Error(`No exchange rate for ${!fromRate ? from : to}`);
+        }
+        return amount / fromRate * toRate;
+    }
+}
+
+// ============================
+// EMISSION FACTOR MODULE
+// ============================
+
+/**
+ * Resolve the emission factor that applies to an activity
+ */
+class EmissionFactors {
+    /**
+     * Look up the factor for an activity type and its details
+     * @param {string} type - Activity category
+     * @param {Object} details - Category-specific details (e.g. { mode, size, passengers })
+     * @param {string} unit - Unit the amount was entered in
+     * @returns {Object} - { factor, label, source, year } with factor per base unit
+     */
+    static resolve(type, details = {}, unit = '') {
+        if (type === 'transport' && APP_CONFIG.units[unit]?.vehicleFuel) {
+            return this.resolveVehicleFuel(details);
+        }
+        if (type === 'transport' && details.mode) {
+            return this.resolveTransport(details);
+        }
+        const fuel = FUEL_FACTORS[APP_CONFIG.units[unit]?.fuel];
+        if (type === 'energy' && fuel) {
+            return { factor: fuel.factor, label: fuel.label, source: fuel.source, year: fuel.year };
+        }
+        if (type === 'energy' && details.region) {
+            return this.resolveEnergy(details);
+        }
+        if (type === 'food' && details.ingredients?.length) {
+            return this.resolveFood(details);
+        }
+        if (type === 'shopping') {
+            return this.resolveShopping(details, unit);
+        }
+
+        return {
+            factor: APP_CONFIG.carbonFactors[type],
+            label: 'Generic average',
+            source: 'EcoTrack default',
+            year: null
+        };
+    }
+
+    /**
+     * Transport factor for a mode, vehicle size and passenger count
+     * @param {Object} details - { mode, size, passengers }
+     * @returns {Object} - Resolved factor
+     * @throws {Error} - For unknown modes
+     */
+    static resolveTransport({ mode, size, passengers }) {
+        const entry = TRANSPORT_MODES[mode];
+        if (!entry) {
+            throw new Error(`Unknown transport mode: ${mode}`);
+        }
+
+        const sizeKey = entry.factors[size] !== undefined ? size : 'average';
+        let factor = entry.factors[sizeKey];
+        let label = entry.label;
+        if (Object.keys(entry.factors).length > 1) {
+            label += ` (${VEHICLE_SIZE_LABELS[sizeKey].toLowerCase()})`;
+        }
+
+        // Car-sharing splits the vehicle's emissions between occupants
+        const occupants = Math.max(1, Math.floor(passengers) || 1);
+        if (entry.basis === 'vehicle' && occupants > 1) {
+            factor /= occupants;
+            label += `, shared by ${occupants}`;
+        }
+
+        return {
+            factor: parseFloat(factor.toFixed(5)),
+            label,
+            source: entry.source,
+            year: entry.year
+        };
+    }
+
+    /**
+     * Per-litre factor for fuel burned by a combustion vehicle
+     * @param {Object} details - { mode, passengers }
+     * @returns {Object} - Resolved factor
+     * @throws {Error} - For modes that aren't fuelled by the litre
+     */
+    static resolveVehicleFuel({ mode, passengers }) {
+        const entry = TRANSPORT_MODES[mode];
+        const fuel = VEHICLE_FUEL_FACTORS[entry?.fuel];
+        if (!fuel) {
+            const modes = Object.values(TRANSPORT_MODES).filter(item => item.fuel).map(item => item.label);
+            throw new Error(I18n.t('errors.fuelMode', { modes: modes.join(', ') }));
+        }
+
+        // Like distance, a shared vehicle's fuel is split between occupants
+        let factor = fuel.factor;
+        let label = `${entry.label} (${fuel.label.toLowerCase()})`;
+        const occupants = Math.max(1, Math.floor(passengers) || 1);
+        if (occupants > 1) {
+            factor /= occupants;
+            label += `, shared by ${occupants}`;
+        }
+
+        return {
+            factor: parseFloat(factor.toFixed(5)),
+            label,
+            source: fuel.source,
+            year: fuel.year
+        };
+    }
+
+    /**
+     * Find a grid region by code, falling back from sub-region to country
+     * @param {string} code - Country ("DE") or sub-region ("US-CA") code
+     * @returns {Object|null} - { code, label, factor, source, year }
+     */
+    static findGridRegion(code) {
+        const [countryCode] = String(code || '').split('-');
+        const country = GRID_INTENSITY[countryCode];
+        if (!country) return null;
+
+        const region = country.regions?.[code];
+        if (!region) {
+            return { code: countryCode, label: country.label, factor: country.factor, source: country.source, year: country.year };
+        }
+
+        return {
+            code,
+            label: `${region.label}, ${country.label}`,
+            factor: region.factor,
+            source: region.source || country.source,
+            year: region.year || country.year
+        };
+    }
+
+    /**
+     * Flat list of grid regions for pickers, sub-regions following their country
+     * @returns {Array<Object>} - [{ code, label, isSubregion }]
+     */
+    static listGridRegions() {
+        return Object.entries(GRID_INTENSITY).flatMap(([code, country]) => [
+            { code, label: country.label, isSubregion: false },
+            ...Object.entries(country.regions || {}).map(([regionCode, region]) => ({
+                code: regionCode,
+                label: region.label,
+                isSubregion: true
+            }))
+        ]);
+    }
+
+    /**
+     * Energy factor for a grid region, reduced by any renewable tariff share
+     * @param {Object} details - { region, renewableShare } with share in percent
+     * @returns {Object} - Resolved factor
+     * @throws {Error} - For unknown regions
+     */
+    static resolveEnergy({ region, renewableShare }) {
+        const grid = this.findGridRegion(region);
+        if (!grid) {
+            throw new Error(`Unknown electricity grid region: ${region}`);
+        }
+
+        const share = Math.min(100, Math.max(0, Number(renewableShare) || 0));
+        let label = `${grid.label} grid`;
+        if (share > 0) {
+            label += `, ${share}% renewable tariff`;
+        }
+
+        return {
+            factor: parseFloat((grid.factor * (1 - share / 100)).toFixed(5)),
+            label,
+            source: grid.source,
+            year: grid.year
+        };
+    }
+
+    /**
+     * Search the food catalogue by name or group
+     * @param {string} query - Search text
+     * @returns {Array<Object>} - Matching items as [{ id, ...item }]
+     */
+    static searchFoods(query) {
+        const needle = String(query || '').trim().toLowerCase();
+        return Object.entries(FOOD_CATALOGUE)
+            .filter(([, item]) => !needle
+                || item.label.toLowerCase().includes(needle)
+                || FOOD_GROUPS[item.group].toLowerCase().includes(needle))
+            .map(([id, item]) => ({ id, ...item }));
+    }
+
+    /**
+     * Emissions of each ingredient in a meal, largest first
+     * @param {Array<Object>} ingredients - [{ id, quantity }] with grams or servings
+     * @returns {Array<Object>} - [{ id, label, co2e, share }]
+     * @throws {Error} - For unknown foods
+     */
+    static foodContributions(ingredients) {
+        const contributions = ingredients.map(({ id, quantity }) => {
+            const item = FOOD_CATALOGUE[id];
+            if (!item) {
+                throw new Error(`Unknown food: ${id}`);
+            }
+            const amount = Math.max(0, Number(quantity) || 0);
+            const co2e = item.per === 'kg' ? item.factor * amount / 1000 : item.factor * amount;
+            return { id, label: item.label, co2e };
+        });
+
+        const total = contributions.reduce((sum, item) => sum + item.co2e, 0);
+        return contributions
+            .map(item => ({ ...item, share: total > 0 ? item.co2e / total : 0 }))
+            .sort((a, b) => b.co2e - a.co2e);
+    }
+
+    /**
+     * Per-meal factor for a meal built from catalogue ingredients
+     * @param {Object} details - { ingredients: [{ id, quantity }] }
+     * @returns {Object} - Resolved factor
+     */
+    static resolveFood({ ingredients }) {
+        const total = this.foodContributions(ingredients).reduce((sum, item) => sum + item.co2e, 0);
+        const count = ingredients.length;
+
+        return {
+            factor: parseFloat(total.toFixed(5)),
+            label: `Custom meal (${count} ingredient${count === 1 ? '' : 's'})`,
+            source: FOOD_SOURCE.source,
+            year: FOOD_SOURCE.year
+        };
+    }
+
+    /**
+     * Shopping factor for a product category, per US dollar or per item
+     * @param {Object} details - { productCategory }
+     * @param {string} unit - Unit the amount was entered in
+     * @returns {Object} - Resolved factor
+     * @throws {Error} - For unknown categories or item counts on spend-only categories
+     */
+    static resolveShopping({ productCategory = 'general' } = {}, unit = 'items') {
+        const category = SPEND_FACTORS[productCategory];
+        if (!category) {
+            throw new Error(`Unknown product category: ${productCategory}`);
+        }
+
+        if (UnitConverter.isCurrency(unit)) {
+            return {
+                factor: category.perUSD,
+                label: `${category.label}, spend-based`,
+                source: SPEND_FACTOR_SOURCE.source,
+                year: SPEND_FACTOR_SOURCE.year
+            };
+        }
+
+        if (category.perItem === null) {
+            throw new Error(I18n.t('errors.spendOnly', { category: category.label }));
+        }
+        return {
+            factor: category.perItem,
+            label: `${category.label}, per item`,
+            source: 'EcoTrack average product estimate',
+            year: SPEND_FACTOR_SOURCE.year
+        };
+    }
+
+    /**
+     * Short citation for a resolved factor
+     * @param {Object} resolved - Result of resolve()
+     * @returns {string} - e.g. "Petrol car (medium) — UK DESNZ GHG Conversion Factors 2023"
+     */
+    static describe(resolved) {
+        const citation = resolved.year ? `${resolved.source} ${resolved.year}` : resolved.source;
+        return `${resolved.label} — ${citation}`;
+    }
+}
+
+// ============================
+// EMISSION EQUIVALENCY MODULE
+// ============================
+
+/**
+ * Turns kg CO2e into relatable quantities using EMISSION_EQUIVALENCIES
+ */
+class Equivalencies {
+    // Numbers near this size (~30) read as "human scale"; used to choose which units to show
+    static PREFERRED_MAGNITUDE = 1.5;
+
+    /**
+     * Convert kg CO2e into a number of units
+     * @param {number} kg - kg CO2e
+     * @param {string} key - Key of EMISSION_EQUIVALENCIES
+     * @returns {number} - Units
+     * @throws {Error} - For unknown keys
+     */
+    static convert(kg, key) {
+        const equivalency = EMISSION_EQUIVALENCIES[key];
+        if (!equivalency) {
+            throw new Error(`Unknown equivalency: ${key}`);
+        }
+        return kg / equivalency.kgPerUnit;
+    }
+
+    /**
+     * Describe one conversion, with car distance in miles for imperial users
+     * @param {number} kg - kg CO2e
+     * @param {string} key - Key of EMISSION_EQUIVALENCIES
+     * @returns {Object} - { key, value, text, source }
+     */
+    static describe(kg, key) {
+        const equivalency = EMISSION_EQUIVALENCIES[key];
+        const inMiles = key === 'car_km' && I18n.unitSystem === 'imperial';
+        const value = this.convert(kg, key) / (inMiles ? APP_CONFIG.units.miles.toBase : 1);
+        const rounded = value < 10 ? Math.round(value * 10) / 10 : Math.round(value);
+        const messageKey = `equivalents.${inMiles ? 'car_miles' : key}`;
+        const label = rounded === 1
+            ? I18n.t(`${messageKey}.one`, {}, equivalency.singular)
+            : I18n.t(`${messageKey}.other`, {}, equivalency.plural);
+        return {
+            key,
+            value,
+            text: `${I18n.formatNumber(rounded)} ${label}`,
+            source: `${equivalency.source}, ${equivalency.year}`
+        };
+    }
+
+    /**
+     * The most relatable equivalents for an amount: those whose count is
+     * closest to a few dozen, so 2 kg becomes car km and phone charges
+     * while 500 kg becomes household-days and tree-years
+     * @param {number} kg - kg CO2e
+     * @param {number} count - How many to return
+     * @returns {Object[]} - Results of describe()
+     */
+    static pick(kg, count = 2) {
+        if (!(kg > 0)) return [];
+        return Object.keys(EMISSION_EQUIVALENCIES)
+            .map(key => this.describe(kg, key))
+            .sort((a, b) => Math.abs(Math.log10(a.value) - this.PREFERRED_MAGNITUDE) - Math.abs(Math.log10(b.value) - this.PREFERRED_MAGNITUDE))
+            .slice(0, count);
+    }
+}
+
+// ============================
+// USER PREFERENCES MODULE
+// ============================
+
+/**
+ * Small key/value store for user preferences, persisted in localStorage
+ */
+class PreferenceStore {
+    constructor(storageKey = APP_CONFIG.storage.preferencesKey) {
+        this.storageKey = storageKey;
+        this.listeners = new Set();
+        this.values = this.load();
+    }
+
+    /**
+     * Read saved preferences
+     * @returns {Object} - Preference values
+     */
+    load() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Preferences unavailable, using defaults');
+            return {};
+        }
+    }
+
+    /**
+     * Get a preference value
+     * @param {string} key - Preference name
+     * @param {*} fallback - Value when unset
+     * @returns {*} - Stored value or fallback
+     */
+    get(key, fallback = null) {
+        return this.values[key] !== undefined ? this.values[key] : fallback;
+    }
+
+    /**
+     * Save a preference value
+     * @param {string} key - Preference name
+     * @param {*} value - Value to store
+     */
+    set(key, value) {
+        this.values = { ...this.values, [key]: value };
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not persist preferences:', error);
+        }
+        this.listeners.forEach(listener => listener({ key, value }));
+    }
+
+    /**
+     * Subscribe to preference changes
+     * @param {Function} listener - Called with { key, value }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+/**
+ * A list of records kept per user in localStorage (under `baseKey.<userId>`,
+ * or the bare key for guests) with change notifications. Subclasses keep
+ * their records in this.items and define getAll().
+ */
+class ScopedListStore {
+    /**
+     * @param {string|null} scope - Signed-in user id, or null for the guest list
+     * @param {string} baseKey - localStorage key
+     */
+    constructor(scope, baseKey) {
+        this.baseKey = baseKey;
+        this.listeners = new Set();
+        this.setScope(scope);
+    }
+
+    /**
+     * Switch to another user's list
+     * @param {string|null} scope - User id or null
+     */
+    setScope(scope) {
+        this.scope = scope;
+        this.storageKey = scope ? `${this.baseKey}.${scope}` : this.baseKey;
+        try {
+            this.items = JSON.parse(window.localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            this.items = [];
+        }
+        this.notify();
+    }
+
+    /**
+     * Subscribe to changes
+     * @param {Function} listener - Called with getAll()
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.getAll()));
+    }
+
+    /**
+     * Persist and notify
+     */
+    save() {
+        window.localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        this.notify();
+    }
+}
+
+// ============================
+// ACTIVITY STORAGE MODULE
+// ============================
+
+/**
+ * IndexedDB persistence backend for activity entries
+ */
+class IndexedDBBackend {
+    constructor(config) {
+        this.config = config;
+        this.db = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the activity database
+     * @param {Object} options - { create: false } to fail instead of creating a missing database
+     * @returns {Promise<void>}
+     */
+    open({ create = true } = {}) {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                if (!create && event.oldVersion === 0) {
+                    // Aborting the first upgrade leaves no empty database behind
+                    request.transaction.abort();
+                    return;
+                }
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.config.storeName)) {
+                    const store = db.createObjectStore(this.config.storeName, { keyPath: 'id' });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('type', 'type');
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    run(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.config.storeName, mode);
+            const request = operation(transaction.objectStore(this.config.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+/**
+ * localStorage persistence backend used when IndexedDB is unavailable
+ */
+class LocalStorageBackend {
+    constructor(config) {
+        this.key = config.fallbackKey;
+    }
+
+    open() {
+        // Touch storage once so private-mode failures surface here
+        window.localStorage.getItem(this.key);
+        return Promise.resolve();
+    }
+
+    read() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.key)) || [];
+        } catch (error) {
+            console.warn('Corrupt activity log in localStorage, starting fresh');
+            return [];
+        }
+    }
+
+    write(entries) {
+        window.localStorage.setItem(this.key, JSON.stringify(entries));
+    }
+
+    close() {}
+
+    getAll() {
+        return Promise.resolve(this.read());
+    }
+
+    put(entry) {
+        const entries = this.read().filter(item => item.id !== entry.id);
+        entries.push(entry);
+        this.write(entries);
+        return Promise.resolve();
+    }
+
+    delete(id) {
+        this.write(this.read().filter(item => item.id !== id));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Persistent activity log backed by IndexedDB with a localStorage fallback
+ */
+class ActivityStore {
+    /**
+     * @param {Object} config - Storage names from APP_CONFIG.storage
+     * @param {string|null} scope - Signed-in user id; null for the guest log
+     */
+    constructor(config = APP_CONFIG.storage, scope = null) {
+        this.config = config;
+        this.scope = scope;
+        this.backend = null;
+        this.activities = [];
+        this.listeners = new Set();
+    }
+
+    /**
+     * Open the best available backend and load existing entries
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.backend) return;
+
+        const config = ActivityStore.scopedConfig(this.config, this.scope);
+        const candidates = [];
+        if (window.indexedDB) candidates.push(new IndexedDBBackend(config));
+        candidates.push(new LocalStorageBackend(config));
+
+        for (const backend of candidates) {
+            try {
+                await backend.open();
+                this.backend = backend;
+                break;
+            } catch (error) {
+                console.warn(`${backend.constructor.name} unavailable:`, error);
+            }
+        }
+
+        if (!this.backend) {
+            throw new Error('No persistent storage available for activities');
+        }
+
+        this.activities = await this.backend.getAll();
+    }
+
+    /**
+     * Read another user's log without keeping it open, and without creating
+     * storage for users who never logged anything in this browser
+     * @param {string} scope - User id
+     * @param {Object} config - Base storage config
+     * @returns {Promise<Object[]>} - Their activities, [] when there are none
+     */
+    static async readLog(scope, config = APP_CONFIG.storage) {
+        const scoped = ActivityStore.scopedConfig(config, scope);
+        if (window.indexedDB) {
+            const backend = new IndexedDBBackend(scoped);
+            try {
+                await backend.open({ create: false });
+                return await backend.getAll();
+            } catch (error) {
+                // No database: the log may be in the localStorage fallback instead
+            } finally {
+                backend.close();
+            }
+        }
+        return new LocalStorageBackend(scoped).getAll();
+    }
+
+    /**
+     * Storage names for a user's own log
+     * @param {Object} config - Base storage config
+     * @param {string|null} scope - User id, or null for the guest log
+     * @returns {Object} - Config with per-user database and key names
+     */
+    static scopedConfig(config, scope) {
+        if (!scope) return config;
+        return {
+            ...config,
+            dbName: `${config.dbName}-${scope}`,
+            fallbackKey: `${config.fallbackKey}.${scope}`
+        };
+    }
+
+    /**
+     * Switch to another user's log
+     * @param {string|null} scope - User id, or null for the guest log
+     * @returns {Promise<void>}
+     */
+    async setScope(scope) {
+        if (scope === this.scope && this.backend) return;
+
+        this.close();
+        this.activities = [];
+        this.scope = scope;
+        await this.init();
+        this.notify('reset', this.getAll());
+    }
+
+    /**
+     * Release the storage backend
+     */
+    close() {
+        this.backend?.close();
+        this.backend = null;
+    }
+
+    /**
+     * Generate a unique activity id
+     * @returns {string} - Activity id
+     */
+    static createId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `act-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Subscribe to store changes
+     * @param {Function} listener - Called with { action, activity } (an array for 'import')
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers of a change
+     * @param {string} action - 'add', 'import', 'update', 'remove', 'sync' (server changes) or 'reset' (switched user)
+     * @param {Object|Object[]} activity - Affected activity (or activities)
+     */
+    notify(action, activity) {
+        this.listeners.forEach(listener => {
+            try {
+                listener({ action, activity });
+            } catch (error) {
+                console.error('Activity listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Get activities, newest first, optionally filtered
+     * @param {Object} filters - { from, to, type } where from/to are YYYY-MM-DD keys
+     * @returns {Object[]} - Matching activities
+     */
+    getAll(filters = {}) {
+        return this.activities
+            .filter(activity => {
+                const dateKey = Utils.toDateKey(activity.timestamp);
+                if (filters.from && dateKey < filters.from) return false;
+                if (filters.to && dateKey > filters.to) return false;
+                if (filters.type && activity.type !== filters.type) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .map(activity => ({ ...activity }));
+    }
+
+    /**
+     * Find a single activity by id
+     * @param {string} id - Activity id
+     * @returns {Object|null} - Activity copy or null
+     */
+    get(id) {
+        const activity = this.activities.find(item => item.id === id);
+        return activity ? { ...activity } : null;
+    }
+
+    /**
+     * Record a new activity
+     * @param {Object} data - { type, amount, unit, factor, co2e, timestamp? }
+     * @returns {Promise<Object>} - Stored activity
+     */
+    async add(data) {
+        const now = new Date().toISOString();
+        const activity = {
+            id: ActivityStore.createId(),
+            timestamp: now,
+            ...data,
+            updatedAt: now
+        };
+
+        await this.backend.put(activity);
+        this.activities.push(activity);
+        this.notify('add', activity);
+        return { ...activity };
+    }
+
+    /**
+     * Update an existing activity
+     * @param {string} id - Activity id
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} - Updated activity
+     */
+    async update(id, changes) {
+        const index = this.activities.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new Error(`Activity not found: ${id}`);
+        }
+
+        const activity = {
+            ...this.activities[index],
+            ...changes,
+            id,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.backend.put(activity);
+        this.activities[index] = activity;
+        this.notify('update', activity);
+        return { ...activity };
+    }
+
+    /**
+     * Record several activities at once, notifying subscribers a single time
+     * @param {Object[]} list - Activity data as accepted by add()
+     * @returns {Promise<Object[]>} - Stored activities
+     */
+    async addMany(list) {
+        const now = new Date().toISOString();
+        const activities = list.map(data => ({
+            id: ActivityStore.createId(),
+            timestamp: now,
+            ...data,
+            updatedAt: now
+        }));
+
+        for (const activity of activities) {
+            await this.backend.put(activity);
+            this.activities.push(activity);
+        }
+        if (activities.length) {
+            this.notify('import', activities);
+        }
+        return activities.map(activity => ({ ...activity }));
+    }
+
+    /**
+     * Delete an activity
+     * @param {string} id - Activity id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const activity = this.activities.find(item => item.id === id);
+        if (!activity) return;
+
+        await this.backend.delete(id);
+        this.activities = this.activities.filter(item => item.id !== id);
+        this.notify('remove', activity);
+    }
+
+    /**
+     * Store a copy received from the server as-is, keeping its updatedAt
+     * @param {Object} activity - Remote activity
+     * @returns {Promise<void>}
+     */
+    async applyRemote(activity) {
+        await this.backend.put(activity);
+        const index = this.activities.findIndex(item => item.id === activity.id);
+        if (index === -1) {
+            this.activities.push({ ...activity });
+        } else {
+            this.activities[index] = { ...activity };
+        }
+        this.notify('sync', activity);
+    }
+
+    /**
+     * Drop an entry that was deleted on the server
+     * @param {string} id - Activity id
+     * @returns {Promise<void>}
+     */
+    async removeRemote(id) {
+        const activity = this.activities.find(item => item.id === id);
+        if (!activity) return;
+
+        await this.backend.delete(id);
+        this.activities = this.activities.filter(item => item.id !== id);
+        this.notify('sync', activity);
+    }
+}
+
+// ============================
+// API CLIENT MODULE
+// ============================
+
+/**
+ * @typedef {Object} Activity
+ * @property {string} id - Client-generated id, shared with the server
+ * @property {string} timestamp - ISO time the activity happened
+ * @property {string} type - 'transport', 'energy', 'food' or 'shopping'
+ * @property {number} amount - Amount in the entered unit
+ * @property {string} unit - Unit id from APP_CONFIG.units
+ * @property {Object} details - Category-specific details
+ * @property {number} co2e - kg CO2e
+ * @property {string} updatedAt - ISO time of the last edit, used for conflict checks
+ */
+
+/**
+ * @typedef {Object} Summary
+ * @property {string} period - 'daily' or 'monthly'
+ * @property {Array<{ key: string, total: number, byCategory: Object<string, number> }>} buckets - Totals per day or month
+ * @property {number} total - kg CO2e across all buckets
+ */
+
+/**
+ * @typedef {Object} SyncStatus
+ * @property {string} state - 'idle', 'syncing', 'offline', 'error' or 'unavailable'
+ * @property {number} pending - Queued changes not yet on the server
+ * @property {number} conflicts - Conflicts resolved in the last sync
+ * @property {string|null} lastSyncedAt - ISO time of the last complete sync
+ */
+
+/**
+ * Error from the API, with the HTTP status (0 for network failures)
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status, 0 when the request never completed
+     * @param {Object|null} body - Parsed response body
+     */
+    constructor(message, status, body = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+    }
+
+    /**
+     * Whether retrying the same request later might succeed
+     * @returns {boolean} - True for network errors, timeouts, 429 and 5xx
+     */
+    get isRetryable() {
+        return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+}
+
+/**
+ * Thin client for the /api/v1 endpoints. Pass a fetch implementation and a
+ * base URL to run it against a local or mock server.
+ */
+class ApiClient {
+    /**
+     * @param {Object} options - { baseUrl, fetch, headers, retries, backoffBase, timeout } where headers() returns auth headers
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || APP_CONFIG.apiEndpoint).replace(/\/$/, '');
+        this.fetchImpl = options.fetch || ((...args) => window.fetch(...args));
+        this.headers = options.headers || (() => ({}));
+        this.retries = options.retries ?? APP_CONFIG.api.retries;
+        this.backoffBase = options.backoffBase ?? APP_CONFIG.api.backoffBase;
+        this.timeout = options.timeout ?? APP_CONFIG.api.timeout;
+    }
+
+    /**
+     * Exponential backoff with jitter
+     * @param {number} attempt - Zero-based retry attempt
+     * @returns {number} - Delay in ms
+     */
+    static backoff(attempt, base = APP_CONFIG.api.backoffBase) {
+        const delay = Math.min(APP_CONFIG.api.backoffMax, base * 2 ** attempt);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Send a request, retrying retryable failures with backoff
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the base URL
+     * @param {Object} options - { body, query, retries }
+     * @returns {Promise<Object|null>} - Parsed JSON body, null for 204
+     * @throws {ApiError} - When the request fails for good
+     */
+    async request(method, path, { body, query, retries = this.retries } = {}) {
+        const params = new URLSearchParams(Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        const url = `${this.baseUrl}${path}${params.toString() ? `?${params}` : ''}`;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(method, url, body);
+            } catch (error) {
+                if (!error.isRetryable || attempt >= retries) throw error;
+                await new Promise(resolve => setTimeout(resolve, ApiClient.backoff(attempt, this.backoffBase)));
+            }
+        }
+    }
+
+    /**
+     * Perform a single HTTP round trip
+     * @param {string} method - HTTP method
+     * @param {string} url - Full URL
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object|null>} - Parsed JSON body
+     * @throws {ApiError} - On network failure, timeout or non-2xx status
+     */
+    async send(method, url, body) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        let response;
+        try {
+            response = await this.fetchImpl(url, {
+                method,
+                headers: {
+                    Accept: 'application/json',
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...this.headers()
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller?.signal
+            });
+        } catch (error) {
+            throw new ApiError(error.name === 'AbortError' ? 'Request timed out' : 'Network unavailable', 0);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const text = response.status === 204 ? '' : await response.text();
+        let payload = null;
+        try {
+            payload = text ? JSON.parse(text) : null;
+        } catch (error) {
+            payload = null;
+        }
+
+        if (!response.ok) {
+            throw new ApiError(payload?.error || `Request failed with status ${response.status}`, response.status, payload);
+        }
+        return payload;
+    }
+
+    /**
+     * Check the server is there
+     * @returns {Promise<Object>} - { status, version }
+     */
+    health() {
+        return this.request('GET', '/health', { retries: 0 });
+    }
+
+    /**
+     * List activities
+     * @param {Object} filters - { from, to, type, since } where since is a cursor from an earlier listing
+     * @returns {Promise<{ activities: Activity[], deleted: string[], cursor: number }>} - Matching activities, ids deleted since the cursor and the new cursor
+     */
+    listActivities(filters = {}) {
+        return this.request('GET', '/activities', { query: filters });
+    }
+
+    /**
+     * Create an activity with its client id
+     * @param {Activity} activity - Activity to store
+     * @returns {Promise<{ activity: Activity }>} - Stored activity
+     */
+    createActivity(activity) {
+        return this.request('POST', '/activities', { body: activity });
+    }
+
+    /**
+     * Update an activity, failing with 409 if the server copy changed since baseUpdatedAt
+     * @param {Activity} activity - New version
+     * @param {string|null} baseUpdatedAt - updatedAt of the version this edit started from
+     * @returns {Promise<{ activity: Activity }>} - Stored activity
+     */
+    updateActivity(activity, baseUpdatedAt) {
+        return this.request('PUT', `/activities/${encodeURIComponent(activity.id)}`, { body: { ...activity, baseUpdatedAt } });
+    }
+
+    /**
+     * Delete an activity
+     * @param {string} id - Activity id
+     * @returns {Promise<null>}
+     */
+    deleteActivity(id) {
+        return this.request('DELETE', `/activities/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Fetch daily or monthly aggregates
+     * @param {Object} options - { period: 'daily'|'monthly', from, to }
+     * @returns {Promise<Summary>} - Aggregates
+     */
+    getSummary({ period = 'daily', from, to } = {}) {
+        return this.request('GET', '/summary', { query: { period, from, to } });
+    }
+
+    /**
+     * Look up emission factors
+     * @param {string} type - Optional activity category
+     * @returns {Promise<Object>} - Factor catalogue
+     */
+    getFactors(type) {
+        return this.request('GET', '/factors', { query: { type } });
+    }
+
+    /**
+     * Fetch saved user preferences
+     * @returns {Promise<{ preferences: Object }>} - Preference values
+     */
+    getPreferences() {
+        return this.request('GET', '/preferences');
+    }
+
+    /**
+     * Merge preference values on the server
+     * @param {Object} values - Preferences to change
+     * @returns {Promise<{ preferences: Object }>} - All preference values
+     */
+    updatePreferences(values) {
+        return this.request('PATCH', '/preferences', { body: values });
+    }
+}
+
+/**
+ * Offline write queue persisted in localStorage. Operations on the same
+ * entry are coalesced so only the net change is sent.
+ */
+class SyncQueue {
+    constructor(storageKey = APP_CONFIG.api.queueKey) {
+        this.storageKey = storageKey;
+        this.items = this.load();
+    }
+
+    /**
+     * Read the saved queue
+     * @returns {Object[]} - Queued operations
+     */
+    load() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist the queue
+     */
+    save() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Could not persist sync queue:', error);
+        }
+    }
+
+    /**
+     * Queue an operation, merging it with any pending one for the same key
+     * @param {Object} operation - { op: 'create'|'update'|'delete'|'preferences', id, activity?, baseUpdatedAt?, values? }
+     */
+    enqueue(operation) {
+        const index = this.items.findIndex(item => item.id === operation.id);
+        const pending = index === -1 ? null : this.items[index];
+        let merged = operation;
+
+        if (pending) {
+            if (operation.op === 'preferences') {
+                merged = { ...pending, values: { ...pending.values, ...operation.values } };
+            } else if (pending.op === 'create' && operation.op === 'delete') {
+                merged = null;   // never reached the server
+            } else if (pending.op === 'create') {
+                merged = { ...pending, activity: operation.activity };
+            } else if (pending.op === 'update' && operation.op === 'update') {
+                merged = { ...operation, baseUpdatedAt: pending.baseUpdatedAt };
+            }
+            this.items.splice(index, 1);
+        }
+
+        if (merged) this.items.push(merged);
+        this.save();
+    }
+
+    /**
+     * First queued operation
+     * @returns {Object|null} - Operation or null when empty
+     */
+    peek() {
+        return this.items[0] || null;
+    }
+
+    /**
+     * Remove a sent operation
+     * @param {Object} operation - Operation returned by peek()
+     */
+    remove(operation) {
+        this.items = this.items.filter(item => item !== operation);
+        this.save();
+    }
+
+    /**
+     * Whether an entry has unsent changes
+     * @param {string} id - Activity id
+     * @returns {boolean} - True when queued
+     */
+    has(id) {
+        return this.items.some(item => item.id === id);
+    }
+
+    get size() {
+        return this.items.length;
+    }
+}
+
+/**
+ * Keeps the local activity log and preferences in step with the server.
+ * Local writes go into the queue first, so logging never waits on the network.
+ */
+class SyncService {
+    /**
+     * @param {ActivityStore} store - Activity log
+     * @param {PreferenceStore|null} preferences - Preference store
+     * @param {Object} options - { client, queue, scope, onConflict(local, remote) => resolved activity }
+     */
+    constructor(store, preferences, options = {}) {
+        this.store = store;
+        this.preferences = preferences;
+        this.client = options.client || new ApiClient();
+        this.scope = options.scope || null;
+        this.queue = options.queue || new SyncQueue(this.scopedKey(APP_CONFIG.api.queueKey));
+        this.onConflict = options.onConflict || SyncService.latestWins;
+        this.statusEl = Utils.safeSelect('#sync-status');
+        this.listeners = new Set();
+        this.state = this.loadState();
+        this.status = { state: 'idle', pending: this.queue.size, conflicts: 0, lastSyncedAt: this.state.lastSyncedAt || null };
+        this.retryAttempt = 0;
+        this.applyingRemote = false;
+
+        this.init();
+    }
+
+    /**
+     * Default conflict policy: the most recent edit wins
+     * @param {Activity} local - Local version
+     * @param {Activity} remote - Server version
+     * @returns {Activity} - Version to keep
+     */
+    static latestWins(local, remote) {
+        return new Date(local.updatedAt) >= new Date(remote.updatedAt) ? local : remote;
+    }
+
+    /**
+     * Storage key for the current user
+     * @param {string} key - Base key
+     * @returns {string} - Key suffixed with the user id when signed in
+     */
+    scopedKey(key) {
+        return this.scope ? `${key}.${this.scope}` : key;
+    }
+
+    /**
+     * Switch the queue and bookkeeping to another user's log and sync it
+     * @param {string|null} scope - User id, or null for the guest log
+     * @returns {Promise<SyncStatus>} - Status after the first sync
+     */
+    async setScope(scope) {
+        clearTimeout(this.retryTimer);
+        await this.running;
+        this.scope = scope;
+        this.queue = new SyncQueue(this.scopedKey(APP_CONFIG.api.queueKey));
+        this.state = this.loadState();
+        this.retryAttempt = 0;
+        this.setStatus({ state: 'idle', conflicts: 0, lastSyncedAt: this.state.lastSyncedAt || null });
+        return this.sync();
+    }
+
+    /**
+     * Read saved sync bookkeeping
+     * @returns {Object} - { versions, deleted, lastSyncedAt, cursor, seeded }
+     */
+    loadState() {
+        try {
+            return { versions: {}, deleted: {}, ...JSON.parse(window.localStorage.getItem(this.scopedKey(APP_CONFIG.api.syncStateKey))) };
+        } catch (error) {
+            return { versions: {}, deleted: {} };
+        }
+    }
+
+    /**
+     * Persist sync bookkeeping
+     */
+    saveState() {
+        this.pruneDeleted();
+        try {
+            window.localStorage.setItem(this.scopedKey(APP_CONFIG.api.syncStateKey), JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Could not persist sync state:', error);
+        }
+    }
+
+    /**
+     * Follow local changes and connectivity, then try a first sync
+     */
+    init() {
+        if (!this.store) return;
+
+        this.unsubscribe = this.store.subscribe(change => this.handleChange(change));
+        this.unsubscribePreferences = this.preferences?.subscribe(({ key, value }) => {
+            if (this.applyingRemote) return;
+            this.queue.enqueue({ op: 'preferences', id: 'preferences', values: { [key]: value } });
+            this.scheduleSync(0);
+        });
+
+        this.onOnline = () => this.sync();
+        this.onOffline = () => this.setStatus({ state: 'offline' });
+        window.addEventListener('online', this.onOnline);
+        window.addEventListener('offline', this.onOffline);
+
+        this.render();
+        this.sync();
+    }
+
+    /**
+     * Queue a local change
+     * @param {Object} change - { action, activity } from ActivityStore
+     */
+    handleChange({ action, activity }) {
+        const list = Array.isArray(activity) ? activity : [activity];
+        if (action === 'remove') {
+            // Recorded even without an API, so recurring schedules never log the entry again
+            list.forEach(item => this.markDeleted(item.id));
+            this.saveState();
+        }
+        if (!['add', 'import', 'update', 'remove'].includes(action) || this.status.state === 'unavailable') return;
+
+        list.forEach(item => {
+            if (action === 'remove') {
+                this.queue.enqueue({ op: 'delete', id: item.id });
+            } else if (action === 'update' && this.state.versions[item.id]) {
+                this.queue.enqueue({ op: 'update', id: item.id, activity: item, baseUpdatedAt: this.state.versions[item.id] });
+            } else {
+                this.queue.enqueue({ op: 'create', id: item.id, activity: item });
+            }
+        });
+        this.scheduleSync(0);
+    }
+
+    /**
+     * Record that an activity was deleted
+     * @param {string} id - Activity id
+     * @param {Date} now - Deletion time
+     */
+    markDeleted(id, now = new Date()) {
+        this.state.deleted[id] = Utils.toDateKey(now);
+    }
+
+    /**
+     * Whether an activity was deleted on this device or, as of the last pull, on another one
+     * @param {string} id - Activity id
+     * @returns {boolean} - True when deleted
+     */
+    wasDeleted(id) {
+        return !!this.state.deleted[id];
+    }
+
+    /**
+     * Forget deletions from before the recurring backfill window: occurrences
+     * that old are never logged again, so their record has no use
+     * @param {Date} now - Current time
+     */
+    pruneDeleted(now = new Date()) {
+        const earliest = Utils.toDateKey(Utils.addDays(now, -RecurrenceRule.MAX_BACKFILL_DAYS));
+        Object.entries(this.state.deleted).forEach(([id, date]) => {
+            // Records saved before deletion dates were kept just hold `true`
+            if (typeof date !== 'string' || date < earliest) delete this.state.deleted[id];
+        });
+    }
+
+    /**
+     * Run a sync after a delay, replacing any pending one
+     * @param {number} delay - Delay in ms
+     */
+    scheduleSync(delay) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.sync(), delay);
+    }
+
+    /**
+     * Push queued changes, then pull server changes. Concurrent calls share one run.
+     * @returns {Promise<SyncStatus>} - Status after the run
+     */
+    sync() {
+        if (!this.running) {
+            this.running = this.runSync().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * One sync pass
+     * @returns {Promise<SyncStatus>} - Status after the pass
+     */
+    async runSync() {
+        if (navigator.onLine === false) {
+            this.setStatus({ state: 'offline' });
+            return this.status;
+        }
+
+        this.setStatus({ state: 'syncing', conflicts: 0 });
+        try {
+            if (!this.state.seeded) {
+                await this.client.health();
+                this.seed();
+            }
+            await this.push();
+            await this.pull();
+
+            this.retryAttempt = 0;
+            this.state.lastSyncedAt = new Date().toISOString();
+            this.saveState();
+            this.setStatus({ state: 'idle', lastSyncedAt: this.state.lastSyncedAt });
+        } catch (error) {
+            if (error.status === 404 && !this.state.seeded) {
+                // Static hosting: there is no API behind the endpoint
+                this.setStatus({ state: 'unavailable' });
+                return this.status;
+            }
+            if (!(error instanceof ApiError)) {
+                console.error('Sync failed:', error);
+            }
+            this.setStatus({ state: error.status === 0 ? 'offline' : 'error' });
+            this.scheduleSync(ApiClient.backoff(this.retryAttempt++));
+        }
+        return this.status;
+    }
+
+    /**
+     * Queue everything logged before sync was first available
+     */
+    seed() {
+        this.store.getAll().forEach(activity => {
+            if (!this.queue.has(activity.id)) {
+                this.queue.enqueue({ op: 'create', id: activity.id, activity });
+            }
+        });
+        this.state.seeded = true;
+        this.saveState();
+    }
+
+    /**
+     * Send queued operations in order
+     * @returns {Promise<void>}
+     * @throws {ApiError} - On failures worth retrying later
+     */
+    async push() {
+        let operation;
+        while ((operation = this.queue.peek())) {
+            try {
+                await this.send(operation);
+            } catch (error) {
+                if (!(error instanceof ApiError) || error.isRetryable) throw error;
+                if (error.status === 409) {
+                    await this.resolveConflict(operation, error.body?.activity);
+                } else {
+                    // The server rejected it outright; retrying the same payload won't help
+                    console.warn(`Dropping rejected ${operation.op} for ${operation.id}:`, error.message);
+                }
+            }
+            this.queue.remove(operation);
+            this.setStatus({});
+        }
+    }
+
+    /**
+     * Send one queued operation
+     * @param {Object} operation - Queued operation
+     * @returns {Promise<void>}
+     */
+    async send(operation) {
+        if (operation.op === 'preferences') {
+            await this.client.updatePreferences(operation.values);
+            return;
+        }
+        if (operation.op === 'delete') {
+            try {
+                await this.client.deleteActivity(operation.id);
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+            delete this.state.versions[operation.id];
+            return;
+        }
+
+        const response = operation.op === 'create'
+            ? await this.client.createActivity(operation.activity)
+            : await this.client.updateActivity(operation.activity, operation.baseUpdatedAt);
+        this.state.versions[operation.id] = response.activity.updatedAt;
+    }
+
+    /**
+     * Settle an entry edited both here and on the server
+     * @param {Object} operation - The rejected create or update
+     * @param {Activity} remote - Server version from the 409 response
+     * @returns {Promise<void>}
+     */
+    async resolveConflict(operation, remote) {
+        if (!remote) return;
+
+        this.status.conflicts++;
+        const local = this.store.get(operation.id) || operation.activity;
+        const winner = this.onConflict(local, remote);
+
+        if (winner === remote) {
+            this.state.versions[remote.id] = remote.updatedAt;
+            await this.applyRemote(() => this.store.applyRemote(remote));
+            return;
+        }
+        // Keep ours, based on the version we now know the server has
+        const response = await this.client.updateActivity(winner, remote.updatedAt);
+        this.state.versions[winner.id] = response.activity.updatedAt;
+    }
+
+    /**
+     * Fetch changes made elsewhere since the last sync. The cursor is the
+     * server's own write counter: an edit made offline and pushed late still
+     * comes after it, whatever its updatedAt says.
+     * @returns {Promise<void>}
+     */
+    async pull() {
+        const { activities = [], deleted = [], cursor } = await this.client.listActivities({ since: this.state.cursor ?? undefined }) || {};
+
+        for (const remote of activities) {
+            if (this.queue.has(remote.id)) continue;   // our pending edit will meet it as a conflict
+            const local = this.store.get(remote.id);
+            this.state.versions[remote.id] = remote.updatedAt;
+            delete this.state.deleted[remote.id];
+            if (!local || new Date(remote.updatedAt) > new Date(local.updatedAt)) {
+                await this.applyRemote(() => this.store.applyRemote(remote));
+            }
+        }
+        for (const id of deleted) {
+            if (this.queue.has(id)) continue;
+            delete this.state.versions[id];
+            this.markDeleted(id);
+            await this.applyRemote(() => this.store.removeRemote(id));
+        }
+
+        if (Number.isInteger(cursor)) this.state.cursor = cursor;
+
+        if (!this.state.lastSyncedAt) {
+            const { preferences = {} } = await this.client.getPreferences() || {};
+            // Only fill in settings this device hasn't chosen itself
+            await this.applyRemote(() => Object.entries(preferences).forEach(([key, value]) => {
+                if (this.preferences && this.preferences.get(key) === null) this.preferences.set(key, value);
+            }));
+        }
+    }
+
+    /**
+     * Run a local write that must not be queued back to the server
+     * @param {Function} write - Write to perform
+     * @returns {Promise<void>}
+     */
+    async applyRemote(write) {
+        this.applyingRemote = true;
+        try {
+            await write();
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    /**
+     * Subscribe to status changes
+     * @param {Function} listener - Called with the SyncStatus
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Update and broadcast the status
+     * @param {Object} changes - Status fields to change
+     */
+    setStatus(changes) {
+        this.status = { ...this.status, ...changes, pending: this.queue.size };
+        this.render();
+        this.listeners.forEach(listener => listener({ ...this.status }));
+    }
+
+    /**
+     * Show the status next to the history
+     */
+    render() {
+        if (!this.statusEl) return;
+
+        const { state, pending, conflicts } = this.status;
+        const messages = {
+            idle: pending ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync` : 'All changes synced',
+            syncing: 'Syncing…',
+            offline: pending ? `Offline — ${pending} change${pending === 1 ? '' : 's'} saved on this device` : 'Offline',
+            error: `Sync failed, retrying — ${pending} pending`,
+            unavailable: 'Saved on this device'
+        };
+        let text = messages[state];
+        if (conflicts && state === 'idle') {
+            text += ` (${conflicts} conflicting edit${conflicts === 1 ? '' : 's'} resolved — newest kept)`;
+        }
+        this.statusEl.textContent = text;
+        this.statusEl.dataset.state = state;
+    }
+
+    /**
+     * Stop listening and cancel retries
+     */
+    destroy() {
+        if (this.statusEl) {
+            this.statusEl.textContent = '';
+            delete this.statusEl.dataset.state;
+        }
+        clearTimeout(this.retryTimer);
+        this.unsubscribe?.();
+        this.unsubscribePreferences?.();
+        window.removeEventListener('online', this.onOnline);
+        window.removeEventListener('offline', this.onOffline);
+    }
+}
+
+// ============================
+// AUTHENTICATION MODULE
+// ============================
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {string} id - Stable user id, also scopes the activity log
+ * @property {string} name - Display name
+ * @property {string} email - Sign-in email
+ * @property {string} plan - Pricing plan id chosen at sign-up
+ * @property {string} createdAt - ISO time the account was created
+ */
+
+/**
+ * @typedef {Object} AuthProvider
+ * @property {function(): Promise<AuthUser|null>} getSession - Restore the signed-in user
+ * @property {function(Object): Promise<AuthUser>} signUp - { name, email, password, plan }
+ * @property {function(Object): Promise<AuthUser>} signIn - { email, password }
+ * @property {function(): Promise<void>} signOut - End the session
+ * @property {function(string): Promise<Object>} requestPasswordReset - Send a reset code; resolves { delivery, code? }
+ * @property {function(Object): Promise<AuthUser>} resetPassword - { email, code, password }, signs the user in
+ * @property {function(AuthUser, Object): Promise<AuthUser>} updateUser - Change profile fields such as the plan
+ * @property {function(AuthUser): Object} getAuthHeaders - Headers identifying the user to the API
+ */
+
+/**
+ * Development stand-in provider. Accounts live in this browser's
+ * localStorage with PBKDF2-hashed passwords; reset codes are shown on screen
+ * instead of emailed. Swap in a provider backed by a real identity service
+ * for production.
+ */
+class LocalAuthProvider {
+    constructor(config = APP_CONFIG.auth) {
+        this.config = config;
+    }
+
+    /**
+     * Read stored accounts
+     * @returns {Object} - Accounts keyed by normalised email
+     */
+    readUsers() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.config.usersKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Persist accounts
+     * @param {Object} users - Accounts keyed by normalised email
+     */
+    writeUsers(users) {
+        window.localStorage.setItem(this.config.usersKey, JSON.stringify(users));
+    }
+
+    /**
+     * Account fields safe to hand to the app
+     * @param {Object} record - Stored account
+     * @returns {AuthUser} - Public user
+     */
+    static toUser(record) {
+        const { id, name, email, plan, createdAt } = record;
+        return { id, name, email, plan, createdAt };
+    }
+
+    /**
+     * Lower-case and trim an email address
+     * @param {string} email - Email as typed
+     * @returns {string} - Normalised email
+     */
+    static normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Random hex string
+     * @param {number} bytes - Number of random bytes
+     * @returns {string} - Hex string
+     */
+    static randomHex(bytes) {
+        const values = window.crypto.getRandomValues(new Uint8Array(bytes));
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Derive a password hash with PBKDF2-SHA-256
+     * @param {string} password - Plain password
+     * @param {string} salt - Hex salt
+     * @returns {Promise<string>} - Hex hash
+     * @throws {Error} - When Web Crypto is unavailable (e.g. plain http on some browsers)
+     */
+    async hash(password, salt) {
+        const subtle = window.crypto?.subtle;
+        if (!subtle) {
+            throw new Error('Secure password hashing is not available in this browser');
+        }
+        const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt: new TextEncoder().encode(salt),
+            iterations: this.config.hashIterations
+        }, key, 256);
+        return Array.from(new Uint8Array(bits), value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Check sign-up input
+     * @param {Object} input - { email, password }
+     * @throws {Error} - Describing the first problem
+     */
+    validateCredentials({ email, password }) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(LocalAuthProvider.normalizeEmail(email))) {
+            throw new Error('Please enter a valid email address');
+        }
+        if (String(password || '').length < this.config.minPasswordLength) {
+            throw new Error(`Passwords need at least ${this.config.minPasswordLength} characters`);
+        }
+    }
+
+    /**
+     * Start a session for an account
+     * @param {Object} record - Stored account
+     * @returns {AuthUser} - Signed-in user
+     */
+    startSession(record) {
+        window.localStorage.setItem(this.config.sessionKey, JSON.stringify({ email: record.email }));
+        return LocalAuthProvider.toUser(record);
+    }
+
+    async getSession() {
+        try {
+            const session = JSON.parse(window.localStorage.getItem(this.config.sessionKey));
+            const record = session && this.readUsers()[session.email];
+            return record ? LocalAuthProvider.toUser(record) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async signUp({ name, email, password, plan = 'personal' }) {
+        this.validateCredentials({ email, password });
+        const users = this.readUsers();
+        const key = LocalAuthProvider.normalizeEmail(email);
+        if (users[key]) {
+            throw new Error('An account with this email already exists — try signing in');
+        }
+
+        const salt = LocalAuthProvider.randomHex(16);
+        const record = {
+            id: `user-${LocalAuthProvider.randomHex(8)}`,
+            name: String(name || '').trim() || key.split('@')[0],
+            email: key,
+            plan,
+            createdAt: new Date().toISOString(),
+            salt,
+            hash: await this.hash(password, salt)
+        };
+        this.writeUsers({ ...users, [key]: record });
+        return this.startSession(record);
+    }
+
+    async signIn({ email, password }) {
+        const record = this.readUsers()[LocalAuthProvider.normalizeEmail(email)];
+        // Hash even for unknown emails so both failures take the same time
+        const hash = await this.hash(String(password || ''), record?.salt || 'unknown');
+        if (!record || hash !== record.hash) {
+            throw new Error('Incorrect email or password');
+        }
+        return this.startSession(record);
+    }
+
+    async signOut() {
+        window.localStorage.removeItem(this.config.sessionKey);
+    }
+
+    async requestPasswordReset(email) {
+        const users = this.readUsers();
+        const key = LocalAuthProvider.normalizeEmail(email);
+        if (!users[key]) {
+            return { delivery: 'local', code: null };
+        }
+
+        const code = String(window.crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+        users[key] = {
+            ...users[key],
+            reset: { hash: await this.hash(code, users[key].salt), expires: Date.now() + this.config.resetCodeTtl }
+        };
+        this.writeUsers(users);
+        return { delivery: 'local', code };
+    }
+
+    async resetPassword({ email, code, password }) {
+        this.validateCredentials({ email, password });
+        const users = this.readUsers();
+        const key = LocalAuthProvider.normalizeEmail(email);
+        const record = users[key];
+        const reset = record?.reset;
+        if (!reset || reset.expires < Date.now() || await this.hash(String(code || '').trim(), record.salt) !== reset.hash) {
+            throw new Error('That reset code is invalid or has expired');
+        }
+
+        const salt = LocalAuthProvider.randomHex(16);
+        const { reset: used, ...rest } = record;
+        users[key] = { ...rest, salt, hash: await this.hash(password, salt) };
+        this.writeUsers(users);
+        return this.startSession(users[key]);
+    }
+
+    async updateUser(user, changes) {
+        const users = this.readUsers();
+        const record = users[user?.email];
+        if (!record) {
+            throw new Error('Please sign in again');
+        }
+        const { name, plan } = changes;
+        users[user.email] = {
+            ...record,
+            ...(name !== undefined ? { name: String(name).trim() || record.name } : {}),
+            ...(plan !== undefined ? { plan } : {})
+        };
+        this.writeUsers(users);
+        return LocalAuthProvider.toUser(users[user.email]);
+    }
+
+    getAuthHeaders(user) {
+        // Development only: a real provider would return a bearer token here
+        return user ? { 'X-EcoTrack-User': user.id } : {};
+    }
+}
+
+/**
+ * Current-user state on top of a pluggable AuthProvider
+ */
+class AuthService {
+    /**
+     * @param {AuthProvider} provider - Identity provider
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.user = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Restore any saved session
+     * @returns {Promise<AuthUser|null>} - Signed-in user
+     */
+    async init() {
+        try {
+            this.user = await this.provider.getSession();
+        } catch (error) {
+            console.warn('Could not restore session:', error);
+            this.user = null;
+        }
+        return this.user;
+    }
+
+    /**
+     * Signed-in user
+     * @returns {AuthUser|null} - User or null for guests
+     */
+    getUser() {
+        return this.user ? { ...this.user } : null;
+    }
+
+    /**
+     * Headers for API requests
+     * @returns {Object} - Provider auth headers
+     */
+    getAuthHeaders() {
+        return this.provider.getAuthHeaders(this.user);
+    }
+
+    /**
+     * Subscribe to sign-in and sign-out
+     * @param {Function} listener - Called with the user (or null)
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Store the user and notify listeners
+     * @param {AuthUser|null} user - New user
+     * @returns {Promise<AuthUser|null>} - The user, once listeners have switched over
+     */
+    async setUser(user) {
+        this.user = user;
+        await Promise.all([...this.listeners].map(listener => listener(this.getUser())));
+        return this.getUser();
+    }
+
+    async signUp(input) {
+        return this.setUser(await this.provider.signUp(input));
+    }
+
+    async signIn(input) {
+        return this.setUser(await this.provider.signIn(input));
+    }
+
+    async signOut() {
+        await this.provider.signOut();
+        return this.setUser(null);
+    }
+
+    requestPasswordReset(email) {
+        return this.provider.requestPasswordReset(email);
+    }
+
+    async resetPassword(input) {
+        return this.setUser(await this.provider.resetPassword(input));
+    }
+
+    async updateUser(changes) {
+        return this.setUser(await this.provider.updateUser(this.user, changes));
+    }
+}
+
+/**
+ * Sign-up, sign-in and password reset dialog wired to the CTA buttons
+ */
+class AuthModal {
+    // Message keys for each view's heading
+    static TITLES = {
+        signup: 'auth.title.signup',
+        signin: 'auth.title.signin',
+        'reset-request': 'auth.title.resetRequest',
+        reset: 'auth.title.reset'
+    };
+
+    /**
+     * @param {AuthService} auth - Auth state
+     */
+    constructor(auth) {
+        this.auth = auth;
+        this.modal = Utils.safeSelect('#auth-modal');
+        this.title = Utils.safeSelect('#auth-title');
+        this.message = Utils.safeSelect('#auth-message');
+        this.headerButton = Utils.safeSelect('#header-cta-btn');
+        this.headerUser = Utils.safeSelect('#header-user');
+        this.getStartedButton = Utils.safeSelect('#get-started-btn');
+        this.pricingGrid = Utils.safeSelect('#pricing-grid');
+        this.selectedPlan = 'personal';
+        this.opener = null;
+
+        this.init();
+    }
+
+    /**
+     * Attach CTA, form and keyboard handlers
+     */
+    init() {
+        if (!this.modal || !this.auth) return;
+
+        Utils.addSafeListener(this.headerButton, 'click', () => {
+            if (this.auth.getUser()) {
+                this.auth.signOut();
+            } else {
+                this.selectedPlan = 'personal';
+                this.open('signup');
+            }
+        });
+        Utils.addSafeListener(this.getStartedButton, 'click', () => {
+            if (this.auth.getUser()) {
+                Utils.safeSelect('#demo')?.scrollIntoView({ behavior: MotionPreference.scrollBehavior });
+            } else {
+                this.selectedPlan = 'personal';
+                this.open('signup');
+            }
+        });
+        // Pricing cards are generated later, so listen on the grid
+        Utils.addSafeListener(this.pricingGrid, 'click', (e) => {
+            const button = e.target.closest('button[data-plan]');
+            if (!button || this.auth.getUser()) return;
+            this.selectedPlan = button.dataset.plan;
+            this.open('signup');
+        });
+
+        this.modal.querySelectorAll('[data-auth-view]').forEach(link => {
+            Utils.addSafeListener(link, 'click', () => this.showView(link.dataset.authView));
+        });
+        this.modal.querySelectorAll('form[data-view]').forEach(form => {
+            Utils.addSafeListener(form, 'submit', (e) => {
+                e.preventDefault();
+                this.submit(form);
+            });
+        });
+        Utils.addSafeListener(Utils.safeSelect('#auth-close-btn'), 'click', () => this.close());
+        Utils.addSafeListener(this.modal, 'click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        Utils.addSafeListener(this.modal, 'keydown', (e) => this.handleKeydown(e));
+
+        this.unsubscribe = this.auth.subscribe(() => this.renderHeader());
+        this.unsubscribeLocale = I18n.subscribe(() => this.renderHeader());
+        this.renderHeader();
+    }
+
+    /**
+     * Reflect the signed-in user in the header
+     */
+    renderHeader() {
+        const user = this.auth.getUser();
+        if (this.headerButton) {
+            this.headerButton.textContent = I18n.t(user ? 'header.signOut' : 'header.startTrial');
+        }
+        if (this.headerUser) {
+            this.headerUser.hidden = !user;
+            this.headerUser.textContent = user ? I18n.t('header.greeting', { name: user.name }) : '';
+        }
+    }
+
+    /**
+     * Open the dialog
+     * @param {string} view - 'signup', 'signin', 'reset-request' or 'reset'
+     */
+    open(view) {
+        this.opener = document.activeElement;
+        this.modal.hidden = false;
+        document.body.classList.add('modal-open');
+        this.showView(view);
+    }
+
+    /**
+     * Close the dialog and return focus to whatever opened it
+     */
+    close() {
+        this.modal.hidden = true;
+        document.body.classList.remove('modal-open');
+        this.modal.querySelectorAll('form').forEach(form => form.reset());
+        this.opener?.focus?.();
+    }
+
+    /**
+     * Switch between the dialog's forms
+     * @param {string} view - View name
+     */
+    showView(view) {
+        this.view = view;
+        this.modal.querySelectorAll('form[data-view]').forEach(form => {
+            form.hidden = form.dataset.view !== view;
+        });
+        if (this.title) this.title.textContent = I18n.t(AuthModal.TITLES[view]);
+        Utils.showMessage(this.message, '');
+
+        const planInput = this.modal.querySelector('#auth-signup-plan');
+        if (planInput) {
+            planInput.textContent = view === 'signup'
+                ? I18n.t('auth.plan', { plan: `${this.selectedPlan.charAt(0).toUpperCase()}${this.selectedPlan.slice(1)}` })
+                : '';
+        }
+
+        this.modal.querySelector(`form[data-view="${view}"] input`)?.focus();
+    }
+
+    /**
+     * Keep focus inside the dialog and close on Escape
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...this.modal.querySelectorAll('button, input, a[href]')]
+            .filter(element => !element.disabled && !element.closest('[hidden]'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Handle a form submission for the current view
+     * @param {HTMLFormElement} form - Submitted form
+     * @returns {Promise<void>}
+     */
+    async submit(form) {
+        const values = Object.fromEntries(new FormData(form));
+        const button = form.querySelector('button[type="submit"]');
+        if (button) button.disabled = true;
+
+        try {
+            if (form.dataset.view === 'signup') {
+                await this.auth.signUp({ ...values, plan: this.selectedPlan });
+                this.close();
+            } else if (form.dataset.view === 'signin') {
+                await this.auth.signIn(values);
+                this.close();
+            } else if (form.dataset.view === 'reset-request') {
+                const { code } = await this.auth.requestPasswordReset(values.email);
+                this.showView('reset');
+                this.modal.querySelector('#auth-reset-email').value = values.email;
+                // The local provider can't send email, so it hands the code back
+                Utils.showMessage(this.message, code
+                    ? I18n.t('auth.resetCode', { code, minutes: Math.round(APP_CONFIG.auth.resetCodeTtl / 60000) })
+                    : I18n.t('auth.resetSent'), 'info');
+            } else if (form.dataset.view === 'reset') {
+                await this.auth.resetPassword(values);
+                this.close();
+            }
+        } catch (error) {
+            Utils.showMessage(this.message, error.message);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+}
+
+// ============================
+// ENTITLEMENTS MODULE
+// ============================
+
+/**
+ * Answers "may the current user do X?" from PRICING_PLANS. Signed-in users
+ * carry their plan on the account; guests use the free plan unless a plan was
+ * switched on for testing.
+ */
+class Entitlements {
+    static DEFAULT_PLAN = 'personal';
+
+    /**
+     * @param {AuthService|null} auth - Current user
+     * @param {PreferenceStore|null} preferences - Holds the guest test plan
+     */
+    constructor(auth, preferences) {
+        this.auth = auth;
+        this.preferences = preferences;
+        this.listeners = new Set();
+
+        this.unsubscribeAuth = this.auth?.subscribe(() => this.notify());
+    }
+
+    /**
+     * Find a plan definition
+     * @param {string} planId - Plan id
+     * @returns {Object|null} - Plan from PRICING_PLANS
+     */
+    static findPlan(planId) {
+        return PRICING_PLANS.find(plan => plan.id === planId) || null;
+    }
+
+    /**
+     * Cheapest plan that includes a feature
+     * @param {string} feature - Key of PLAN_FEATURES
+     * @returns {Object|null} - Plan definition
+     */
+    static upgradeFor(feature) {
+        return PRICING_PLANS.find(plan => plan.entitlements.features.includes(feature)) || null;
+    }
+
+    /**
+     * Cheapest plan that allows logging a category
+     * @param {string} category - Activity category
+     * @returns {Object|null} - Plan definition
+     */
+    static upgradeForCategory(category) {
+        return PRICING_PLANS.find(plan => plan.entitlements.categories.includes(category)) || null;
+    }
+
+    /**
+     * The current user's plan
+     * @returns {Object} - Plan definition
+     */
+    getPlan() {
+        const user = this.auth?.getUser();
+        const planId = user ? user.plan : this.preferences?.get('plan');
+        return Entitlements.findPlan(planId) || Entitlements.findPlan(Entitlements.DEFAULT_PLAN);
+    }
+
+    /**
+     * Whether the plan includes a feature
+     * @param {string} feature - Key of PLAN_FEATURES
+     * @returns {boolean} - True when allowed
+     */
+    can(feature) {
+        return this.getPlan().entitlements.features.includes(feature);
+    }
+
+    /**
+     * Whether activities of a category may be logged
+     * @param {string} category - Activity category
+     * @returns {boolean} - True when allowed
+     */
+    canLog(category) {
+        return this.getPlan().entitlements.categories.includes(category);
+    }
+
+    /**
+     * Switch plan. There is no billing behind this; it exists so each tier can be tried out.
+     * @param {string} planId - Plan id
+     * @returns {Promise<void>}
+     * @throws {Error} - For unknown plans
+     */
+    async setPlan(planId) {
+        if (!Entitlements.findPlan(planId)) {
+            throw new Error(`Unknown plan: ${planId}`);
+        }
+        if (this.auth?.getUser()) {
+            await this.auth.updateUser({ plan: planId });   // notifies through the auth subscription
+        } else {
+            this.preferences?.set('plan', planId);
+            this.notify();
+        }
+    }
+
+    /**
+     * Subscribe to plan changes
+     * @param {Function} listener - Called with the plan definition
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers of the current plan
+     */
+    notify() {
+        const plan = this.getPlan();
+        this.listeners.forEach(listener => {
+            try {
+                listener(plan);
+            } catch (error) {
+                console.error('Entitlement listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Markup for an upgrade prompt
+     * @param {string} feature - Key of PLAN_FEATURES
+     * @returns {string} - HTML
+     */
+    static renderUpgradePrompt(feature) {
+        const plan = Entitlements.upgradeFor(feature);
+        return `
+            <div class="upgrade-prompt" role="note">
+                <i class="fas fa-lock" aria-hidden="true"></i>
+                <p><strong>${Utils.escapeHtml(PLAN_FEATURES[feature])}</strong> is part of the ${Utils.escapeHtml(plan?.name || 'paid')} plan.</p>
+                <a href="#pricing" class="btn-primary upgrade-link">Upgrade to ${Utils.escapeHtml(plan?.name || 'unlock')}</a>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Locks every element marked with data-feature="..." that the plan doesn't
+ * include: the content goes inert and an upgrade prompt is laid over it.
+ */
+class FeatureGate {
+    /**
+     * @param {Entitlements} entitlements - Plan checks
+     */
+    constructor(entitlements) {
+        this.entitlements = entitlements;
+        this.init();
+    }
+
+    /**
+     * Apply the current plan and follow changes
+     */
+    init() {
+        if (!this.entitlements) return;
+        this.unsubscribe = this.entitlements.subscribe(() => this.apply());
+        this.apply();
+    }
+
+    /**
+     * Lock or unlock each gated element
+     */
+    apply() {
+        document.querySelectorAll('[data-feature]').forEach(element => {
+            const feature = element.dataset.feature;
+            const locked = !this.entitlements.can(feature);
+            element.classList.toggle('is-locked', locked);
+
+            let prompt = element.querySelector(':scope > .upgrade-prompt');
+            if (locked && !prompt) {
+                element.insertAdjacentHTML('afterbegin', Entitlements.renderUpgradePrompt(feature));
+                prompt = element.querySelector(':scope > .upgrade-prompt');
+            } else if (!locked && prompt) {
+                prompt.remove();
+            }
+
+            [...element.children].forEach(child => {
+                if (child.classList.contains('upgrade-prompt')) return;
+                child.inert = locked;
+            });
+        });
+    }
+}
+
+/**
+ * Highlights the current plan on the pricing cards and lets signed-in users
+ * switch plans from them
+ */
+class PlanSelector {
+    /**
+     * @param {Entitlements} entitlements - Plan checks
+     * @param {AuthService|null} auth - Current user
+     */
+    constructor(entitlements, auth) {
+        this.entitlements = entitlements;
+        this.auth = auth;
+        this.grid = Utils.safeSelect('#pricing-grid');
+
+        this.init();
+    }
+
+    /**
+     * Follow plan changes and card clicks
+     */
+    init() {
+        if (!this.grid || !this.entitlements) return;
+
+        // Guests go through sign-up (AuthModal); members switch straight away
+        Utils.addSafeListener(this.grid, 'click', (e) => {
+            const button = e.target.closest('button[data-plan]');
+            if (!button || !this.auth?.getUser()) return;
+            this.entitlements.setPlan(button.dataset.plan).catch(error => console.error('Plan switch failed:', error));
+        });
+        this.unsubscribe = this.entitlements.subscribe(() => this.render());
+        // ContentGenerator redraws the cards in the new language first
+        this.unsubscribeLocale = I18n.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Mark the current plan's card
+     */
+    render() {
+        const current = this.entitlements.getPlan();
+        const signedIn = !!this.auth?.getUser();
+
+        this.grid.querySelectorAll('button[data-plan]').forEach(button => {
+            const plan = Entitlements.findPlan(button.dataset.plan);
+            const isCurrent = plan?.id === current.id;
+            button.closest('.pricing-card')?.classList.toggle('current-plan', isCurrent);
+            button.disabled = signedIn && isCurrent;
+            button.textContent = !signedIn
+                ? I18n.t(`pricing.${plan.id}.button`)
+                : (isCurrent ? I18n.t('pricing.current') : I18n.t('pricing.switch', { plan: plan.name }));
+            button.setAttribute('aria-pressed', String(isCurrent));
+        });
+    }
+}
+
+// ============================
+// TEAMS MODULE
+// ============================
+
+/**
+ * @typedef {Object} TeamMember
+ * @property {string} userId - Member's user id
+ * @property {string} name - Display name at join time
+ * @property {string} role - 'admin' or 'member'
+ * @property {string} joinedAt - ISO join time
+ */
+
+/**
+ * @typedef {Object} Challenge
+ * @property {string} id - Challenge id
+ * @property {string} title - Challenge name
+ * @property {string} start - First day (YYYY-MM-DD)
+ * @property {string} end - Last day (YYYY-MM-DD)
+ * @property {number} goalPercent - Target per-capita reduction against the period before
+ */
+
+/**
+ * localStorage team backend. Every local account in this browser shares it,
+ * which makes it the stand-in for a team API during development. A server
+ * backend only needs the same getAll/put/remove methods.
+ */
+class LocalTeamBackend {
+    /**
+     * @param {string} storageKey - localStorage key holding the team list
+     */
+    constructor(storageKey = APP_CONFIG.storage.teamsKey) {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Read every team
+     * @returns {Promise<Object[]>} - Teams
+     */
+    async getAll() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Insert or replace a team
+     * @param {Object} team - Team to store
+     * @returns {Promise<void>}
+     */
+    async put(team) {
+        const teams = (await this.getAll()).filter(item => item.id !== team.id);
+        window.localStorage.setItem(this.storageKey, JSON.stringify([...teams, team]));
+    }
+
+    /**
+     * Delete a team
+     * @param {string} id - Team id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const teams = (await this.getAll()).filter(item => item.id !== id);
+        window.localStorage.setItem(this.storageKey, JSON.stringify(teams));
+    }
+}
+
+/**
+ * Team membership, roles and challenges. All permission checks live here so
+ * any backend gets the same rules.
+ */
+class TeamStore {
+    /**
+     * @param {Object} backend - { getAll, put, remove }
+     */
+    constructor(backend = new LocalTeamBackend()) {
+        this.backend = backend;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Random invite code without look-alike characters
+     * @returns {string} - 8-character code
+     */
+    static createInviteCode() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const values = window.crypto.getRandomValues(new Uint8Array(8));
+        return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+    }
+
+    /**
+     * Subscribe to team changes
+     * @param {Function} listener - Called after any change
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Persist a team and notify subscribers
+     * @param {Object} team - Team to save
+     * @returns {Promise<Object>} - Saved team
+     */
+    async save(team) {
+        await this.backend.put(team);
+        this.listeners.forEach(listener => listener(team));
+        return team;
+    }
+
+    /**
+     * All teams
+     * @returns {Promise<Object[]>} - Teams
+     */
+    getAll() {
+        return this.backend.getAll();
+    }
+
+    /**
+     * Teams a user belongs to
+     * @param {string} userId - User id
+     * @returns {Promise<Object[]>} - Teams
+     */
+    async forUser(userId) {
+        return (await this.getAll()).filter(team => team.members.some(member => member.userId === userId));
+    }
+
+    /**
+     * Load a team and check the acting user's role
+     * @param {string} teamId - Team id
+     * @param {AuthUser} actor - Acting user
+     * @param {boolean} adminOnly - Require the admin role
+     * @returns {Promise<Object>} - Team
+     * @throws {Error} - When missing or not permitted
+     */
+    async authorize(teamId, actor, adminOnly = false) {
+        const team = (await this.getAll()).find(item => item.id === teamId);
+        if (!team) {
+            throw new Error('Team not found');
+        }
+        const member = team.members.find(item => item.userId === actor?.id);
+        if (!member || (adminOnly && member.role !== 'admin')) {
+            throw new Error(adminOnly ? 'Only team admins can do that' : 'You are not a member of this team');
+        }
+        return team;
+    }
+
+    /**
+     * Create a team with the creator as admin
+     * @param {string} name - Team name
+     * @param {AuthUser} user - Creator
+     * @returns {Promise<Object>} - New team
+     */
+    async create(name, user) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Please give the team a name');
+        }
+        return this.save({
+            id: ActivityStore.createId(),
+            name: trimmed,
+            inviteCode: TeamStore.createInviteCode(),
+            createdAt: new Date().toISOString(),
+            members: [{ userId: user.id, name: user.name, role: 'admin', joinedAt: new Date().toISOString() }],
+            challenges: []
+        });
+    }
+
+    /**
+     * Join a team by invite code
+     * @param {string} code - Invite code
+     * @param {AuthUser} user - Joining user
+     * @returns {Promise<Object>} - Joined team
+     */
+    async join(code, user) {
+        const normalized = String(code || '').trim().toUpperCase();
+        const team = (await this.getAll()).find(item => item.inviteCode === normalized);
+        if (!team) {
+            throw new Error('No team uses that invite code');
+        }
+        if (team.members.some(member => member.userId === user.id)) {
+            return team;
+        }
+        team.members.push({ userId: user.id, name: user.name, role: 'member', joinedAt: new Date().toISOString() });
+        return this.save(team);
+    }
+
+    /**
+     * Remove a member (or yourself). A team always keeps at least one admin;
+     * the last member leaving deletes it.
+     * @param {string} teamId - Team id
+     * @param {string} userId - Member to remove
+     * @param {AuthUser} actor - Acting user
+     * @returns {Promise<Object|null>} - Updated team, or null when deleted
+     */
+    async removeMember(teamId, userId, actor) {
+        const team = await this.authorize(teamId, actor, userId !== actor.id);
+        const remaining = team.members.filter(member => member.userId !== userId);
+
+        if (!remaining.length) {
+            await this.backend.remove(teamId);
+            this.listeners.forEach(listener => listener(null));
+            return null;
+        }
+        if (!remaining.some(member => member.role === 'admin')) {
+            throw new Error('Make someone else an admin first');
+        }
+        team.members = remaining;
+        return this.save(team);
+    }
+
+    /**
+     * Change a member's role
+     * @param {string} teamId - Team id
+     * @param {string} userId - Member to change
+     * @param {string} role - 'admin' or 'member'
+     * @param {AuthUser} actor - Acting admin
+     * @returns {Promise<Object>} - Updated team
+     */
+    async setRole(teamId, userId, role, actor) {
+        if (!['admin', 'member'].includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        const team = await this.authorize(teamId, actor, true);
+        const member = team.members.find(item => item.userId === userId);
+        if (!member) {
+            throw new Error('That person is not in the team');
+        }
+        if (role === 'member' && team.members.filter(item => item.role === 'admin').length === 1 && member.role === 'admin') {
+            throw new Error('A team needs at least one admin');
+        }
+        member.role = role;
+        return this.save(team);
+    }
+
+    /**
+     * Add a time-boxed reduction challenge
+     * @param {string} teamId - Team id
+     * @param {Object} input - { title, start, end, goalPercent }
+     * @param {AuthUser} actor - Acting admin
+     * @returns {Promise<Object>} - Updated team
+     */
+    async addChallenge(teamId, { title, start, end, goalPercent }, actor) {
+        const team = await this.authorize(teamId, actor, true);
+        const goal = Number(goalPercent);
+        if (!String(title || '').trim()) {
+            throw new Error('Please name the challenge');
+        }
+        if (!start || !end || end < start) {
+            throw new Error('The challenge needs a start date on or before its end date');
+        }
+        if (!(goal > 0 && goal <= 100)) {
+            throw new Error('The goal must be a reduction between 1 and 100%');
+        }
+        team.challenges.push({ id: ActivityStore.createId(), title: String(title).trim(), start, end, goalPercent: goal });
+        return this.save(team);
+    }
+
+    /**
+     * Delete a challenge
+     * @param {string} teamId - Team id
+     * @param {string} challengeId - Challenge id
+     * @param {AuthUser} actor - Acting admin
+     * @returns {Promise<Object>} - Updated team
+     */
+    async removeChallenge(teamId, challengeId, actor) {
+        const team = await this.authorize(teamId, actor, true);
+        team.challenges = team.challenges.filter(challenge => challenge.id !== challengeId);
+        return this.save(team);
+    }
+}
+
+/**
+ * Pooled totals and per-capita reductions. Everything is compared per person
+ * per day so large teams and big emitters don't win by size alone.
+ */
+class TeamStats {
+    /**
+     * Average kg CO2e per day between two date keys (inclusive)
+     * @param {Object[]} activities - One person's activities
+     * @param {string} from - First day
+     * @param {string} to - Last day
+     * @returns {number} - kg per day
+     */
+    static dailyAverage(activities, from, to) {
+        const days = Math.round((Utils.parseDateKey(to) - Utils.parseDateKey(from)) / 86400000) + 1;
+        if (days <= 0) return 0;
+        const total = activities
+            .filter(activity => {
+                const key = Utils.toDateKey(activity.timestamp);
+                return key >= from && key <= to;
+            })
+            .reduce((sum, activity) => sum + (Number(activity.co2e) || 0), 0);
+        return total / days;
+    }
+
+    /**
+     * One person's reduction over a period against the same length of time before it
+     * @param {Object[]} activities - One person's activities
+     * @param {string} start - First day of the period
+     * @param {string} end - Last day of the period
+     * @param {Date} now - Reference time; the period is cut off at today
+     * @returns {Object} - { baseline, current, reduction } with reduction a fraction, null without a baseline
+     */
+    static reduction(activities, start, end, now = new Date()) {
+        const today = Utils.toDateKey(now);
+        const periodEnd = end < today ? end : today;
+        if (periodEnd < start) {
+            return { baseline: 0, current: 0, reduction: null };
+        }
+
+        const length = Math.round((Utils.parseDateKey(end) - Utils.parseDateKey(start)) / 86400000) + 1;
+        const baselineStart = Utils.toDateKey(Utils.addDays(Utils.parseDateKey(start), -length));
+        const baselineEnd = Utils.toDateKey(Utils.addDays(Utils.parseDateKey(start), -1));
+        const baseline = this.dailyAverage(activities, baselineStart, baselineEnd);
+        const current = this.dailyAverage(activities, start, periodEnd);
+
+        return { baseline, current, reduction: baseline > 0 ? (baseline - current) / baseline : null };
+    }
+
+    /**
+     * Member ranking and pooled figures for a period
+     * @param {Object} team - Team
+     * @param {Object<string, Object[]>} activitiesByUser - Activities keyed by user id
+     * @param {string} start - First day
+     * @param {string} end - Last day
+     * @param {Date} now - Reference time
+     * @returns {Object} - { members (ranked), pooledDaily, perCapitaDaily, perCapitaReduction }
+     */
+    static summarize(team, activitiesByUser, start, end, now = new Date()) {
+        const members = team.members.map(member => ({
+            ...member,
+            ...this.reduction(activitiesByUser[member.userId] || [], start, end, now)
+        }));
+        const ranked = [...members].sort((a, b) => (b.reduction ?? -Infinity) - (a.reduction ?? -Infinity));
+        const withBaseline = members.filter(member => member.reduction !== null);
+        const pooledDaily = members.reduce((sum, member) => sum + member.current, 0);
+
+        return {
+            members: ranked,
+            pooledDaily,
+            perCapitaDaily: members.length ? pooledDaily / members.length : 0,
+            perCapitaReduction: withBaseline.length
+                ? withBaseline.reduce((sum, member) => sum + member.reduction, 0) / withBaseline.length
+                : null
+        };
+    }
+}
+
+/**
+ * Team workspace: create/join, members and roles, challenges and leaderboards
+ */
+class TeamPanel {
+    static WINDOW_DAYS = 30;
+
+    /**
+     * @param {TeamStore} teams - Team data
+     * @param {ActivityStore|null} store - Signed-in user's activity log
+     * @param {AuthService|null} auth - Current user
+     * @param {Entitlements|null} entitlements - Plan checks (creating teams needs Business)
+     * @param {AuthModal|null} authModal - Opened for guests
+     */
+    constructor(teams, store, auth, entitlements, authModal) {
+        this.teams = teams;
+        this.store = store;
+        this.auth = auth;
+        this.entitlements = entitlements;
+        this.authModal = authModal;
+        this.container = Utils.safeSelect('#teams-content');
+        this.message = Utils.safeSelect('#teams-message');
+        this.selectedTeamId = null;
+        this.renderToken = 0;
+        // Other accounts' logs can't change while this user is signed in, so each is read once
+        this.memberActivities = new Map();
+        this.showLeaderboard = false;
+
+        this.init();
+    }
+
+    /**
+     * Delegate clicks and submits, and follow data changes
+     */
+    init() {
+        if (!this.container || !this.teams) return;
+
+        Utils.addSafeListener(this.container, 'submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(e.target);
+        });
+        Utils.addSafeListener(this.container, 'click', (e) => this.handleClick(e));
+        Utils.addSafeListener(this.container, 'change', (e) => {
+            if (e.target.matches('select[data-role-for]')) {
+                Utils.runWithMessage(this.message, () => this.teams.setRole(this.selectedTeamId, e.target.dataset.roleFor, e.target.value, this.auth.getUser()));
+            } else if (e.target.matches('#team-select')) {
+                this.selectedTeamId = e.target.value;
+                this.render();
+            }
+        });
+
+        // Only the signed-in user's numbers move when the log changes; batch bursts such as imports
+        this.unsubscribe = this.store?.subscribe(Utils.debounce(() => this.render(), 300));
+        this.unsubscribeTeams = this.teams.subscribe(() => this.render());
+        this.unsubscribeAuth = this.auth?.subscribe(() => {
+            this.selectedTeamId = null;
+            this.showLeaderboard = false;
+            this.memberActivities.clear();
+            this.render();
+        });
+        this.unsubscribeEntitlements = this.entitlements?.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Handle the create, join and challenge forms
+     * @param {HTMLFormElement} form - Submitted form
+     */
+    async handleSubmit(form) {
+        const values = Object.fromEntries(new FormData(form));
+        const user = this.auth.getUser();
+
+        if (form.id === 'team-create-form') {
+            const team = await Utils.runWithMessage(this.message, () => this.teams.create(values.name, user));
+            if (team) this.selectedTeamId = team.id;
+        } else if (form.id === 'team-join-form') {
+            const team = await Utils.runWithMessage(this.message, () => this.teams.join(values.code, user));
+            if (team) this.selectedTeamId = team.id;
+        } else if (form.id === 'challenge-form') {
+            await Utils.runWithMessage(this.message, () => this.teams.addChallenge(this.selectedTeamId, values, user));
+        }
+        this.render();
+    }
+
+    /**
+     * Handle member and challenge buttons
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const user = this.auth.getUser();
+
+        if (button.dataset.action === 'sign-in') {
+            this.authModal?.open('signin');
+        } else if (button.dataset.action === 'remove-member') {
+            Utils.runWithMessage(this.message, () => this.teams.removeMember(this.selectedTeamId, button.dataset.userId, user));
+        } else if (button.dataset.action === 'leave') {
+            Utils.runWithMessage(this.message, () => this.teams.removeMember(this.selectedTeamId, user.id, user));
+        } else if (button.dataset.action === 'remove-challenge') {
+            Utils.runWithMessage(this.message, () => this.teams.removeChallenge(this.selectedTeamId, button.dataset.challengeId, user));
+        } else if (button.dataset.action === 'toggle-leaderboard') {
+            this.showLeaderboard = !this.showLeaderboard;
+            this.render();
+        }
+    }
+
+    /**
+     * Activities for the given members. Other local accounts' logs are read
+     * once and kept for the rest of the session.
+     * @param {string[]} userIds - Member ids
+     * @returns {Promise<Object<string, Object[]>>} - Activities keyed by user id
+     */
+    async loadActivities(userIds) {
+        const currentId = this.auth?.getUser()?.id;
+        const result = {};
+        for (const userId of userIds) {
+            if (userId === currentId && this.store) {
+                result[userId] = this.store.getAll();
+                continue;
+            }
+            if (!this.memberActivities.has(userId)) {
+                this.memberActivities.set(userId, await ActivityStore.readLog(userId).catch(() => []));
+            }
+            result[userId] = this.memberActivities.get(userId);
+        }
+        return result;
+    }
+
+    /**
+     * Render the panel for the current user
+     * @returns {Promise<void>}
+     */
+    async render() {
+        const token = ++this.renderToken;
+        const user = this.auth?.getUser();
+
+        if (!user) {
+            this.container.innerHTML = `
+                <div class="teams-empty">
+                    <p>Sign in to create a team or join one with an invite code.</p>
+                    <button type="button" class="btn-primary" data-action="sign-in">Sign In</button>
+                </div>
+            `;
+            return;
+        }
+
+        const allTeams = await this.teams.getAll();
+        const myTeams = allTeams.filter(team => team.members.some(member => member.userId === user.id));
+        if (!myTeams.some(team => team.id === this.selectedTeamId)) {
+            this.selectedTeamId = myTeams[0]?.id || null;
+        }
+        const team = myTeams.find(item => item.id === this.selectedTeamId) || null;
+
+        // Every team's members are only needed once the leaderboard is opened
+        const shownTeams = this.showLeaderboard ? allTeams : (team ? [team] : []);
+        const ids = [...new Set(shownTeams.flatMap(item => item.members.map(member => member.userId)))];
+        const activitiesByUser = await this.loadActivities(ids);
+        if (token !== this.renderToken) return;   // a newer render started meanwhile
+
+        this.container.innerHTML = `
+            <div class="teams-toolbar">
+                ${this.renderCreateForm()}
+                <form class="team-form" id="team-join-form">
+                    <label>Invite code <input type="text" name="code" required autocomplete="off"></label>
+                    <button type="submit" class="team-btn">Join team</button>
+                </form>
+                ${myTeams.length > 1 ? `
+                    <label>Team
+                        <select id="team-select">
+                            ${myTeams.map(item => `<option value="${item.id}" ${item.id === this.selectedTeamId ? 'selected' : ''}>${Utils.escapeHtml(item.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+            ${team ? this.renderTeam(team, user, activitiesByUser) : '<p class="teams-empty">You are not in a team yet.</p>'}
+            ${this.showLeaderboard ? this.renderTeamLeaderboard(allTeams, activitiesByUser) : ''}
+            ${allTeams.length ? `
+                <button type="button" class="team-btn" data-action="toggle-leaderboard" aria-expanded="${this.showLeaderboard}">
+                    ${this.showLeaderboard ? 'Hide team leaderboard' : 'Compare all teams'}
+                </button>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Create form, or an upgrade prompt without the Business plan
+     * @returns {string} - HTML
+     */
+    renderCreateForm() {
+        if (this.entitlements && !this.entitlements.can('teams')) {
+            return `<div class="team-upgrade">${Entitlements.renderUpgradePrompt('teams')}</div>`;
+        }
+        return `
+            <form class="team-form" id="team-create-form">
+                <label>New team <input type="text" name="name" required maxlength="60"></label>
+                <button type="submit" class="team-btn">Create team</button>
+            </form>
+        `;
+    }
+
+    /**
+     * One team's members, pooled totals and challenges
+     * @param {Object} team - Team
+     * @param {AuthUser} user - Current user
+     * @param {Object} activitiesByUser - Activities keyed by user id
+     * @returns {string} - HTML
+     */
+    renderTeam(team, user, activitiesByUser) {
+        const isAdmin = team.members.some(member => member.userId === user.id && member.role === 'admin');
+        const now = new Date();
+        const start = Utils.toDateKey(Utils.addDays(now, -(TeamPanel.WINDOW_DAYS - 1)));
+        const recent = TeamStats.summarize(team, activitiesByUser, start, Utils.toDateKey(now), now);
+
+        const members = team.members.map(member => `
+            <tr>
+                <td>${Utils.escapeHtml(member.name)}${member.userId === user.id ? ' (you)' : ''}</td>
+                <td>${isAdmin
+                    ? `<select data-role-for="${member.userId}" aria-label="Role for ${Utils.escapeHtml(member.name)}">
+                            <option value="admin" ${member.role === 'admin' ? 'selected' : ''}>Admin</option>
+                            <option value="member" ${member.role === 'member' ? 'selected' : ''}>Member</option>
+                       </select>`
+                    : (member.role === 'admin' ? 'Admin' : 'Member')}</td>
+                <td>${isAdmin && member.userId !== user.id
+                    ? `<button type="button" class="team-btn" data-action="remove-member" data-user-id="${member.userId}">Remove</button>`
+                    : ''}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="team-card">
+                <div class="team-header">
+                    <h3>${Utils.escapeHtml(team.name)}</h3>
+                    ${isAdmin ? `<span class="team-invite">Invite code: <code>${team.inviteCode}</code></span>` : ''}
+                    <button type="button" class="team-btn" data-action="leave">Leave team</button>
+                </div>
+                <div class="team-stats">
+                    <div><strong>${recent.pooledDaily.toFixed(1)} kg</strong><span>pooled per day (last ${TeamPanel.WINDOW_DAYS} days)</span></div>
+                    <div><strong>${recent.perCapitaDaily.toFixed(1)} kg</strong><span>per person per day</span></div>
+                    <div><strong>${TeamPanel.formatReduction(recent.perCapitaReduction)}</strong><span>per-capita reduction vs the ${TeamPanel.WINDOW_DAYS} days before</span></div>
+                </div>
+                <table class="team-members">
+                    <thead><tr><th scope="col">Member</th><th scope="col">Role</th><th scope="col" aria-label="Actions"></th></tr></thead>
+                    <tbody>${members}</tbody>
+                </table>
+                <h4>Challenges</h4>
+                ${team.challenges.length
+                    ? team.challenges.map(challenge => this.renderChallenge(challenge, team, activitiesByUser, isAdmin)).join('')
+                    : '<p class="teams-empty">No challenges yet.</p>'}
+                ${isAdmin ? `
+                    <form class="team-form challenge-form" id="challenge-form">
+                        <label>Challenge <input type="text" name="title" required maxlength="80" placeholder="Car-free October"></label>
+                        <label>Start <input type="date" name="start" required value="${Utils.toDateKey(now)}"></label>
+                        <label>End <input type="date" name="end" required value="${Utils.toDateKey(Utils.addDays(now, 27))}"></label>
+                        <label>Goal (% reduction) <input type="number" name="goalPercent" min="1" max="100" value="10" required></label>
+                        <button type="submit" class="team-btn">Add challenge</button>
+                    </form>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * A challenge with goal progress and the member leaderboard
+     * @param {Challenge} challenge - Challenge
+     * @param {Object} team - Team
+     * @param {Object} activitiesByUser - Activities keyed by user id
+     * @param {boolean} isAdmin - Whether the viewer can delete it
+     * @returns {string} - HTML
+     */
+    renderChallenge(challenge, team, activitiesByUser, isAdmin) {
+        const today = Utils.toDateKey(new Date());
+        const stats = TeamStats.summarize(team, activitiesByUser, challenge.start, challenge.end);
+        const state = today < challenge.start ? 'Starts' : (today > challenge.end ? 'Ended' : 'Ends');
+        const achieved = stats.perCapitaReduction === null ? 0 : stats.perCapitaReduction * 100;
+        const progress = Math.max(0, Math.min(100, achieved / challenge.goalPercent * 100));
+
+        const rows = stats.members.map((member, index) => `
+            <li>
+                <span class="leaderboard-rank">${member.reduction === null ? '–' : index + 1}</span>
+                <span>${Utils.escapeHtml(member.name)}</span>
+                <span class="leaderboard-value">${TeamPanel.formatReduction(member.reduction)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="challenge">
+                <div class="challenge-head">
+                    <strong>${Utils.escapeHtml(challenge.title)}</strong>
+                    <span>${challenge.start} → ${challenge.end} · ${state} ${state === 'Starts' ? challenge.start : challenge.end}</span>
+                    ${isAdmin ? `<button type="button" class="team-btn" data-action="remove-challenge" data-challenge-id="${challenge.id}">Delete</button>` : ''}
+                </div>
+                <p>Goal: cut emissions per person by ${challenge.goalPercent}% — so far ${TeamPanel.formatReduction(stats.perCapitaReduction)}.</p>
+                <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(progress)}" aria-label="${Utils.escapeHtml(challenge.title)} progress">
+                    <div class="progress-fill" style="width: ${progress}%;"></div>
+                </div>
+                <ol class="leaderboard">${rows}</ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Rank every team by per-capita reduction over the last 30 days
+     * @param {Object[]} teams - All teams
+     * @param {Object} activitiesByUser - Activities keyed by user id
+     * @returns {string} - HTML
+     */
+    renderTeamLeaderboard(teams, activitiesByUser) {
+        if (!teams.length) return '';
+
+        const now = new Date();
+        const start = Utils.toDateKey(Utils.addDays(now, -(TeamPanel.WINDOW_DAYS - 1)));
+        const ranked = teams
+            .map(team => ({ team, stats: TeamStats.summarize(team, activitiesByUser, start, Utils.toDateKey(now), now) }))
+            .sort((a, b) => (b.stats.perCapitaReduction ?? -Infinity) - (a.stats.perCapitaReduction ?? -Infinity));
+
+        return `
+            <div class="team-card">
+                <h3>Team Leaderboard</h3>
+                <p class="teams-note">Ranked by average reduction per person over the last ${TeamPanel.WINDOW_DAYS} days, not by raw totals.</p>
+                <ol class="leaderboard">
+                    ${ranked.map(({ team, stats }, index) => `
+                        <li>
+                            <span class="leaderboard-rank">${stats.perCapitaReduction === null ? '–' : index + 1}</span>
+                            <span>${Utils.escapeHtml(team.name)} <small>(${team.members.length} member${team.members.length === 1 ? '' : 's'})</small></span>
+                            <span class="leaderboard-value">${TeamPanel.formatReduction(stats.perCapitaReduction)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a reduction fraction for display
+     * @param {number|null} reduction - Fraction, positive when emissions fell
+     * @returns {string} - e.g. "−12%", "+4%" or "—" without a baseline
+     */
+    static formatReduction(reduction) {
+        if (reduction === null || reduction === undefined) return '—';
+        const percent = Math.round(reduction * 100);
+        return percent >= 0 ? `−${percent}%` : `+${-percent}%`;
+    }
+
+    /**
+     * Stop listening for changes
+     */
+    destroy() {
+        this.unsubscribe?.();
+        this.unsubscribeTeams?.();
+        this.unsubscribeAuth?.();
+        this.unsubscribeEntitlements?.();
+    }
+}
+
+// ============================
+// RECOMMENDATION ENGINE MODULE
+// ============================
+
+/**
+ * Rank reduction actions from the user's own history. Runs entirely in the
+ * browser: each rule looks at the last 30 days, estimates a monthly saving
+ * and explains what in the history triggered it.
+ */
+class RecommendationEngine {
+    static WINDOW_DAYS = 30;
+    static CAR_MODES = ['petrol_car', 'diesel_car', 'hybrid_car', 'taxi'];
+    static PLANT_MEAL_KG = 1.0;   // kg CO2e for a typical plant-based meal
+
+    /**
+     * Summarise recent history for the rules
+     * @param {Object[]} activities - All activity entries
+     * @param {Date} now - Reference time
+     * @returns {Object} - Profile with monthly-scaled totals and the entries behind them
+     */
+    static analyze(activities, now = new Date()) {
+        const windowStart = Utils.addDays(now, -this.WINDOW_DAYS);
+        const previousStart = Utils.addDays(now, -this.WINDOW_DAYS * 2);
+        const recent = activities.filter(activity => new Date(activity.timestamp) > windowStart);
+        const previous = activities.filter(activity => {
+            const time = new Date(activity.timestamp);
+            return time > previousStart && time <= windowStart;
+        });
+
+        // Scale short histories up to a month, but never from less than a week
+        const first = recent.reduce((min, activity) => Math.min(min, new Date(activity.timestamp)), now.getTime());
+        const coveredDays = Math.min(this.WINDOW_DAYS, Math.max(7, Math.ceil((now - first) / 86400000)));
+        const scale = this.WINDOW_DAYS / coveredDays;
+
+        const sum = list => list.reduce((total, activity) => total + (Number(activity.co2e) || 0), 0);
+        const byCategory = {};
+        const trend = {};
+        Object.keys(APP_CONFIG.categoryLabels).forEach(type => {
+            const current = sum(recent.filter(activity => activity.type === type));
+            const before = sum(previous.filter(activity => activity.type === type));
+            byCategory[type] = current * scale;
+            trend[type] = before > 0 ? (current - before) / before : null;
+        });
+
+        return {
+            recent,
+            scale,
+            coveredDays,
+            total: sum(recent) * scale,
+            byCategory,
+            trend
+        };
+    }
+
+    /**
+     * Produce ranked recommendations
+     * @param {Object[]} activities - All activity entries
+     * @param {Date} now - Reference time
+     * @returns {Array<Object>} - [{ id, category, title, savingKg, reason }] largest saving first
+     */
+    static recommend(activities, now = new Date()) {
+        const profile = this.analyze(activities, now);
+        if (!profile.recent.length) return [];
+
+        return this.RULES
+            .map(rule => rule.call(this, profile))
+            .filter(item => item && item.savingKg >= 0.1)
+            .map(item => ({ ...item, savingKg: Math.round(item.savingKg * 10) / 10 }))
+            .sort((a, b) => b.savingKg - a.savingKg);
+    }
+
+    /**
+     * Sentence describing a category's share and trend
+     * @param {Object} profile - Result of analyze()
+     * @param {string} type - Activity category
+     * @returns {string} - e.g. "Transportation is 62% of your footprint and rising 15%"
+     */
+    static categoryContext(profile, type) {
+        const share = profile.total > 0 ? Math.round(profile.byCategory[type] / profile.total * 100) : 0;
+        let text = `${APP_CONFIG.categoryLabels[type]} is ${share}% of your recent footprint`;
+        const change = profile.trend[type];
+        if (change !== null && Math.abs(change) >= 0.1) {
+            text += change > 0 ? `, up ${Math.round(change * 100)}% on the month before` : `, down ${Math.round(-change * 100)}% on the month before`;
+        }
+        return text;
+    }
+
+    /**
+     * Activities of a category in the window, optionally filtered
+     * @param {Object} profile - Result of analyze()
+     * @param {string} type - Activity category
+     * @param {Function} predicate - Extra filter
+     * @returns {Object} - { list, kg, base } with monthly-scaled kg and base amount
+     */
+    static pick(profile, type, predicate = () => true) {
+        const list = profile.recent.filter(activity => activity.type === type && predicate(activity));
+        return {
+            list,
+            kg: list.reduce((sum, activity) => sum + (Number(activity.co2e) || 0), 0) * profile.scale,
+            base: list.reduce((sum, activity) => sum + (Number(activity.baseAmount ?? activity.amount) || 0), 0) * profile.scale
+        };
+    }
+
+    /**
+     * Whether a transport entry was (or defaults to) a car trip
+     * @param {Object} activity - Activity entry
+     * @returns {boolean} - True for car modes and generic transport
+     */
+    static isCarTrip(activity) {
+        const mode = activity.details?.mode;
+        return !mode || RecommendationEngine.CAR_MODES.includes(mode);
+    }
+
+    /**
+     * Whether a transport entry's base amount is a distance; trips entered
+     * as litres of fuel have no distance to compare other modes against
+     * @param {Object} activity - Activity entry
+     * @returns {boolean} - False for vehicle fuel entries
+     */
+    static isDistance(activity) {
+        return !APP_CONFIG.units[activity.unit]?.vehicleFuel;
+    }
+}
+
+/**
+ * Each rule returns { id, category, title, savingKg, reason } or null.
+ * Savings are kg CO2e per month.
+ */
+RecommendationEngine.RULES = [
+    function shiftCarToRail(profile) {
+        const cars = this.pick(profile, 'transport', activity => this.isCarTrip(activity) && this.isDistance(activity));
+        if (cars.kg <= 0) return null;
+
+        const railKg = cars.base * TRANSPORT_MODES.rail.factors.average;
+        const savingKg = 0.3 * Math.max(0, cars.kg - railKg);
+        return {
+            id: 'car-to-rail',
+            category: 'transport',
+            title: 'Swap 3 in 10 car kilometres for the train or bus',
+            savingKg,
+            reason: `You logged ${cars.list.length} car trip${cars.list.length === 1 ? '' : 's'} (about ${Math.round(cars.base)} km a month). ${this.categoryContext(profile, 'transport')}.`
+        };
+    },
+
+    function walkShortTrips(profile) {
+        const short = this.pick(profile, 'transport', activity => this.isCarTrip(activity) && this.isDistance(activity) && Number(activity.baseAmount ?? activity.amount) < 5);
+        if (!short.list.length) return null;
+
+        return {
+            id: 'walk-short-trips',
+            category: 'transport',
+            title: 'Walk or cycle trips under 5 km',
+            savingKg: short.kg,
+            reason: `${short.list.length} of your recent car trips were shorter than 5 km — easy distances on foot or by bike.`
+        };
+    },
+
+    function shareRides(profile) {
+        const solo = this.pick(profile, 'transport', activity => (
+            ['petrol_car', 'diesel_car', 'hybrid_car'].includes(activity.details?.mode) && (activity.details.passengers || 1) <= 1
+        ));
+        if (solo.kg <= 0) return null;
+
+        return {
+            id: 'share-rides',
+            category: 'transport',
+            title: 'Car-share half of your solo drives',
+            savingKg: solo.kg * 0.25,
+            reason: `${solo.list.length} car trip${solo.list.length === 1 ? ' was' : 's were'} driven alone; one passenger halves each trip's share.`
+        };
+    },
+
+    function switchToElectric(profile) {
+        const combustion = this.pick(profile, 'transport', activity => (
+            ['petrol_car', 'diesel_car'].includes(activity.details?.mode) && this.isDistance(activity)
+        ));
+        if (combustion.kg <= 0) return null;
+
+        const electricKg = combustion.base * TRANSPORT_MODES.electric_car.factors.average;
+        return {
+            id: 'switch-to-electric',
+            category: 'transport',
+            title: 'Consider an electric car for your next vehicle',
+            savingKg: Math.max(0, combustion.kg - electricKg),
+            reason: `You drive a petrol or diesel car about ${Math.round(combustion.base)} km a month; an average EV emits roughly a third as much per km.`
+        };
+    },
+
+    function greenTariff(profile) {
+        const grid = this.pick(profile, 'energy', activity => !APP_CONFIG.units[activity.unit]?.fuel);
+        if (grid.kg <= 0) return null;
+
+        const region = grid.list.find(activity => activity.details?.region)?.details.region;
+        const where = region ? ` from the ${EmissionFactors.findGridRegion(region)?.label || region} grid` : '';
+        return {
+            id: 'green-tariff',
+            category: 'energy',
+            title: 'Switch to a 100% renewable electricity tariff',
+            savingKg: grid.kg,
+            reason: `You use about ${Math.round(grid.base)} kWh of electricity a month${where}. ${this.categoryContext(profile, 'energy')}.`
+        };
+    },
+
+    function cutElectricity(profile) {
+        const grid = this.pick(profile, 'energy', activity => !APP_CONFIG.units[activity.unit]?.fuel);
+        if (grid.kg <= 0) return null;
+
+        return {
+            id: 'cut-electricity',
+            category: 'energy',
+            title: 'Trim electricity use by 10% (LEDs, standby, efficient settings)',
+            savingKg: grid.kg * 0.1,
+            reason: `Small efficiency changes add up across your ${grid.list.length} logged electricity reading${grid.list.length === 1 ? '' : 's'}.`
+        };
+    },
+
+    function lowerThermostat(profile) {
+        const heating = this.pick(profile, 'energy', activity => !!APP_CONFIG.units[activity.unit]?.fuel);
+        if (heating.kg <= 0) return null;
+
+        return {
+            id: 'lower-thermostat',
+            category: 'energy',
+            title: 'Turn the heating down by 1°C',
+            savingKg: heating.kg * 0.08,
+            reason: `You logged ${Math.round(heating.kg)} kg a month from gas or oil; each degree lower saves around 8% of heating energy.`
+        };
+    },
+
+    function swapRuminantMeat(profile) {
+        let savingKg = 0;
+        let meals = 0;
+        const pulses = FOOD_CATALOGUE.pulses.factor;
+        this.pick(profile, 'food').list.forEach(activity => {
+            const ingredients = activity.details?.ingredients || [];
+            const ruminant = ingredients.filter(ingredient => ['beef', 'lamb'].includes(FOOD_CATALOGUE[ingredient.id]?.group));
+            if (!ruminant.length) return;
+            meals++;
+            EmissionFactors.foodContributions(ruminant).forEach(item => {
+                const factor = FOOD_CATALOGUE[item.id].factor;
+                savingKg += item.co2e * (1 - pulses / factor) * (Number(activity.baseAmount) || 1);
+            });
+        });
+        if (!meals) return null;
+
+        return {
+            id: 'swap-red-meat',
+            category: 'food',
+            title: 'Replace beef or lamb with beans or lentils in half those meals',
+            savingKg: savingKg * 0.5 * profile.scale,
+            reason: `${meals} of your logged meals included beef or lamb, the highest-emission foods in the catalogue.`
+        };
+    },
+
+    function swapDairy(profile) {
+        let savingKg = 0;
+        let meals = 0;
+        const soy = FOOD_CATALOGUE.soy_milk.factor;
+        this.pick(profile, 'food').list.forEach(activity => {
+            const dairy = (activity.details?.ingredients || []).filter(ingredient => FOOD_CATALOGUE[ingredient.id]?.group === 'dairy');
+            if (!dairy.length) return;
+            meals++;
+            EmissionFactors.foodContributions(dairy).forEach(item => {
+                savingKg += item.co2e * Math.max(0, 1 - soy / FOOD_CATALOGUE[item.id].factor) * (Number(activity.baseAmount) || 1);
+            });
+        });
+        if (!meals) return null;
+
+        return {
+            id: 'swap-dairy',
+            category: 'food',
+            title: 'Try plant-based milk and less cheese',
+            savingKg: savingKg * 0.5 * profile.scale,
+            reason: `Dairy showed up in ${meals} of your logged meals.`
+        };
+    },
+
+    function morePlantMeals(profile) {
+        const generic = this.pick(profile, 'food', activity => !activity.details?.ingredients?.length);
+        if (!generic.list.length) return null;
+
+        const perMeal = APP_CONFIG.carbonFactors.food;
+        return {
+            id: 'plant-meals',
+            category: 'food',
+            title: 'Make 3 of every 7 meals plant-based',
+            savingKg: generic.base * (3 / 7) * Math.max(0, perMeal - this.PLANT_MEAL_KG),
+            reason: `You log about ${Math.round(generic.base)} meals a month at the average ${perMeal} kg each. ${this.categoryContext(profile, 'food')}.`
+        };
+    },
+
+    function buySecondHand(profile) {
+        const durable = this.pick(profile, 'shopping', activity => (
+            ['electronics', 'clothing', 'footwear', 'furniture'].includes(activity.details?.productCategory)
+        ));
+        if (durable.kg <= 0) return null;
+
+        const labels = [...new Set(durable.list.map(activity => SPEND_FACTORS[activity.details.productCategory].label.toLowerCase()))];
+        return {
+            id: 'second-hand',
+            category: 'shopping',
+            title: 'Buy half of your clothes, electronics and furniture second-hand',
+            savingKg: durable.kg * 0.5 * 0.8,
+            reason: `Your recent purchases included ${labels.join(', ')}; second-hand goods avoid most manufacturing emissions.`
+        };
+    },
+
+    function buyLess(profile) {
+        const shopping = this.pick(profile, 'shopping');
+        if (shopping.kg <= 0) return null;
+
+        return {
+            id: 'buy-less',
+            category: 'shopping',
+            title: 'Cut non-essential purchases by 20%',
+            savingKg: shopping.kg * 0.2,
+            reason: `${shopping.list.length} purchase${shopping.list.length === 1 ? '' : 's'} logged recently. ${this.categoryContext(profile, 'shopping')}.`
+        };
+    }
+];
+
+/**
+ * Ranked recommendations list
+ */
+class RecommendationsPanel {
+    static LIMIT = 5;
+
+    /**
+     * @param {ActivityStore|null} store - Activity log
+     */
+    constructor(store) {
+        this.store = store;
+        this.list = Utils.safeSelect('#recommendations-list');
+        this.emptyState = Utils.safeSelect('#recommendations-empty');
+
+        this.init();
+    }
+
+    /**
+     * Render and follow the activity log
+     */
+    init() {
+        if (!this.list || !this.store) return;
+        this.unsubscribe = this.store.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Render the top recommendations
+     */
+    render() {
+        const items = RecommendationEngine.recommend(this.store.getAll()).slice(0, RecommendationsPanel.LIMIT);
+
+        if (this.emptyState) this.emptyState.hidden = items.length > 0;
+        this.list.innerHTML = items.map(item => `
+            <li class="recommendation">
+                <div class="recommendation-head">
+                    <strong>${Utils.escapeHtml(item.title)}</strong>
+                    <span class="recommendation-saving">−${item.savingKg.toFixed(1)} kg CO₂e/month</span>
+                </div>
+                <p class="recommendation-reason"><i class="fas fa-info-circle" aria-hidden="true"></i> Why: ${Utils.escapeHtml(item.reason)}</p>
+            </li>
+        `).join('');
+    }
+}
+
+// ============================
+// SCENARIO SIMULATOR MODULE
+// ============================
+
+/**
+ * What-if simulator. Applies substitutions to a baseline set of activities
+ * and re-prices the changed parts with CarbonCalculator.estimate(), so the
+ * comparison uses the same factor data as the calculator.
+ */
+class ScenarioSimulator {
+    static WINDOW_DAYS = 90;
+    static MODE_TARGETS = ['rail', 'metro', 'bus', 'coach', 'electric_car', 'bicycle', 'walk'];
+    static ANIMAL_GROUPS = ['beef', 'lamb', 'pork', 'poultry', 'fish', 'dairy', 'eggs'];
+
+    // Representative plant-based meal used for diet substitutions
+    static PLANT_MEAL = [
+        { id: 'pulses', quantity: 80 },
+        { id: 'rice', quantity: 75 },
+        { id: 'brassicas', quantity: 80 },
+        { id: 'tomatoes', quantity: 80 }
+    ];
+
+    /**
+     * Baseline from logged history, annualised from the last 90 days
+     * @param {Object[]} activities - All activity entries
+     * @param {Date} now - Reference time
+     * @returns {Object} - { activities, scale } where scale annualises the entries
+     */
+    static baselineFromActivities(activities, now = new Date()) {
+        const windowStart = Utils.addDays(now, -this.WINDOW_DAYS);
+        const recent = activities.filter(activity => new Date(activity.timestamp) > windowStart);
+        const first = recent.reduce((min, activity) => Math.min(min, new Date(activity.timestamp)), now.getTime());
+        const coveredDays = Math.min(this.WINDOW_DAYS, Math.max(7, Math.ceil((now - first) / 86400000)));
+
+        return { activities: recent, scale: 365 / coveredDays };
+    }
+
+    /**
+     * Baseline from a typed-in yearly profile
+     * @param {Object} profile - { carKmPerWeek, carMode, kwhPerMonth, region, gasM3PerMonth, mealsPerWeek, spendPerMonth, currency }
+     * @returns {Object} - { activities, scale } covering one year
+     */
+    static baselineFromProfile(profile) {
+        const entries = [
+            { type: 'transport', amount: profile.carKmPerWeek * 52, unit: 'km', details: { mode: profile.carMode || 'petrol_car', size: 'medium', passengers: 1 } },
+            { type: 'energy', amount: profile.kwhPerMonth * 12, unit: 'kwh', details: { region: profile.region || 'WORLD', renewableShare: 0 } },
+            { type: 'energy', amount: profile.gasM3PerMonth * 12, unit: 'gas_m3', details: {} },
+            { type: 'food', amount: profile.mealsPerWeek * 52, unit: 'meals', details: {} },
+            { type: 'shopping', amount: profile.spendPerMonth * 12, unit: profile.currency || 'usd', details: { productCategory: 'general' } }
+        ];
+
+        return {
+            activities: entries
+                .filter(entry => entry.amount > 0)
+                .map(entry => ({ ...entry, ...CarbonCalculator.estimate(entry) })),
+            scale: 1
+        };
+    }
+
+    /**
+     * Apply substitutions to baseline activities
+     * @param {Object[]} activities - Baseline entries
+     * @param {Object} scenario - { modeShift: { share, to }, plantShare, energyReduction, renewableShare, purchaseReduction } with shares 0–1
+     * @returns {Object[]} - Scenario entries as [{ type, co2e }]
+     */
+    static apply(activities, scenario) {
+        return activities.flatMap(activity => {
+            const co2e = Number(activity.co2e) || 0;
+            const base = Number(activity.baseAmount ?? activity.amount) || 0;
+
+            if (activity.type === 'transport') {
+                const { share = 0, to } = scenario.modeShift || {};
+                if (!share || !to || !RecommendationEngine.isCarTrip(activity) || !RecommendationEngine.isDistance(activity)) {
+                    return [{ type: 'transport', co2e }];
+                }
+                const shifted = CarbonCalculator.estimate({
+                    type: 'transport',
+                    amount: base * share,
+                    unit: 'km',
+                    details: { mode: to, size: 'average', passengers: 1 }
+                });
+                return [{ type: 'transport', co2e: co2e * (1 - share) }, { type: 'transport', co2e: shifted.co2e }];
+            }
+
+            if (activity.type === 'food') {
+                const share = scenario.plantShare || 0;
+                const ingredients = activity.details?.ingredients || [];
+                const isPlantBased = ingredients.length > 0
+                    && !ingredients.some(ingredient => this.ANIMAL_GROUPS.includes(FOOD_CATALOGUE[ingredient.id]?.group));
+                if (!share || isPlantBased) {
+                    return [{ type: 'food', co2e }];
+                }
+                // Every logged meal is swapped at the same rate, whether it was built from
+                // ingredients or logged as a generic meal
+                const plant = CarbonCalculator.estimate({
+                    type: 'food',
+                    amount: base * share,
+                    unit: 'meals',
+                    details: { ingredients: this.PLANT_MEAL }
+                });
+                return [{ type: 'food', co2e: co2e * (1 - share) }, { type: 'food', co2e: plant.co2e }];
+            }
+
+            if (activity.type === 'energy') {
+                let result = co2e * (1 - (scenario.energyReduction || 0));
+                const isGrid = !APP_CONFIG.units[activity.unit]?.fuel;
+                const current = (Number(activity.details?.renewableShare) || 0) / 100;
+                const target = scenario.renewableShare || 0;
+                // Grid factors scale linearly with the non-renewable share
+                if (isGrid && target > current && current < 1) {
+                    result *= (1 - target) / (1 - current);
+                }
+                return [{ type: 'energy', co2e: result }];
+            }
+
+            if (activity.type === 'shopping') {
+                return [{ type: 'shopping', co2e: co2e * (1 - (scenario.purchaseReduction || 0)) }];
+            }
+
+            return [{ type: activity.type, co2e }];
+        });
+    }
+
+    /**
+     * Annualised totals for a set of entries
+     * @param {Object[]} entries - [{ type, co2e }]
+     * @param {number} scale - Multiplier to a full year
+     * @returns {Object} - { total, byCategory } in kg CO2e per year
+     */
+    static totals(entries, scale) {
+        const byCategory = Object.fromEntries(Object.keys(APP_CONFIG.categoryLabels).map(type => [type, 0]));
+        entries.forEach(entry => {
+            byCategory[entry.type] = (byCategory[entry.type] || 0) + (Number(entry.co2e) || 0) * scale;
+        });
+        const total = Object.values(byCategory).reduce((sum, value) => sum + value, 0);
+        return { total, byCategory };
+    }
+
+    /**
+     * Compare a baseline with a scenario
+     * @param {Object} baseline - Result of baselineFromActivities() or baselineFromProfile()
+     * @param {Object} scenario - Substitutions for apply()
+     * @returns {Object} - { baseline, scenario, savedKg } annual totals
+     */
+    static compare(baseline, scenario) {
+        const before = this.totals(baseline.activities, baseline.scale);
+        const after = this.totals(this.apply(baseline.activities, scenario), baseline.scale);
+        return { baseline: before, scenario: after, savedKg: before.total - after.total };
+    }
+}
+
+/**
+ * What-if form and side-by-side comparison
+ */
+class ScenarioPanel {
+    /**
+     * @param {ActivityStore|null} store - Activity log
+     * @param {PreferenceStore|null} preferences - Saved preferences for the grid region
+     */
+    constructor(store, preferences) {
+        this.store = store;
+        this.preferences = preferences;
+        this.form = Utils.safeSelect('#scenario-form');
+        this.sourceSelect = Utils.safeSelect('#scenario-source');
+        this.profileFields = Utils.safeSelect('#scenario-profile');
+        this.carModeSelect = Utils.safeSelect('#scenario-car-mode');
+        this.targetModeSelect = Utils.safeSelect('#scenario-target-mode');
+        this.results = Utils.safeSelect('#scenario-results');
+
+        this.init();
+    }
+
+    /**
+     * Fill mode selectors and follow form and log changes
+     */
+    init() {
+        if (!this.form) return;
+
+        if (this.carModeSelect) {
+            this.carModeSelect.innerHTML = RecommendationEngine.CAR_MODES.concat('electric_car').map(mode => `
+                <option value="${mode}">${Utils.escapeHtml(TRANSPORT_MODES[mode].label)}</option>
+            `).join('');
+        }
+        if (this.targetModeSelect) {
+            this.targetModeSelect.innerHTML = ScenarioSimulator.MODE_TARGETS.map(mode => `
+                <option value="${mode}">${Utils.escapeHtml(TRANSPORT_MODES[mode].label)}</option>
+            `).join('');
+        }
+        // Default to a manual profile until there is history to work from
+        if (this.sourceSelect && !this.store?.getAll().length) {
+            this.sourceSelect.value = 'profile';
+        }
+
+        Utils.addSafeListener(this.form, 'input', () => this.render());
+        Utils.addSafeListener(this.form, 'change', () => this.render());
+        Utils.addSafeListener(this.form, 'submit', (e) => e.preventDefault());
+        this.unsubscribe = this.store?.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Read a numeric form field
+     * @param {string} name - Field name
+     * @returns {number} - Value, 0 when blank or invalid
+     */
+    number(name) {
+        return Math.max(0, parseFloat(this.form.elements[name]?.value) || 0);
+    }
+
+    /**
+     * Read the scenario substitutions from the form
+     * @returns {Object} - Scenario for ScenarioSimulator.apply()
+     */
+    getScenario() {
+        return {
+            modeShift: { share: Math.min(100, this.number('carShare')) / 100, to: this.targetModeSelect?.value },
+            plantShare: Math.min(100, this.number('plantShare')) / 100,
+            energyReduction: Math.min(100, this.number('energyReduction')) / 100,
+            renewableShare: Math.min(100, this.number('renewableShare')) / 100,
+            purchaseReduction: Math.min(100, this.number('purchaseReduction')) / 100
+        };
+    }
+
+    /**
+     * Build the baseline from history or the manual profile
+     * @returns {Object} - Baseline for ScenarioSimulator.compare()
+     */
+    getBaseline() {
+        const useProfile = this.sourceSelect?.value === 'profile' || !this.store;
+        if (this.profileFields) this.profileFields.hidden = !useProfile;
+
+        if (!useProfile) {
+            return ScenarioSimulator.baselineFromActivities(this.store.getAll());
+        }
+        return ScenarioSimulator.baselineFromProfile({
+            carKmPerWeek: this.number('carKmPerWeek'),
+            carMode: this.carModeSelect?.value,
+            kwhPerMonth: this.number('kwhPerMonth'),
+            region: this.preferences?.get('gridRegion') || CarbonCalculator.guessGridRegion(),
+            gasM3PerMonth: this.number('gasM3PerMonth'),
+            mealsPerWeek: this.number('mealsPerWeek'),
+            spendPerMonth: this.number('spendPerMonth')
+        });
+    }
+
+    /**
+     * Render the baseline vs scenario comparison
+     */
+    render() {
+        if (!this.results) return;
+
+        const result = ScenarioSimulator.compare(this.getBaseline(), this.getScenario());
+        if (result.baseline.total <= 0) {
+            this.results.innerHTML = '<p class="history-empty">No baseline yet — log some activities or fill in a manual profile.</p>';
+            return;
+        }
+
+        const tonnes = kg => (kg / 1000).toFixed(2);
+        const rows = Object.entries(APP_CONFIG.categoryLabels).map(([type, label]) => {
+            const before = result.baseline.byCategory[type];
+            const after = result.scenario.byCategory[type];
+            return `
+                <tr>
+                    <th scope="row">${Utils.escapeHtml(label)}</th>
+                    <td>${tonnes(before)}</td>
+                    <td>${tonnes(after)}</td>
+                    <td class="${after < before ? 'scenario-better' : ''}">${after - before < 0 ? '−' : ''}${tonnes(Math.abs(after - before))}</td>
+                </tr>
+            `;
+        }).join('');
+        const percent = Math.round(result.savedKg / result.baseline.total * 100);
+        const maxTotal = Math.max(result.baseline.total, result.scenario.total);
+
+        this.results.innerHTML = `
+            <div class="scenario-bars">
+                <div class="scenario-bar"><span>Baseline</span><div class="scenario-bar-fill baseline" style="width: ${result.baseline.total / maxTotal * 100}%;"></div><strong>${tonnes(result.baseline.total)} t</strong></div>
+                <div class="scenario-bar"><span>Scenario</span><div class="scenario-bar-fill" style="width: ${result.scenario.total / maxTotal * 100}%;"></div><strong>${tonnes(result.scenario.total)} t</strong></div>
+            </div>
+            <table class="scenario-table">
+                <thead><tr><th scope="col">Category</th><th scope="col">Baseline t/yr</th><th scope="col">Scenario t/yr</th><th scope="col">Change</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr><th scope="row">Total</th><td>${tonnes(result.baseline.total)}</td><td>${tonnes(result.scenario.total)}</td><td>${result.savedKg > 0 ? '−' : ''}${tonnes(Math.abs(result.savedKg))}</td></tr></tfoot>
+            </table>
+            <p class="scenario-summary">${result.savedKg > 0
+                ? `This scenario would save about ${tonnes(result.savedKg)} t CO₂e a year (${percent}%).`
+                : 'Adjust the changes above to see how much you could save.'}</p>
+        `;
+    }
+}
+
+// ============================
+// MEAL BUILDER MODULE
+// ============================
+
+/**
+ * Searchable food catalogue for composing a meal from ingredients
+ */
+class MealBuilder {
+    /**
+     * @param {HTMLElement} root - The row's .meal-builder element
+     */
+    constructor(root) {
+        this.searchInput = root && Utils.safeSelect('.food-search', root);
+        this.resultsList = root && Utils.safeSelect('.food-results', root);
+        this.ingredientList = root && Utils.safeSelect('.meal-ingredients', root);
+        this.ingredients = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize search and ingredient controls
+     */
+    init() {
+        if (!this.searchInput || !this.resultsList || !this.ingredientList) return;
+
+        Utils.addSafeListener(this.searchInput, 'input', Utils.debounce(() => this.renderResults(), 150));
+        Utils.addSafeListener(this.resultsList, 'click', (e) => {
+            const button = e.target.closest('[data-food]');
+            if (button) this.addIngredient(button.dataset.food);
+        });
+        Utils.addSafeListener(this.ingredientList, 'click', (e) => {
+            const button = e.target.closest('[data-remove]');
+            if (button) this.removeIngredient(Number(button.dataset.remove));
+        });
+        Utils.addSafeListener(this.ingredientList, 'change', (e) => {
+            const input = e.target.closest('[data-quantity]');
+            if (input) {
+                const ingredient = this.ingredients[Number(input.dataset.quantity)];
+                if (ingredient) ingredient.quantity = Math.max(0, parseFloat(input.value) || 0);
+            }
+        });
+
+        this.render();
+    }
+
+    /**
+     * Show catalogue matches for the current search
+     */
+    renderResults() {
+        const query = this.searchInput.value.trim();
+        const matches = query ? EmissionFactors.searchFoods(query).slice(0, 8) : [];
+
+        this.resultsList.innerHTML = matches.map(item => `
+            <li>
+                <button type="button" class="food-result" data-food="${item.id}">
+                    ${Utils.escapeHtml(item.label)}
+                    <small>${item.factor} kg CO₂e/${item.per}</small>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Add a catalogue item at its typical portion
+     * @param {string} id - Food id
+     */
+    addIngredient(id) {
+        const item = FOOD_CATALOGUE[id];
+        if (!item) return;
+
+        this.ingredients.push({ id, quantity: item.per === 'kg' ? item.portion : 1 });
+        this.searchInput.value = '';
+        this.renderResults();
+        this.render();
+    }
+
+    /**
+     * Remove an ingredient by position
+     * @param {number} index - Ingredient index
+     */
+    removeIngredient(index) {
+        this.ingredients.splice(index, 1);
+        this.render();
+    }
+
+    /**
+     * Render the ingredient list
+     */
+    render() {
+        if (!this.ingredientList) return;
+
+        if (!this.ingredients.length) {
+            this.ingredientList.innerHTML = '<li class="meal-empty">No ingredients yet — a generic meal average will be used.</li>';
+            return;
+        }
+
+        this.ingredientList.innerHTML = this.ingredients.map((ingredient, index) => {
+            const item = FOOD_CATALOGUE[ingredient.id];
+            const unit = item.per === 'kg' ? 'g' : 'servings';
+            return `
+                <li class="meal-ingredient">
+                    <span>${Utils.escapeHtml(item.label)}</span>
+                    <input type="number" min="0" step="${item.per === 'kg' ? 10 : 1}" value="${ingredient.quantity}" data-quantity="${index}" aria-label="${Utils.escapeHtml(item.label)} portion in ${unit}">
+                    <span>${unit}</span>
+                    <button type="button" class="history-btn" data-remove="${index}" aria-label="Remove ${Utils.escapeHtml(item.label)}"><i class="fas fa-times" aria-hidden="true"></i></button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Ingredients of the meal being built
+     * @returns {Array<Object>} - [{ id, quantity }]
+     */
+    getIngredients() {
+        return this.ingredients
+            .filter(ingredient => ingredient.quantity > 0)
+            .map(ingredient => ({ ...ingredient }));
+    }
+
+    /**
+     * Clear the meal
+     */
+    reset() {
+        this.ingredients = [];
+        this.render();
+    }
+}
+
+// ============================
+// CARBON CALCULATOR MODULE
+// ============================
+
+/**
+ * One line of the calculator: type, amount, unit and the category-specific
+ * controls, cloned from #activity-row-template
+ */
+class ActivityRow {
+    static count = 0;
+
+    /**
+     * @param {HTMLElement} element - Row root
+     * @param {PreferenceStore|null} preferences - Saved grid region and tariff
+     * @param {Entitlements|null} entitlements - Plan limits on categories
+     */
+    constructor(element, preferences = null, entitlements = null) {
+        this.element = element;
+        this.preferences = preferences;
+        this.entitlements = entitlements;
+        this.touched = false;
+        this.activityType = Utils.safeSelect('.activity-type', element);
+        this.activityAmount = Utils.safeSelect('.activity-amount', element);
+        this.activityUnit = Utils.safeSelect('.activity-unit', element);
+        this.title = Utils.safeSelect('.activity-row-title', element);
+        this.removeBtn = Utils.safeSelect('.activity-row-remove', element);
+        this.resultLine = Utils.safeSelect('.activity-row-result', element);
+        this.errorLine = Utils.safeSelect('.activity-row-error', element);
+        this.transportOptions = Utils.safeSelect('.transport-options', element);
+        this.transportMode = Utils.safeSelect('.transport-mode', element);
+        this.vehicleSize = Utils.safeSelect('.vehicle-size', element);
+        this.passengerCount = Utils.safeSelect('.passenger-count', element);
+        this.energyOptions = Utils.safeSelect('.energy-options', element);
+        this.gridRegion = Utils.safeSelect('.grid-region', element);
+        this.renewableShare = Utils.safeSelect('.renewable-share', element);
+        this.foodOptions = Utils.safeSelect('.food-options', element);
+        this.shoppingOptions = Utils.safeSelect('.shopping-options', element);
+        this.productCategory = Utils.safeSelect('.product-category', element);
+        this.mealBuilder = new MealBuilder(Utils.safeSelect('.meal-builder', element));
+
+        // Unique id so the controls can point screen readers at the row's error
+        if (this.errorLine) {
+            ActivityRow.count += 1;
+            this.errorLine.id = `activity-row-${ActivityRow.count}-error`;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Fill the selectors and keep dependent controls in step with the activity type
+     */
+    init() {
+        if (this.transportMode) {
+            this.transportMode.innerHTML = Object.entries(TRANSPORT_MODES).map(([id, mode]) => `
+                <option value="${id}">${Utils.escapeHtml(mode.label)}</option>
+            `).join('');
+            Utils.addSafeListener(this.transportMode, 'change', () => this.updateTransportOptions());
+        }
+        if (this.productCategory) {
+            this.productCategory.innerHTML = Object.entries(SPEND_FACTORS).map(([id, category]) => `
+                <option value="${id}">${Utils.escapeHtml(category.label)}</option>
+            `).join('');
+        }
+        this.initEnergyOptions();
+
+        Utils.addSafeListener(this.activityType, 'change', () => this.update());
+        Utils.addSafeListener(this.activityUnit, 'change', () => this.updateEnergyOptions());
+
+        // Feedback as the row is filled in, once the user has entered an amount
+        Utils.addSafeListener(this.activityAmount, 'change', () => {
+            this.touched = true;
+        });
+        [this.activityType, this.activityAmount, this.activityUnit].forEach(element => {
+            Utils.addSafeListener(element, 'change', () => {
+                if (this.touched) this.validate();
+            });
+        });
+
+        this.applyEntitlements();
+        this.update();
+    }
+
+    /**
+     * Refresh everything that depends on the activity type
+     */
+    update() {
+        const type = this.activityType?.value;
+        this.updateUnitOptions();
+        this.updateTransportOptions();
+        this.updateEnergyOptions();
+        if (this.foodOptions) this.foodOptions.hidden = type !== 'food';
+        if (this.shoppingOptions) this.shoppingOptions.hidden = type !== 'shopping';
+    }
+
+    /**
+     * Number the row and label its controls to match
+     * @param {number} index - Zero-based position
+     * @param {number} count - Rows in the form
+     */
+    setIndex(index, count) {
+        this.setLabel(I18n.t('calculator.row', { number: index + 1 }), count > 1);
+    }
+
+    /**
+     * Title the row
+     * @param {string} label - Visible and accessible name
+     * @param {boolean} removable - Whether to offer the remove button
+     */
+    setLabel(label, removable = false) {
+        this.element.setAttribute('aria-label', label);
+        if (this.title) this.title.textContent = label;
+        if (this.removeBtn) {
+            this.removeBtn.hidden = !removable;
+            this.removeBtn.setAttribute('aria-label', I18n.t('calculator.removeRow', { label }));
+        }
+    }
+
+    /**
+     * Label activity types in the current language, disabling those the plan
+     * doesn't include and naming the plan that does
+     */
+    applyEntitlements() {
+        if (!this.activityType) return;
+
+        [...this.activityType.options].forEach(option => {
+            if (!option.value) return;
+            const label = I18n.category(option.value);
+            const allowed = !this.entitlements || this.entitlements.canLog(option.value);
+            option.disabled = !allowed;
+            option.textContent = allowed
+                ? label
+                : `${label} (${Entitlements.upgradeForCategory(option.value)?.name || 'upgrade'})`;
+        });
+
+        if (this.activityType.selectedOptions[0]?.disabled) {
+            this.activityType.value = '';
+            this.update();
+        }
+    }
+
+    /**
+     * Repopulate the unit selector for the selected activity type
+     */
+    updateUnitOptions() {
+        if (!this.activityUnit) return;
+
+        const category = this.activityType?.value || '';
+        const previous = this.activityUnit.value;
+        const units = category
+            ? UnitConverter.getUnits(category)
+            : Object.keys(APP_CONFIG.baseUnits).map(type => ({ id: I18n.defaultUnit(type) }));
+
+        this.activityUnit.innerHTML = units.map(unit => `
+            <option value="${unit.id}">${Utils.escapeHtml(UnitConverter.getLabel(unit.id))}</option>
+        `).join('');
+
+        // Keep the user's choice when it still applies, else fall back to the
+        // default unit for their unit system
+        if (units.some(unit => unit.id === previous)) {
+            this.activityUnit.value = previous;
+        } else if (category) {
+            this.activityUnit.value = I18n.defaultUnit(category);
+        }
+    }
+
+    /**
+     * Show the transport mode, size and passenger controls where they apply
+     */
+    updateTransportOptions() {
+        if (!this.transportOptions) return;
+
+        const isTransport = this.activityType?.value === 'transport';
+        this.transportOptions.hidden = !isTransport;
+        if (!isTransport || !this.transportMode) return;
+
+        const mode = TRANSPORT_MODES[this.transportMode.value];
+        if (this.vehicleSize) {
+            const sizes = Object.keys(mode?.factors || {});
+            const previous = this.vehicleSize.value;
+            this.vehicleSize.innerHTML = sizes.map(size => `
+                <option value="${size}">${VEHICLE_SIZE_LABELS[size]}</option>
+            `).join('');
+            this.vehicleSize.value = sizes.includes(previous) ? previous : (sizes.includes('medium') ? 'medium' : sizes[0]);
+            this.vehicleSize.closest('.form-group').hidden = sizes.length < 2;
+        }
+        if (this.passengerCount) {
+            this.passengerCount.closest('.form-group').hidden = mode?.basis !== 'vehicle';
+        }
+    }
+
+    /**
+     * Populate the grid region picker and restore saved energy preferences
+     */
+    initEnergyOptions() {
+        if (this.gridRegion) {
+            this.gridRegion.innerHTML = EmissionFactors.listGridRegions().map(region => `
+                <option value="${region.code}">${region.isSubregion ? '— ' : ''}${Utils.escapeHtml(region.label)}</option>
+            `).join('');
+            this.gridRegion.value = this.preferences?.get('gridRegion') || CarbonCalculator.guessGridRegion();
+
+            Utils.addSafeListener(this.gridRegion, 'change', () => {
+                this.preferences?.set('gridRegion', this.gridRegion.value);
+            });
+        }
+
+        if (this.renewableShare) {
+            this.renewableShare.value = this.preferences?.get('renewableShare', 0) ?? 0;
+
+            Utils.addSafeListener(this.renewableShare, 'change', () => {
+                const share = Math.min(100, Math.max(0, parseFloat(this.renewableShare.value) || 0));
+                this.renewableShare.value = share;
+                this.preferences?.set('renewableShare', share);
+            });
+        }
+    }
+
+    /**
+     * Show the grid region and tariff controls for energy activities
+     */
+    updateEnergyOptions() {
+        if (!this.energyOptions) return;
+
+        // Fuel units have their own combustion factor, so the grid doesn't apply
+        const isFuel = !!APP_CONFIG.units[this.activityUnit?.value]?.fuel;
+        this.energyOptions.hidden = this.activityType?.value !== 'energy' || isFuel;
+    }
+
+    /**
+     * Read category-specific details from the row
+     * @param {string} activityType - Activity category
+     * @returns {Object} - Details for EmissionFactors.resolve()
+     */
+    getDetails(activityType) {
+        if (activityType === 'transport' && this.transportMode) {
+            const mode = TRANSPORT_MODES[this.transportMode.value];
+            return {
+                mode: this.transportMode.value,
+                size: this.vehicleSize?.value || 'average',
+                passengers: mode?.basis === 'vehicle' ? (parseInt(this.passengerCount?.value, 10) || 1) : 1
+            };
+        }
+        if (activityType === 'energy' && this.gridRegion) {
+            return {
+                region: this.gridRegion.value,
+                renewableShare: parseFloat(this.renewableShare?.value) || 0
+            };
+        }
+        if (activityType === 'food') {
+            const ingredients = this.mealBuilder.getIngredients();
+            return ingredients.length ? { ingredients } : {};
+        }
+        if (activityType === 'shopping' && this.productCategory) {
+            return { productCategory: this.productCategory.value };
+        }
+        return {};
+    }
+
+    /**
+     * Check the row and estimate its emissions, flagging the first problem found
+     * @returns {Object|null} - Activity with its estimate, or null when invalid
+     */
+    validate() {
+        this.touched = true;
+        const type = this.activityType?.value;
+        const amount = parseFloat(this.activityAmount?.value);
+        const unit = this.activityUnit?.value || APP_CONFIG.baseUnits[type];
+
+        if (!type) {
+            return this.showError(I18n.t('errors.chooseType'), this.activityType);
+        }
+        if (!(amount > 0)) {
+            return this.showError(I18n.t('errors.amountPositive'), this.activityAmount);
+        }
+        if (this.entitlements && !this.entitlements.canLog(type)) {
+            const plan = Entitlements.upgradeForCategory(type);
+            return this.showError(I18n.t('errors.planCategory', {
+                category: I18n.category(type),
+                plan: plan?.name || I18n.t('errors.paidPlan')
+            }), this.activityType);
+        }
+
+        const details = this.getDetails(type);
+        try {
+            const estimate = CarbonCalculator.estimate({ type, amount, unit, details });
+            this.showError('');
+            return { type, amount, unit, details, ...estimate };
+        } catch (error) {
+            return this.showError(error.message, this.activityUnit);
+        }
+    }
+
+    /**
+     * Show or clear the row's validation message
+     * @param {string} message - Message, '' to clear
+     * @param {HTMLElement|null} field - Control at fault
+     * @returns {null} - Always null, so validate() can return it
+     */
+    showError(message, field = null) {
+        this.element.classList.toggle('has-error', !!message);
+        [this.activityType, this.activityAmount, this.activityUnit].forEach(element => {
+            if (!element) return;
+            const atFault = !!message && element === field;
+            element.setAttribute('aria-invalid', String(atFault));
+            if (atFault && this.errorLine) {
+                element.setAttribute('aria-describedby', this.errorLine.id);
+            } else {
+                element.removeAttribute('aria-describedby');
+            }
+        });
+        if (this.errorLine) {
+            this.errorLine.textContent = message;
+            this.errorLine.hidden = !message;
+        }
+        if (message && this.resultLine) {
+            this.resultLine.textContent = '';
+        }
+        return null;
+    }
+
+    /**
+     * Show this row's share of the day's result
+     * @param {Object} activity - Validated activity with its estimate
+     */
+    showResult(activity) {
+        if (!this.resultLine) return;
+        this.resultLine.textContent = `${activity.co2e.toFixed(2)} kg CO₂e · ${EmissionFactors.describe({
+            label: activity.factorLabel,
+            source: activity.factorSource,
+            year: activity.factorYear
+        })}`;
+    }
+}
+
+/**
+ * Interactive carbon footprint calculator: a day's worth of activities at once
+ */
+class CarbonCalculator {
+    /**
+     * @param {ActivityStore|null} store - Activity log to record results in
+     * @param {PreferenceStore|null} preferences - Saved user preferences
+     * @param {CarbonBudget|null} budget - Budget to warn against
+     * @param {Entitlements|null} entitlements - Plan limits on categories and tips
+     */
+    constructor(store = null, preferences = null, budget = null, entitlements = null) {
+        this.store = store;
+        this.preferences = preferences;
+        this.budget = budget;
+        this.entitlements = entitlements;
+        this.form = Utils.safeSelect('#carbon-calculator-form');
+        this.dateInput = Utils.safeSelect('#activity-date');
+        this.rowsContainer = Utils.safeSelect('#activity-rows');
+        this.rowTemplate = Utils.safeSelect('#activity-row-template');
+        this.addRowBtn = Utils.safeSelect('#add-activity-row');
         this.calculateBtn = Utils.safeSelect('#calculate-carbon-btn');
         this.resultDiv = Utils.safeSelect('#carbon-result');
         this.amountSpan = Utils.safeSelect('#carbon-amount');
+        this.resultLabel = Utils.safeSelect('#carbon-result-label');
         this.tipDiv = Utils.safeSelect('#carbon-tip');
+        this.factorDiv = Utils.safeSelect('#carbon-factor');
+        this.equivalentsDiv = Utils.safeSelect('#carbon-equivalents');
+        this.budgetAlert = Utils.safeSelect('#budget-alert');
+        this.rows = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize carbon calculator
+     */
+    init() {
+        if (this.calculateBtn) {
+            Utils.addSafeListener(this.calculateBtn, 'click', () => this.calculate());
+        }
+        
+        if (this.form) {
+            Utils.addSafeListener(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.calculate();
+            });
+        }
+
+        if (this.dateInput) {
+            this.dateInput.value = Utils.toDateKey(new Date());
+            this.dateInput.max = this.dateInput.value;
+        }
+
+        if (this.addRowBtn) {
+            Utils.addSafeListener(this.addRowBtn, 'click', () => this.addRow().activityType?.focus());
+        }
+
+        // Live regions announce reliably only when they exist before their first message
+        this.getErrorRegion();
+        if (this.rowsContainer) {
+            Utils.addSafeListener(this.rowsContainer, 'click', (e) => {
+                const button = e.target.closest('.activity-row-remove');
+                const row = button && this.rows.find(item => item.element.contains(button));
+                if (row) this.removeRow(row);
+            });
+        }
+
+        // Categories outside the plan stay visible but can't be picked
+        this.unsubscribeEntitlements = this.entitlements?.subscribe(() => {
+            this.rows.forEach(row => row.applyEntitlements());
+        });
+        // Row markup is translated by I18n.translatePage(); labels built here follow too
+        this.unsubscribeLocale = I18n.subscribe(() => {
+            this.rows.forEach(row => {
+                row.applyEntitlements();
+                row.updateUnitOptions();
+            });
+            this.renumberRows();
+        });
+
+        this.addRow();
+    }
+
+    /**
+     * Append a blank activity row
+     * @returns {ActivityRow|null} - The new row
+     */
+    addRow() {
+        if (!this.rowsContainer || !this.rowTemplate) return null;
+
+        const fragment = this.rowTemplate.content.cloneNode(true);
+        const element = fragment.firstElementChild;
+        I18n.translatePage(fragment);
+        this.rowsContainer.appendChild(fragment);
+
+        const row = new ActivityRow(element, this.preferences, this.entitlements);
+        this.rows.push(row);
+        this.renumberRows();
+        return row;
+    }
+
+    /**
+     * Remove a row, always keeping at least one
+     * @param {ActivityRow} row - Row to remove
+     */
+    removeRow(row) {
+        if (this.rows.length < 2) return;
+
+        const index = this.rows.indexOf(row);
+        this.rows.splice(index, 1);
+        row.element.remove();
+        this.renumberRows();
+        this.rows[Math.max(0, index - 1)].activityType?.focus();
+    }
+
+    /**
+     * Keep row titles and remove buttons in order
+     */
+    renumberRows() {
+        this.rows.forEach((row, index) => row.setIndex(index, this.rows.length));
+    }
+
+    /**
+     * Timestamp for the chosen day: now for today, midday for earlier days
+     * @returns {string} - ISO timestamp
+     * @throws {Error} - For missing or future dates
+     */
+    getTimestamp() {
+        const today = Utils.toDateKey(new Date());
+        const key = this.dateInput?.value || today;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+            throw new Error(I18n.t('errors.chooseDate'));
+        }
+        if (key > today) {
+            throw new Error(I18n.t('errors.futureDate'));
+        }
+        if (key === today) {
+            return new Date().toISOString();
+        }
+
+        const date = Utils.parseDateKey(key);
+        date.setHours(12);
+        return date.toISOString();
+    }
+
+    /**
+     * Pick a default grid region from the browser locale
+     * @returns {string} - Country code present in GRID_INTENSITY, or WORLD
+     */
+    static guessGridRegion() {
+        const locale = navigator.language || '';
+        const country = locale.split('-')[1]?.toUpperCase();
+        return country && GRID_INTENSITY[country] ? country : 'WORLD';
+    }
+
+    /**
+     * Estimate emissions for an activity
+     * @param {Object} activity - { type, amount, unit, details }
+     * @returns {Object} - { baseAmount, baseUnit, factor, factorLabel, factorSource, factorYear, co2e }
+     * @throws {Error} - When the unit does not apply to the activity type
+     */
+    static estimate(activity) {
+        const unit = activity.unit || APP_CONFIG.baseUnits[activity.type];
+        const baseAmount = UnitConverter.toBase(activity.type, activity.amount, unit);
+        const resolved = EmissionFactors.resolve(activity.type, activity.details, unit);
+
+        return {
+            baseAmount: parseFloat(baseAmount.toFixed(4)),
+            baseUnit: UnitConverter.getBaseUnit(activity.type, unit),
+            factor: resolved.factor,
+            factorLabel: resolved.label,
+            factorSource: resolved.source,
+            factorYear: resolved.year,
+            co2e: parseFloat((baseAmount * resolved.factor).toFixed(2))
+        };
+    }
+
+    /**
+     * Calculate every row in one pass, logging them only when all are valid
+     */
+    calculate() {
+        let timestamp;
+        try {
+            timestamp = this.getTimestamp();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const results = this.rows.map(row => row.validate());
+        const invalid = results.filter(result => !result).length;
+        if (invalid) {
+            this.showError(invalid === 1
+                ? I18n.t('errors.fixOne')
+                : I18n.t('errors.fixMany', { count: invalid }));
+            this.rows[results.indexOf(null)].element.scrollIntoView?.({ block: 'nearest' });
+            return;
+        }
+
+        const activities = results.map(activity => ({ ...activity, timestamp }));
+        activities.forEach((activity, index) => this.rows[index].showResult(activity));
+
+        const total = activities.reduce((sum, activity) => sum + activity.co2e, 0);
+        const tip = this.getPersonalTip(activities);
+        this.showBudgetAlert(total, new Date(timestamp));
+
+        const [only] = activities;
+        this.displayResult(total.toFixed(2), tip, activities.length === 1
+            ? EmissionFactors.describe({ label: only.factorLabel, source: only.factorSource, year: only.factorYear })
+            : '', activities.length);
+        this.logActivities(activities);
+    }
+
+    /**
+     * Top-ranked recommendation for the history including the new activities,
+     * falling back to the largest activity's category tip for brand-new users
+     * and free plans
+     * @param {Object[]} activities - Activities about to be logged
+     * @returns {string} - Tip text
+     */
+    getPersonalTip(activities) {
+        const activity = activities.reduce((largest, item) => (item.co2e > largest.co2e ? item : largest));
+        if (this.entitlements && !this.entitlements.can('recommendations')) {
+            return CarbonCalculator.getTip(activity.type, activity.details);
+        }
+
+        const history = this.store ? this.store.getAll() : [];
+        const [top] = RecommendationEngine.recommend([...history, ...activities]);
+        if (!top) return CarbonCalculator.getTip(activity.type, activity.details);
+
+        // Keep the meal's largest-contributor note alongside the top pick
+        const mealNote = activity.type === 'food' ? CarbonCalculator.describeLargestIngredient(activity.details) : '';
+        const suggestion = I18n.t('result.topSuggestion', {
+            title: top.title,
+            kg: I18n.formatFixed(top.savingKg, 1),
+            reason: top.reason
+        });
+        return mealNote ? `${suggestion} ${mealNote}` : suggestion;
+    }
+
+    /**
+     * Eco tip for a calculation, naming a meal's largest contributor
+     * @param {string} activityType - Activity category
+     * @param {Object} details - Category-specific details
+     * @returns {string} - Tip text
+     */
+    static getTip(activityType, details = {}) {
+        const tip = I18n.t(`tips.${activityType}`);
+        const mealNote = activityType === 'food' ? CarbonCalculator.describeLargestIngredient(details) : '';
+        return mealNote ? `${tip} ${mealNote}` : tip;
+    }
+
+    /**
+     * Sentence naming the biggest contributor in a built meal
+     * @param {Object} details - Food details with optional ingredients
+     * @returns {string} - Sentence, or '' for generic meals
+     */
+    static describeLargestIngredient(details = {}) {
+        if (!details.ingredients?.length) return '';
+
+        const [largest] = EmissionFactors.foodContributions(details.ingredients);
+        if (!largest || largest.co2e <= 0) return '';
+
+        const share = Math.round(largest.share * 100);
+        return I18n.t('tips.largestIngredient', {
+            food: largest.label,
+            kg: I18n.formatFixed(largest.co2e, 2),
+            share
+        });
+    }
+
+    /**
+     * Warn when a new result pushes the user over their budget
+     * @param {number} co2e - kg CO2e about to be logged
+     * @param {Date} date - Day the activities are logged for; the budget period is the one containing it
+     */
+    showBudgetAlert(co2e, date = new Date()) {
+        if (!this.budgetAlert) return;
+
+        const check = this.budget ? this.budget.checkAddition(co2e, date) : null;
+        if (!check || !check.exceeds) {
+            this.budgetAlert.hidden = true;
+            this.budgetAlert.textContent = '';
+            return;
+        }
+
+        this.budgetAlert.textContent = I18n.t(check.wasOver ? 'budget.alreadyOver' : 'budget.wouldGoOver', {
+            period: check.periodLabel,
+            kg: I18n.formatFixed(co2e, 2),
+            over: I18n.formatFixed(check.overBy, 1)
+        });
+        this.budgetAlert.hidden = false;
+    }
+
+    /**
+     * Save a day's calculations to the activity log
+     * @param {Object[]} activities - Activity data
+     * @returns {Promise<Object[]|null>} - Stored activities or null
+     */
+    async logActivities(activities) {
+        if (!this.store) return null;
+
+        try {
+            return await this.store.addMany(activities);
+        } catch (error) {
+            console.error('Failed to save activities:', error);
+            this.showError(I18n.t('errors.notSaved'));
+            return null;
+        }
+    }
+
+    /**
+     * Display calculation result with animation
+     * @param {string} carbonAmount - Carbon amount
+     * @param {string} tip - Eco tip
+     * @param {string} factorNote - Which factor was applied and its source
+     * @param {number} count - Activities included in the total
+     */
+    displayResult(carbonAmount, tip, factorNote = '', count = 1) {
+        if (!this.resultDiv || !this.amountSpan || !this.tipDiv) return;
+
+        // Show result container
+        this.resultDiv.style.display = 'block';
+
+        if (MotionPreference.reduced) {
+            this.resultDiv.style.transform = 'none';
+            [this.resultDiv, this.amountSpan, this.tipDiv].forEach(element => {
+                element.style.transition = 'none';
+                element.style.opacity = '1';
+            });
+            this.renderResult(carbonAmount, tip, factorNote, count);
+            return;
+        }
+        
+        // Animate entrance
+        this.resultDiv.style.transform = 'scale(0.9)';
+        this.resultDiv.style.opacity = '0';
+        
+        // Reset content opacity
+        this.amountSpan.style.opacity = '0';
+        this.tipDiv.style.opacity = '0';
+        
+        // Animate container
+        setTimeout(() => {
+            this.resultDiv.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
+            this.resultDiv.style.transform = 'scale(1)';
+            this.resultDiv.style.opacity = '1';
+            
+            // Set content
+            setTimeout(() => {
+                this.renderResult(carbonAmount, tip, factorNote, count);
+                
+                // Animate content
+                this.amountSpan.style.transition = 'opacity 0.5s ease';
+                this.tipDiv.style.transition = 'opacity 0.5s ease 0.2s';
+                this.amountSpan.style.opacity = '1';
+                this.tipDiv.style.opacity = '1';
+            }, 200);
+        }, 100);
+    }
+
+    /**
+     * Fill in the result; #carbon-result is a polite live region, so this is
+     * what screen readers announce
+     * @param {string} carbonAmount - Carbon amount
+     * @param {string} tip - Eco tip
+     * @param {string} factorNote - Which factor was applied and its source
+     * @param {number} count - Activities included in the total
+     */
+    renderResult(carbonAmount, tip, factorNote, count) {
+        this.amountSpan.textContent = I18n.formatNumber(Number(carbonAmount), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        if (this.resultLabel) {
+            this.resultLabel.textContent = count > 1
+                ? I18n.t('result.kgMany', { count })
+                : I18n.t('result.kg');
+        }
+        this.tipDiv.textContent = tip;
+        if (this.factorDiv) {
+            this.factorDiv.textContent = factorNote ? I18n.t('result.factor', { note: factorNote }) : '';
+        }
+        if (this.equivalentsDiv) {
+            this.equivalentsDiv.innerHTML = Equivalencies.pick(Number(carbonAmount)).map(item =>
+                `<span class="equivalent" title="${Utils.escapeHtml(item.source)}">≈ ${Utils.escapeHtml(item.text)}</span>`
+            ).join('');
+        }
+    }
+
+    /**
+     * Error banner below the calculate button, created on first use
+     * @returns {HTMLElement} - The #carbon-error alert region
+     */
+    getErrorRegion() {
+        let errorDiv = Utils.safeSelect('#carbon-error');
+        
+        if (!errorDiv) {
+            errorDiv = document.createElement('div');
+            errorDiv.id = 'carbon-error';
+            errorDiv.setAttribute('role', 'alert');
+            errorDiv.setAttribute('aria-atomic', 'true');
+            errorDiv.style.cssText = `
+                background: #ff6b6b;
+                color: white;
+                padding: 1rem;
+                border-radius: 10px;
+                margin-top: 1rem;
+                text-align: center;
+                opacity: 0;
+                transition: opacity 0.3s ease;
+            `;
+            
+            if (this.calculateBtn && this.calculateBtn.parentNode) {
+                this.calculateBtn.parentNode.insertBefore(errorDiv, this.calculateBtn.nextSibling);
+            }
+        }
+
+        return errorDiv;
+    }
+
+    /**
+     * Show error message
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const errorDiv = this.getErrorRegion();
+        
+        errorDiv.textContent = message;
+        errorDiv.style.opacity = '1';
         
+        // Hide error after 3 seconds, then empty it so it isn't read out of context later
+        clearTimeout(this.errorTimer);
+        this.errorTimer = setTimeout(() => {
+            errorDiv.style.opacity = '0';
+            this.errorTimer = setTimeout(() => {
+                errorDiv.textContent = '';
+            }, APP_CONFIG.animationDuration.short);
+        }, 3000);
+    }
+}
+
+// ============================
+// ACTIVITY HISTORY MODULE
+// ============================
+
+/**
+ * Editable, filterable list of logged activities
+ */
+class ActivityHistory {
+    /**
+     * @param {ActivityStore} store - Activity log to display
+     */
+    constructor(store) {
+        this.store = store;
+        this.container = Utils.safeSelect('#activity-history');
+        this.list = Utils.safeSelect('#history-list');
+        this.emptyState = Utils.safeSelect('#history-empty');
+        this.fromInput = Utils.safeSelect('#history-from');
+        this.toInput = Utils.safeSelect('#history-to');
+        this.categorySelect = Utils.safeSelect('#history-category');
+        this.editingId = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize filters, row actions and store subscription
+     */
+    init() {
+        if (!this.container || !this.list || !this.store) return;
+
+        [this.fromInput, this.toInput, this.categorySelect].forEach(element => {
+            if (element) {
+                Utils.addSafeListener(element, 'change', () => this.render());
+            }
+        });
+
+        // Delegate row actions so re-rendering doesn't lose handlers
+        Utils.addSafeListener(this.list, 'click', (e) => this.handleListClick(e));
+        Utils.addSafeListener(this.list, 'submit', (e) => this.handleEditSubmit(e));
+
+        this.unsubscribe = this.store.subscribe(() => this.render());
+        this.unsubscribeLocale = I18n.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Current filter values
+     * @returns {Object} - { from, to, type }
+     */
+    getFilters() {
+        return {
+            from: this.fromInput?.value || '',
+            to: this.toInput?.value || '',
+            type: this.categorySelect?.value || ''
+        };
+    }
+
+    /**
+     * Render the filtered activity list
+     */
+    render() {
+        const activities = this.store.getAll(this.getFilters());
+
+        if (this.emptyState) {
+            const hasAny = this.store.getAll().length > 0;
+            this.emptyState.textContent = hasAny
+                ? 'No activities match these filters.'
+                : 'No activities logged yet. Calculate an impact above to start tracking.';
+            this.emptyState.style.display = activities.length ? 'none' : 'block';
+        }
+
+        this.list.innerHTML = activities.map(activity => (
+            activity.id === this.editingId ? this.renderEditRow(activity) : this.renderRow(activity)
+        )).join('');
+    }
+
+    /**
+     * Render a read-only history row
+     * @param {Object} activity - Activity entry
+     * @returns {string} - Row HTML
+     */
+    renderRow(activity) {
+        const label = I18n.category(activity.type);
+        const when = I18n.formatDateTime(activity.timestamp);
+
+        return `
+            <li class="history-item" data-id="${Utils.escapeHtml(activity.id)}">
+                <div class="history-main">
+                    <span class="history-category">${Utils.escapeHtml(label)}${activity.source === 'recurring' ? ' <i class="fas fa-redo" title="Logged by a recurring activity" role="img" aria-label="Recurring"></i>' : ''}</span>
+                    <span class="history-detail" title="${Utils.escapeHtml(this.describeFactor(activity))}">${Utils.escapeHtml(this.describeAmount(activity))} × ${Utils.escapeHtml(activity.factor)} kg/${Utils.escapeHtml(activity.baseUnit || activity.unit)}</span>
+                    <time class="history-date" datetime="${Utils.escapeHtml(activity.timestamp)}">${Utils.escapeHtml(when)}</time>
+                </div>
+                <strong class="history-co2e">${Number(activity.co2e).toFixed(2)} kg CO₂e</strong>
+                <div class="history-actions">
+                    <button type="button" class="history-btn" data-action="edit" aria-label="Edit activity"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                    <button type="button" class="history-btn" data-action="delete" aria-label="Delete activity"><i class="fas fa-trash" aria-hidden="true"></i></button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Describe the entered amount, with its base-unit equivalent when converted
+     * (distances in the user's unit system)
+     * @param {Object} activity - Activity entry
+     * @returns {string} - e.g. "10 Miles (16.09 km)"
+     */
+    describeAmount(activity) {
+        const entered = `${I18n.formatNumber(activity.amount)} ${UnitConverter.getLabel(activity.unit)}`;
+        const isDistance = activity.baseUnit === 'km';
+        const shownIn = isDistance ? I18n.defaultUnit('transport') : activity.baseUnit;
+        if (!activity.baseUnit || shownIn === activity.unit) return entered;
+
+        const base = isDistance
+            ? I18n.formatDistance(Number(activity.baseAmount))
+            : `${I18n.formatNumber(Number(activity.baseAmount), { maximumFractionDigits: 2 })} ${activity.baseUnit}`;
+        return `${entered} (${base})`;
+    }
+
+    /**
+     * Describe which factor an entry used, for auditing
+     * @param {Object} activity - Activity entry
+     * @returns {string} - Factor label and source
+     */
+    describeFactor(activity) {
+        if (!activity.factorSource) return '';
+        return EmissionFactors.describe({
+            label: activity.factorLabel,
+            source: activity.factorSource,
+            year: activity.factorYear
+        });
+    }
+
+    /**
+     * Render an inline edit form for a history row
+     * @param {Object} activity - Activity entry
+     * @returns {string} - Row HTML
+     */
+    renderEditRow(activity) {
+        return `
+            <li class="history-item editing" data-id="${Utils.escapeHtml(activity.id)}">
+                <form class="history-edit-form">
+                    <input type="number" name="amount" min="0" step="0.1" value="${Utils.escapeHtml(activity.amount)}" aria-label="Amount" required>
+                    <input type="date" name="date" value="${Utils.toDateKey(activity.timestamp)}" aria-label="Date" required>
+                    <button type="submit" class="history-btn" aria-label="Save changes"><i class="fas fa-check" aria-hidden="true"></i></button>
+                    <button type="button" class="history-btn" data-action="cancel" aria-label="Cancel editing"><i class="fas fa-times" aria-hidden="true"></i></button>
+                </form>
+            </li>
+        `;
+    }
+
+    /**
+     * Handle edit/delete/cancel button clicks
+     * @param {Event} e - Click event
+     */
+    handleListClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const row = button.closest('.history-item');
+        const id = row?.dataset.id;
+
+        switch (button.dataset.action) {
+            case 'edit':
+                this.editingId = id;
+                this.render();
+                break;
+            case 'cancel':
+                this.editingId = null;
+                this.render();
+                break;
+            case 'delete':
+                if (window.confirm('Delete this activity?')) {
+                    this.store.remove(id).catch(error => console.error('Failed to delete activity:', error));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Save an inline edit
+     * @param {Event} e - Submit event
+     */
+    async handleEditSubmit(e) {
+        e.preventDefault();
+
+        const row = e.target.closest('.history-item');
+        const activity = this.store.get(row?.dataset.id);
+        if (!activity) return;
+
+        const amount = parseFloat(e.target.elements.amount.value);
+        const dateKey = e.target.elements.date.value;
+        if (!(amount > 0) || !dateKey) return;
+
+        // Keep the original time of day when the date moves
+        const original = new Date(activity.timestamp);
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const timestamp = new Date(year, month - 1, day, original.getHours(), original.getMinutes(), original.getSeconds());
+
+        this.editingId = null;
+        try {
+            await this.store.update(activity.id, {
+                ...CarbonCalculator.estimate({ ...activity, amount }),
+                amount,
+                timestamp: timestamp.toISOString()
+            });
+        } catch (error) {
+            console.error('Failed to update activity:', error);
+            this.render();
+        }
+    }
+}
+
+// ============================
+// RECURRING ACTIVITIES MODULE
+// ============================
+
+/**
+ * @typedef {Object} RecurringTemplate
+ * @property {string} id - Template id
+ * @property {Object} activity - { type, amount, unit, details } logged each time
+ * @property {Object} rule - { frequency, interval, weekdays } (interval/weekdays for 'custom')
+ * @property {string} start - First day (YYYY-MM-DD)
+ * @property {string|null} end - Last day, or null to repeat forever
+ * @property {string[]} skipDates - Occurrences not to log
+ * @property {Object<string, Object>} overrides - Per-date changes, e.g. { '2026-11-02': { amount: 30 } }
+ * @property {boolean} paused - Paused templates log nothing, even for missed days
+ * @property {string|null} lastMaterialized - Last day already written to the log
+ */
+
+/**
+ * Date arithmetic for recurrence rules. Everything works on local YYYY-MM-DD keys.
+ */
+class RecurrenceRule {
+    static FREQUENCIES = {
+        daily: 'Every day',
+        weekdays: 'Every weekday',
+        weekly: 'Every week',
+        monthly: 'Every month',
+        custom: 'Custom'
+    };
+
+    // Longest gap filled in on open, so an ancient start date can't flood the log
+    static MAX_BACKFILL_DAYS = 366;
+
+    /**
+     * Whole days from one key to another
+     * @param {string} from - Date key
+     * @param {string} to - Date key
+     * @returns {number} - Days (negative when to is earlier)
+     */
+    static daysBetween(from, to) {
+        return Math.round((Utils.parseDateKey(to) - Utils.parseDateKey(from)) / 86400000);
+    }
+
+    /**
+     * Whether a template falls on a day
+     * @param {RecurringTemplate} template - Template
+     * @param {string} key - Date key
+     * @returns {boolean} - True when an occurrence is due
+     */
+    static occursOn(template, key) {
+        if (key < template.start || (template.end && key > template.end)) return false;
+
+        const date = Utils.parseDateKey(key);
+        const start = Utils.parseDateKey(template.start);
+        const { frequency, interval = 1, weekdays = [] } = template.rule;
+
+        switch (frequency) {
+            case 'daily':
+                return true;
+            case 'weekdays':
+                return date.getDay() >= 1 && date.getDay() <= 5;
+            case 'weekly':
+                return date.getDay() === start.getDay();
+            case 'monthly': {
+                // The 31st falls on the last day of shorter months
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return date.getDate() === Math.min(start.getDate(), lastDay);
+            }
+            case 'custom': {
+                // Weeks counted from the Sunday on or before the start date
+                const weekStart = Utils.toDateKey(Utils.addDays(start, -start.getDay()));
+                const week = Math.floor(this.daysBetween(weekStart, key) / 7);
+                return weekdays.includes(date.getDay()) && week % Math.max(1, interval) === 0;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Occurrence dates in a range
+     * @param {RecurringTemplate} template - Template
+     * @param {string} from - First day (inclusive)
+     * @param {string} to - Last day (inclusive)
+     * @param {number} limit - Stop after this many
+     * @returns {string[]} - Date keys
+     */
+    static occurrences(template, from, to, limit = Infinity) {
+        const first = from > template.start ? from : template.start;
+        const last = template.end && template.end < to ? template.end : to;
+        const dates = [];
+
+        for (let day = Utils.parseDateKey(first), key = first; key <= last && dates.length < limit; ) {
+            if (this.occursOn(template, key)) dates.push(key);
+            day = Utils.addDays(day, 1);
+            key = Utils.toDateKey(day);
+        }
+        return dates;
+    }
+
+    /**
+     * Human-readable rule
+     * @param {RecurringTemplate} template - Template
+     * @returns {string} - e.g. "Every 2 weeks on Mon, Thu"
+     */
+    static describe(template) {
+        const weekday = day => I18n.formatDate(new Date(2024, 0, 7 + day), { weekday: 'short' });
+        const start = Utils.parseDateKey(template.start);
+        const { frequency, interval = 1, weekdays = [] } = template.rule;
+
+        switch (frequency) {
+            case 'weekdays':
+                return 'Every weekday (Mon–Fri)';
+            case 'weekly':
+                return `Every ${weekday(start.getDay())}`;
+            case 'monthly':
+                return `Monthly on day ${start.getDate()}`;
+            case 'custom':
+                return `Every ${interval > 1 ? `${interval} weeks` : 'week'} on ${weekdays.map(weekday).join(', ')}`;
+            default:
+                return this.FREQUENCIES[frequency] || frequency;
+        }
+    }
+}
+
+/**
+ * Recurring activity templates for one user, and writing their occurrences
+ * into the activity log
+ */
+class RecurringSchedule extends ScopedListStore {
+    /**
+     * @param {ActivityStore|null} store - Activity log to write occurrences into
+     * @param {string|null} scope - Signed-in user id, or null for the guest
+     * @param {SyncService|null} sync - Knows which occurrences were deleted, here or on another device
+     * @param {string} baseKey - localStorage key
+     */
+    constructor(store, scope = null, sync = null, baseKey = APP_CONFIG.storage.recurringKey) {
+        super(scope, baseKey);
+        this.store = store;
+        this.sync = sync;
+    }
+
+    /**
+     * All templates
+     * @returns {RecurringTemplate[]} - Templates
+     */
+    getAll() {
+        return this.items.map(template => ({ ...template }));
+    }
+
+    /**
+     * Find a template
+     * @param {string} id - Template id
+     * @returns {RecurringTemplate} - Live template
+     * @throws {Error} - When missing
+     */
+    find(id) {
+        const template = this.items.find(item => item.id === id);
+        if (!template) {
+            throw new Error('Recurring activity not found');
+        }
+        return template;
+    }
+
+    /**
+     * Create a template and log anything already due
+     * @param {Object} input - { activity, rule, start, end, skipDates }
+     * @returns {Promise<RecurringTemplate>} - New template
+     */
+    async add({ activity, rule, start, end = null, skipDates = [] }) {
+        if (!RecurrenceRule.FREQUENCIES[rule?.frequency]) {
+            throw new Error('Choose how often this repeats');
+        }
+        if (rule.frequency === 'custom' && !rule.weekdays?.length) {
+            throw new Error('Pick at least one day of the week');
+        }
+        if (!start) {
+            throw new Error('Choose a start date');
+        }
+        if (end && end < start) {
+            throw new Error('The end date must be on or after the start date');
+        }
+
+        const template = {
+            id: ActivityStore.createId(),
+            activity: { type: activity.type, amount: activity.amount, unit: activity.unit, details: activity.details || {} },
+            rule: {
+                frequency: rule.frequency,
+                interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+                weekdays: (rule.weekdays || []).map(Number)
+            },
+            start,
+            end: end || null,
+            skipDates: [...new Set(skipDates)].sort(),
+            overrides: {},
+            paused: false,
+            lastMaterialized: null
+        };
+        this.items.push(template);
+        this.save();
+        await this.materialize();
+        return { ...template };
+    }
+
+    /**
+     * Delete a template; activities it already logged stay in the history
+     * @param {string} id - Template id
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    /**
+     * Stop logging occurrences until resumed
+     * @param {string} id - Template id
+     */
+    pause(id) {
+        this.find(id).paused = true;
+        this.save();
+    }
+
+    /**
+     * Resume logging from today; days missed while paused stay empty
+     * @param {string} id - Template id
+     * @param {Date} now - Reference time
+     * @returns {Promise<Object[]>} - Activities logged for today
+     */
+    async resume(id, now = new Date()) {
+        const template = this.find(id);
+        const yesterday = Utils.toDateKey(Utils.addDays(now, -1));
+        template.paused = false;
+        if (!template.lastMaterialized || template.lastMaterialized < yesterday) {
+            template.lastMaterialized = yesterday;
+        }
+        this.save();
+        return this.materialize(now);
+    }
+
+    /**
+     * Skip or restore one occurrence
+     * @param {string} id - Template id
+     * @param {string} date - Occurrence date
+     * @param {boolean} skipped - True to skip, false to restore
+     */
+    setSkipped(id, date, skipped = true) {
+        const template = this.find(id);
+        const dates = new Set(template.skipDates);
+        if (skipped) {
+            dates.add(date);
+        } else {
+            dates.delete(date);
+        }
+        template.skipDates = [...dates].sort();
+        this.save();
+    }
+
+    /**
+     * Change the amount of one upcoming occurrence, leaving the series alone.
+     * Occurrences already logged are edited in the history instead.
+     * @param {string} id - Template id
+     * @param {string} date - Occurrence date
+     * @param {number|null} amount - New amount, or null to use the template's
+     */
+    override(id, date, amount) {
+        const template = this.find(id);
+        if (amount !== null && !(amount > 0)) {
+            throw new Error('Amount must be greater than zero');
+        }
+        if (amount === null || amount === template.activity.amount) {
+            delete template.overrides[date];
+        } else {
+            template.overrides[date] = { amount };
+        }
+        this.save();
+    }
+
+    /**
+     * Next occurrences not yet logged, skipped ones included
+     * @param {RecurringTemplate} template - Template
+     * @param {Date} now - Reference time
+     * @param {number} count - How many
+     * @returns {Object[]} - [{ date, amount, skipped, overridden }]
+     */
+    static upcoming(template, now = new Date(), count = 5) {
+        const tomorrow = Utils.toDateKey(Utils.addDays(now, 1));
+        const after = template.lastMaterialized
+            ? Utils.toDateKey(Utils.addDays(Utils.parseDateKey(template.lastMaterialized), 1))
+            : tomorrow;
+        const from = after > tomorrow ? after : tomorrow;
+        const to = Utils.toDateKey(Utils.addDays(Utils.parseDateKey(from), 400));
+
+        return RecurrenceRule.occurrences(template, from, to, count).map(date => ({
+            date,
+            amount: template.overrides[date]?.amount ?? template.activity.amount,
+            skipped: template.skipDates.includes(date),
+            overridden: !!template.overrides[date]
+        }));
+    }
+
+    /**
+     * Log every occurrence due up to today that hasn't been logged yet, filling
+     * in days the app wasn't opened. Ids are derived from the template and date,
+     * so a second device writing the same occurrence updates rather than duplicates,
+     * and an occurrence the user deleted anywhere is not written again.
+     * @param {Date} now - Reference time
+     * @returns {Promise<Object[]>} - Activities logged
+     * @throws {Error} - When the log can't be written; nothing is marked as logged then
+     */
+    async materialize(now = new Date()) {
+        if (!this.store) return [];
+
+        const today = Utils.toDateKey(now);
+        const earliest = Utils.toDateKey(Utils.addDays(now, -RecurrenceRule.MAX_BACKFILL_DAYS));
+        const due = [];
+        const caughtUp = [];
+
+        this.items.forEach(template => {
+            if (template.paused) return;
+
+            const resumeFrom = template.lastMaterialized
+                ? Utils.toDateKey(Utils.addDays(Utils.parseDateKey(template.lastMaterialized), 1))
+                : template.start;
+            const from = resumeFrom > earliest ? resumeFrom : earliest;
+
+            RecurrenceRule.occurrences(template, from, today).forEach(date => {
+                const id = `recurring-${template.id}-${date}`;
+                if (template.skipDates.includes(date) || this.store.get(id) || this.sync?.wasDeleted(id)) return;
+
+                const activity = {
+                    ...template.activity,
+                    ...template.overrides[date],
+                    details: { ...template.activity.details, recurringId: template.id, occurrence: date }
+                };
+                try {
+                    const timestamp = Utils.parseDateKey(date);
+                    timestamp.setHours(12);
+                    due.push({ id, ...activity, ...CarbonCalculator.estimate(activity), timestamp: timestamp.toISOString(), source: 'recurring' });
+                } catch (error) {
+                    console.warn(`Skipping recurring activity on ${date}:`, error.message);
+                }
+            });
+
+            if (!template.lastMaterialized || template.lastMaterialized < today) {
+                caughtUp.push(template);
+            }
+        });
+
+        const logged = due.length ? await this.store.addMany(due) : [];
+        // Move the bookmark only once the occurrences are stored, so a failed write is retried
+        caughtUp.forEach(template => {
+            template.lastMaterialized = today;
+        });
+        this.save();
+        return logged;
+    }
+}
+
+/**
+ * Form and list for recurring activities
+ */
+class RecurringPanel {
+    /**
+     * @param {RecurringSchedule} schedule - Templates
+     * @param {PreferenceStore|null} preferences - For the activity row's grid region
+     * @param {Entitlements|null} entitlements - Category limits for the activity row
+     */
+    constructor(schedule, preferences = null, entitlements = null) {
+        this.schedule = schedule;
+        this.preferences = preferences;
+        this.entitlements = entitlements;
+        this.form = Utils.safeSelect('#recurring-form');
+        this.rowContainer = Utils.safeSelect('#recurring-activity');
+        this.rowTemplate = Utils.safeSelect('#activity-row-template');
+        this.frequency = Utils.safeSelect('#recurring-frequency');
+        this.message = Utils.safeSelect('#recurring-message');
+        this.list = Utils.safeSelect('#recurring-list');
+
+        this.init();
+    }
+
+    /**
+     * Build the form and bind the list controls
+     */
+    init() {
+        if (!this.form || !this.schedule || !this.rowTemplate) return;
+
+        const fragment = this.rowTemplate.content.cloneNode(true);
+        const element = fragment.firstElementChild;
+        this.rowContainer.appendChild(fragment);
+        this.row = new ActivityRow(element, this.preferences, this.entitlements);
+        this.row.setLabel('Activity');
+        this.unsubscribeEntitlements = this.entitlements?.subscribe(() => this.row.applyEntitlements());
+
+        this.form.elements.start.value = Utils.toDateKey(new Date());
+        Utils.addSafeListener(this.frequency, 'change', () => this.updateRuleFields());
+        this.updateRuleFields();
+
+        Utils.addSafeListener(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        Utils.addSafeListener(this.list, 'click', (e) => this.handleClick(e));
+        Utils.addSafeListener(this.list, 'change', (e) => {
+            const input = e.target.closest('input[data-override]');
+            if (!input) return;
+            const amount = input.value === '' ? null : parseFloat(input.value);
+            Utils.runWithMessage(this.message, () => this.schedule.override(input.closest('[data-id]').dataset.id, input.dataset.override, amount));
+        });
+
+        this.unsubscribe = this.schedule.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Show the interval and weekday fields only for custom rules
+     */
+    updateRuleFields() {
+        const isCustom = this.frequency?.value === 'custom';
+        this.form.querySelectorAll('.recurring-custom').forEach(element => {
+            element.hidden = !isCustom;
+        });
+    }
+
+    /**
+     * Create a template from the form
+     * @returns {Promise<void>}
+     */
+    async submit() {
+        const activity = this.row.validate();
+        if (!activity) return;
+
+        const elements = this.form.elements;
+        const skipDates = elements.skipDates.value
+            .split(/[\s,]+/)
+            .filter(Boolean);
+        const invalid = skipDates.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+        if (invalid) {
+            Utils.showMessage(this.message, `"${invalid}" isn't a date — use YYYY-MM-DD.`);
+            return;
+        }
+
+        const created = await Utils.runWithMessage(this.message, () => this.schedule.add({
+            activity,
+            rule: {
+                frequency: this.frequency.value,
+                interval: elements.interval.value,
+                weekdays: [...this.form.querySelectorAll('input[name="weekdays"]:checked')].map(input => Number(input.value))
+            },
+            start: elements.start.value,
+            end: elements.end.value || null,
+            skipDates
+        }));
+        if (created) {
+            elements.skipDates.value = '';
+            elements.end.value = '';
+        }
+    }
+
+    /**
+     * Pause, resume, delete and skip buttons
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const id = button.closest('[data-id]').dataset.id;
+
+        switch (button.dataset.action) {
+            case 'pause':
+                Utils.runWithMessage(this.message, () => this.schedule.pause(id));
+                break;
+            case 'resume':
+                Utils.runWithMessage(this.message, () => this.schedule.resume(id));
+                break;
+            case 'delete':
+                if (window.confirm('Stop this recurring activity? Entries already logged stay in your history.')) {
+                    Utils.runWithMessage(this.message, () => this.schedule.remove(id));
+                }
+                break;
+            case 'skip':
+            case 'restore':
+                Utils.runWithMessage(this.message, () => this.schedule.setSkipped(id, button.dataset.date, button.dataset.action === 'skip'));
+                break;
+        }
+    }
+
+    /**
+     * Render the template list with upcoming occurrences
+     */
+    render() {
+        if (!this.list) return;
+
+        const templates = this.schedule.getAll();
+        this.list.innerHTML = templates.length ? templates.map(template => {
+            const { activity } = template;
+            const unit = UnitConverter.getLabel(activity.unit);
+            const upcoming = RecurringSchedule.upcoming(template);
+            const range = template.end ? `${template.start} to ${template.end}` : `from ${template.start}`;
+
+            return `
+                <li class="recurring-item${template.paused ? ' is-paused' : ''}" data-id="${template.id}">
+                    <div class="recurring-main">
+                        <strong>${Utils.escapeHtml(APP_CONFIG.categoryLabels[activity.type])}: ${activity.amount} ${Utils.escapeHtml(unit)}</strong>
+                        <span>${Utils.escapeHtml(RecurrenceRule.describe(template))} · ${range}${template.skipDates.length ? ` · ${template.skipDates.length} skipped` : ''}</span>
+                        <span>${template.paused ? 'Paused' : (upcoming.find(item => !item.skipped) ? `Next: ${upcoming.find(item => !item.skipped).date}` : 'No more occurrences')}</span>
+                    </div>
+                    <div class="recurring-actions">
+                        ${template.paused
+                            ? '<button type="button" class="history-btn" data-action="resume"><i class="fas fa-play" aria-hidden="true"></i> Resume</button>'
+                            : '<button type="button" class="history-btn" data-action="pause"><i class="fas fa-pause" aria-hidden="true"></i> Pause</button>'}
+                        <button type="button" class="history-btn" data-action="delete" aria-label="Delete recurring activity"><i class="fas fa-trash" aria-hidden="true"></i></button>
+                    </div>
+                    ${upcoming.length ? `
+                        <details class="recurring-upcoming">
+                            <summary>Upcoming</summary>
+                            <ul>
+                                ${upcoming.map(item => `
+                                    <li class="${item.skipped ? 'is-skipped' : ''}">
+                                        <time datetime="${item.date}">${I18n.formatDate(Utils.parseDateKey(item.date), { weekday: 'short', month: 'short', day: 'numeric' })}</time>
+                                        <input type="number" min="0" step="0.1" value="${item.amount}" data-override="${item.date}" aria-label="Amount on ${item.date}" ${item.skipped ? 'disabled' : ''}>
+                                        <span>${Utils.escapeHtml(unit)}${item.overridden ? ' (changed)' : ''}</span>
+                                        <button type="button" class="history-btn" data-action="${item.skipped ? 'restore' : 'skip'}" data-date="${item.date}">${item.skipped ? 'Restore' : 'Skip'}</button>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </details>
+                    ` : ''}
+                </li>
+            `;
+        }).join('') : '<li class="history-empty">No recurring activities yet.</li>';
+    }
+
+    /**
+     * Stop listening for changes
+     */
+    destroy() {
+        this.unsubscribe?.();
+        this.unsubscribeEntitlements?.();
+    }
+}
+
+// ============================
+// CARBON BUDGET MODULE
+// ============================
+
+/**
+ * Personal carbon budget with pacing against the current period
+ */
+class CarbonBudget {
+    /**
+     * @param {ActivityStore|null} store - Activity log
+     * @param {PreferenceStore|null} preferences - Where the budget is saved
+     */
+    constructor(store, preferences) {
+        this.store = store;
+        this.preferences = preferences;
+        this.listeners = new Set();
+
+        if (this.preferences) {
+            this.preferences.subscribe(({ key }) => {
+                if (key === 'carbonBudget') this.notify();
+            });
+        }
+    }
+
+    /**
+     * Current budget setting
+     * @returns {Object} - { period, amount } with amount in kg CO2e per period
+     */
+    getBudget() {
+        return this.preferences?.get('carbonBudget') || { ...APP_CONFIG.budget.default };
+    }
+
+    /**
+     * Save a budget
+     * @param {Object} budget - { period, amount }
+     * @throws {Error} - For unknown periods or non-positive amounts
+     */
+    setBudget({ period, amount }) {
+        if (!APP_CONFIG.budget.periodLabels[period]) {
+            throw new Error(`Unknown budget period: ${period}`);
+        }
+        if (!(amount > 0)) {
+            throw new Error('Budget must be greater than zero.');
+        }
+        this.preferences?.set('carbonBudget', { period, amount: Math.round(amount * 100) / 100 });
+        if (!this.preferences) this.notify();
+    }
+
+    /**
+     * Convert an annual figure into an allowance for a period
+     * @param {number} annualKg - kg CO2e per year
+     * @param {string} period - 'daily', 'weekly' or 'annual'
+     * @returns {number} - kg CO2e per period
+     */
+    static fromAnnual(annualKg, period) {
+        if (period === 'daily') return annualKg / 365;
+        if (period === 'weekly') return annualKg * 7 / 365;
+        return annualKg;
+    }
+
+    /**
+     * Start and end of the period containing a date
+     * @param {string} period - 'daily', 'weekly' (Monday start) or 'annual'
+     * @param {Date} now - Reference time
+     * @returns {Object} - { start, end } as Dates, end exclusive
+     */
+    static periodBounds(period, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (period === 'weekly') {
+            const start = Utils.addDays(today, -((today.getDay() + 6) % 7));
+            return { start, end: Utils.addDays(start, 7) };
+        }
+        if (period === 'annual') {
+            return { start: new Date(now.getFullYear(), 0, 1), end: new Date(now.getFullYear() + 1, 0, 1) };
+        }
+        return { start: today, end: Utils.addDays(today, 1) };
+    }
+
+    /**
+     * Emissions logged within a time window
+     * @param {Date} start - Inclusive start
+     * @param {Date} end - Exclusive end
+     * @returns {number} - kg CO2e
+     */
+    usedBetween(start, end) {
+        if (!this.store) return 0;
+        return this.store.getAll().reduce((sum, activity) => {
+            const time = new Date(activity.timestamp);
+            return time >= start && time < end ? sum + (Number(activity.co2e) || 0) : sum;
+        }, 0);
+    }
+
+    /**
+     * Consumption and pacing for the current period
+     * @param {Date} now - Reference time
+     * @returns {Object} - { period, periodLabel, allowance, used, remaining, expected, progress, state, message }
+     */
+    getStatus(now = new Date()) {
+        const { period, amount } = this.getBudget();
+        const { start, end } = CarbonBudget.periodBounds(period, now);
+        const used = this.usedBetween(start, end);
+        const elapsed = Math.min(1, Math.max(0, (now - start) / (end - start)));
+        const expected = amount * elapsed;
+        const remaining = amount - used;
+
+        let state = 'on-track';
+        if (used > amount) {
+            state = 'over';
+        } else if (used > expected) {
+            state = 'ahead';
+        }
+        const message = I18n.t(`budget.status.${state}`, {
+            left: I18n.formatFixed(remaining, 1),
+            over: I18n.formatFixed(used - amount, 1),
+            ahead: I18n.formatFixed(used - expected, 1)
+        });
+
+        return {
+            period,
+            periodLabel: CarbonBudget.periodLabel(period),
+            allowance: amount,
+            used,
+            remaining,
+            expected,
+            progress: amount > 0 ? Math.min(100, Math.round(used / amount * 100)) : 0,
+            state,
+            message
+        };
+    }
+
+    /**
+     * Check whether adding emissions on a date would break that period's budget
+     * @param {number} kg - kg CO2e about to be added
+     * @param {Date} date - When the emissions happen
+     * @returns {Object} - { exceeds, wasOver, overBy, remaining, periodLabel }
+     */
+    checkAddition(kg, date = new Date()) {
+        const { period, amount } = this.getBudget();
+        const { start, end } = CarbonBudget.periodBounds(period, date);
+        const used = this.usedBetween(start, end);
+
+        return {
+            exceeds: used + kg > amount,
+            wasOver: used > amount,
+            overBy: Math.max(0, used + kg - amount),
+            remaining: amount - used - kg,
+            periodLabel: CarbonBudget.periodLabel(period)
+        };
+    }
+
+    /**
+     * Adjective for a budget period in the current language
+     * @param {string} period - 'daily', 'weekly' or 'annual'
+     * @returns {string} - e.g. "weekly"
+     */
+    static periodLabel(period) {
+        return I18n.t(`budget.period.${period}`, {}, APP_CONFIG.budget.periodLabels[period]);
+    }
+
+    /**
+     * Size and colour a progress bar fill for a status
+     * @param {Element|null} fill - Progress fill element
+     * @param {Object} status - Result of getStatus()
+     */
+    static renderProgress(fill, status) {
+        if (!fill) return;
+        fill.style.width = `${status.progress}%`;
+        fill.classList.toggle('progress-ahead', status.state === 'ahead');
+        fill.classList.toggle('progress-over', status.state === 'over');
+    }
+
+    /**
+     * Subscribe to budget changes
+     * @param {Function} listener - Called when the budget setting changes
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers of a budget change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Budget settings form and pacing display
+ */
+class BudgetPanel {
+    /**
+     * @param {CarbonBudget} budget - Budget model
+     * @param {ActivityStore|null} store - Activity log
+     */
+    constructor(budget, store) {
+        this.budget = budget;
+        this.store = store;
+        this.form = Utils.safeSelect('#budget-form');
+        this.periodSelect = Utils.safeSelect('#budget-period');
+        this.amountInput = Utils.safeSelect('#budget-amount');
+        this.presetSelect = Utils.safeSelect('#budget-preset');
+        this.progressFill = Utils.safeSelect('#budget-progress-fill');
+        this.statusText = Utils.safeSelect('#budget-status');
+
+        this.init();
+    }
+
+    /**
+     * Initialize form controls and live updates
+     */
+    init() {
+        if (!this.form || !this.budget) return;
+
+        if (this.presetSelect) {
+            this.presetSelect.innerHTML = '<option value="">Use a 1.5°C preset…</option>' +
+                Object.entries(APP_CONFIG.budget.presets).map(([id, preset]) => `
+                    <option value="${id}">${Utils.escapeHtml(preset.label)}</option>
+                `).join('');
+            Utils.addSafeListener(this.presetSelect, 'change', () => this.applyPreset());
+        }
+
+        Utils.addSafeListener(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        // Switching period keeps the same yearly allowance
+        Utils.addSafeListener(this.periodSelect, 'change', () => {
+            const { period, amount } = this.budget.getBudget();
+            const annual = amount / CarbonBudget.fromAnnual(1, period);
+            this.amountInput.value = CarbonBudget.fromAnnual(annual, this.periodSelect.value).toFixed(1);
+            this.save();
+        });
+
+        this.unsubscribe = this.store?.subscribe(() => this.render());
+        this.unsubscribeBudget = this.budget.subscribe(() => this.render());
+        this.unsubscribeLocale = I18n.subscribe(() => this.render());
+        this.fillForm();
+        this.render();
+    }
+
+    /**
+     * Show the saved budget in the form
+     */
+    fillForm() {
+        const { period, amount } = this.budget.getBudget();
+        if (this.periodSelect) this.periodSelect.value = period;
+        if (this.amountInput) this.amountInput.value = amount;
+    }
+
+    /**
+     * Fill the amount from a 1.5°C preset for the selected period
+     */
+    applyPreset() {
+        const preset = APP_CONFIG.budget.presets[this.presetSelect.value];
+        if (!preset) return;
+
+        this.amountInput.value = CarbonBudget.fromAnnual(preset.annualKg, this.periodSelect.value).toFixed(1);
+        this.presetSelect.value = '';
+        this.save();
+    }
+
+    /**
+     * Save the form's budget
+     */
+    save() {
+        try {
+            this.budget.setBudget({
+                period: this.periodSelect.value,
+                amount: parseFloat(this.amountInput.value)
+            });
+        } catch (error) {
+            if (this.statusText) this.statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * Update the progress bar and pacing text
+     */
+    render() {
+        const status = this.budget.getStatus();
+        CarbonBudget.renderProgress(this.progressFill, status);
+
+        if (this.statusText) {
+            this.statusText.textContent = I18n.t(`budget.used.${status.period}`, {
+                used: I18n.formatFixed(status.used, 1),
+                allowance: I18n.formatFixed(status.allowance, 1),
+                status: status.message
+            });
+            this.statusText.dataset.state = status.state;
+        }
+    }
+}
+
+// ============================
+// ACTIVITY IMPORT MODULE
+// ============================
+
+/**
+ * Minimal RFC 4180 CSV parser
+ */
+class CsvParser {
+    /**
+     * Parse CSV text into rows of cells
+     * @param {string} text - CSV content
+     * @param {string} delimiter - Cell delimiter; detected from the first line when omitted
+     * @returns {string[][]} - Rows, blank lines dropped
+     */
+    static parse(text, delimiter = null) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Serialise rows of cells as CSV, quoting where needed
+     * @param {Array<Array<*>>} rows - Rows of cell values
+     * @returns {string} - CSV text with CRLF line endings
+     */
+    static stringify(rows) {
+        return rows.map(cells => cells.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+
+    /**
+     * Pick comma, semicolon or tab based on the header line
+     * @param {string} text - CSV content
+     * @returns {string} - Delimiter
+     */
+    static detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        const counts = [',', ';', '\t'].map(separator => [separator, header.split(separator).length]);
+        return counts.sort((a, b) => b[1] - a[1])[0][0];
+    }
+}
+
+/**
+ * Turn imported records into activities using the calculator's factor logic
+ */
+class ActivityImporter {
+    static FIELDS = {
+        date: { label: 'Date', required: true, guesses: ['date', 'day', 'timestamp', 'when'] },
+        category: { label: 'Category', required: true, guesses: ['category', 'type', 'activity'] },
+        amount: { label: 'Amount', required: true, guesses: ['amount', 'quantity', 'qty', 'value', 'distance', 'reading'] },
+        unit: { label: 'Unit', required: false, guesses: ['unit', 'units', 'uom'] },
+        detail: { label: 'Detail (transport mode, grid region or product category)', required: false, guesses: ['detail', 'mode', 'region', 'product'] }
+    };
+
+    /**
+     * Read records from CSV or JSON text
+     * @param {string} text - File content
+     * @param {string} fileName - Used to tell JSON from CSV
+     * @returns {Object} - { headers, records } where records are plain objects
+     * @throws {Error} - When the file can't be read as either format
+     */
+    static parseFile(text, fileName = '') {
+        const looksJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+        if (looksJson) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            const records = Array.isArray(data) ? data : data.activities;
+            if (!Array.isArray(records)) {
+                throw new Error('JSON must be an array of activities or { "activities": [...] }.');
+            }
+            const headers = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+            return { headers, records };
+        }
+
+        const rows = CsvParser.parse(text);
+        if (rows.length < 2) {
+            throw new Error('CSV needs a header row and at least one data row.');
+        }
+        const headers = rows[0].map(header => header.trim());
+        const records = rows.slice(1).map(cells => Object.fromEntries(headers.map((header, index) => [header, (cells[index] ?? '').trim()])));
+        return { headers, records };
+    }
+
+    /**
+     * Guess which column feeds each field from header names
+     * @param {string[]} headers - Column names
+     * @returns {Object} - Field to header (or '')
+     */
+    static guessMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z]/g, ''));
+        const mapping = {};
+        Object.entries(this.FIELDS).forEach(([field, config]) => {
+            const index = normalized.findIndex(header => config.guesses.some(guess => header.startsWith(guess)));
+            mapping[field] = index >= 0 ? headers[index] : '';
+        });
+        return mapping;
+    }
+
+    /**
+     * Match a category cell to a category id
+     * @param {*} value - Cell value
+     * @returns {string|null} - Category id
+     */
+    static resolveCategory(value) {
+        const needle = String(value ?? '').trim().toLowerCase();
+        const match = Object.entries(APP_CONFIG.categoryLabels).find(([id, label]) => (
+            id === needle || label.toLowerCase() === needle || label.toLowerCase().startsWith(needle) && needle.length >= 3
+        ));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Parse a date cell; date-only values are placed at local noon
+     * @param {*} value - Cell value
+     * @returns {Date|null} - Parsed date
+     */
+    static parseDate(value) {
+        const text = String(value ?? '').trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            const date = Utils.parseDateKey(text);
+            date.setHours(12);
+            return date;
+        }
+        const date = new Date(text);
+        return text && !Number.isNaN(date.getTime()) ? date : null;
+    }
+
+    /**
+     * Parse an amount cell written with either decimal mark. Commas, dots
+     * and spaces between groups of three digits are thousands separators
+     * ("1,200", "1.200", "1.234,5", "1 200"); any other single comma or dot
+     * is the decimal mark ("2,5", "12.75", "0.125")
+     * @param {*} value - Cell value
+     * @returns {number} - Parsed amount
+     * @throws {Error} - When the separators can't be read unambiguously
+     */
+    static parseAmount(value) {
+        if (typeof value === 'number') return value;
+
+        const text = String(value ?? '').trim().replace(/[\s\u00a0\u202f']/g, '');
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        let normalized = text;
+
+        if (lastComma >= 0 && lastDot >= 0) {
+            // Both marks: whichever comes last is the decimal mark
+            const decimalAt = Math.max(lastComma, lastDot);
+            const group = decimalAt === lastComma ? '.' : ',';
+            const whole = text.slice(0, decimalAt);
+            if (!new RegExp(`^\\d{1,3}(\\${group}\\d{3})*$`).test(whole)) {
+                throw new Error(`Can't read the amount "${value}"`);
+            }
+            normalized = `${whole.split(group).join('')}.${text.slice(decimalAt + 1)}`;
+        } else if (lastComma >= 0 || lastDot >= 0) {
+            // One kind of mark, read the same way whether it's a comma or a dot
+            const mark = lastComma >= 0 ? ',' : '.';
+            const parts = text.split(mark);
+            if (/^-?[1-9]\d{0,2}$/.test(parts[0]) && parts.slice(1).every(part => /^\d{3}$/.test(part))) {
+                normalized = parts.join('');
+            } else if (parts.length === 2) {
+                normalized = parts.join('.');
+            } else {
+                throw new Error(`Can't read the amount "${value}": use one decimal mark or thousands separators`);
+            }
+        }
+
+        return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+    }
+
+    /**
+     * Turn a detail cell into category-specific details
+     * @param {string} category - Activity category
+     * @param {*} value - Cell value
+     * @param {Object} defaults - { region, renewableShare } from the user's energy settings
+     * @returns {Object} - Details for EmissionFactors.resolve()
+     * @throws {Error} - When the detail doesn't match the catalogue
+     */
+    static resolveDetails(category, value, defaults = {}) {
+        // Our own CSV exports write the details object as JSON text
+        if (typeof value === 'string' && value.trim().startsWith('{')) {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                throw new Error(`Invalid details JSON "${value}"`);
+            }
+        }
+        // JSON files (including our own exports) may carry the details object itself
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return { ...value };
+        }
+
+        const needle = String(value ?? '').trim().toLowerCase();
+        if (!needle) {
+            // Same grid region and tariff the calculator would apply
+            return category === 'energy' && defaults.region
+                ? { region: defaults.region, renewableShare: defaults.renewableShare || 0 }
+                : {};
+        }
+
+        const byIdOrLabel = (catalogue) => Object.entries(catalogue).find(([id, entry]) => (
+            id === needle || entry.label.toLowerCase() === needle
+        ))?.[0];
+
+        if (category === 'transport') {
+            const mode = byIdOrLabel(TRANSPORT_MODES);
+            if (!mode) throw new Error(`Unknown transport mode "${value}"`);
+            return { mode, size: 'average', passengers: 1 };
+        }
+        if (category === 'energy') {
+            const region = EmissionFactors.findGridRegion(needle.toUpperCase());
+            if (!region) throw new Error(`Unknown grid region "${value}"`);
+            return { region: needle.toUpperCase(), renewableShare: 0 };
+        }
+        if (category === 'shopping') {
+            const productCategory = byIdOrLabel(SPEND_FACTORS);
+            if (!productCategory) throw new Error(`Unknown product category "${value}"`);
+            return { productCategory };
+        }
+        return {};
+    }
+
+    /**
+     * Key used to spot the same activity logged twice
+     * @param {Object} activity - { timestamp, type, amount, unit }
+     * @returns {string} - Duplicate key
+     */
+    static duplicateKey(activity) {
+        return [Utils.toDateKey(activity.timestamp), activity.type, Number(activity.amount), activity.unit].join('|');
+    }
+
+    /**
+     * Validate and estimate every record against a column mapping
+     * @param {Object[]} records - Parsed records
+     * @param {Object} mapping - Field to column name
+     * @param {Object[]} existing - Activities already logged
+     * @param {Object} defaults - Energy settings for rows without a detail, see resolveDetails()
+     * @returns {Object[]} - [{ index, status: 'ok'|'error'|'duplicate', message, activity }]
+     */
+    static preview(records, mapping, existing = [], defaults = {}) {
+        // Only entries already in the log count: identical rows within one file
+        // are separate trips or meals
+        const logged = new Set(existing.map(activity => this.duplicateKey(activity)));
+
+        return records.map((record, index) => {
+            const cell = field => (mapping[field] ? record[mapping[field]] : '');
+
+            try {
+                const date = this.parseDate(cell('date'));
+                if (!date) throw new Error(`Invalid date "${cell('date') ?? ''}"`);
+
+                const type = this.resolveCategory(cell('category'));
+                if (!type) throw new Error(`Unknown category "${cell('category') ?? ''}"`);
+
+                const amount = this.parseAmount(cell('amount'));
+                if (!(amount > 0)) throw new Error(`Amount must be a positive number, got "${cell('amount') ?? ''}"`);
+
+                const unitText = cell('unit');
+                const unit = unitText ? UnitConverter.resolveUnitId(unitText, type) : APP_CONFIG.baseUnits[type];
+                if (!unit) throw new Error(`Unit "${unitText}" can't be used for ${APP_CONFIG.categoryLabels[type]}`);
+
+                const details = this.resolveDetails(type, cell('detail'), defaults);
+                const activity = {
+                    type,
+                    amount,
+                    unit,
+                    details,
+                    timestamp: date.toISOString(),
+                    source: 'import',
+                    ...CarbonCalculator.estimate({ type, amount, unit, details })
+                };
+
+                if (logged.has(this.duplicateKey(activity))) {
+                    return { index, status: 'duplicate', message: 'Already logged', activity };
+                }
+                return { index, status: 'ok', message: '', activity };
+            } catch (error) {
+                return { index, status: 'error', message: error.message, activity: null };
+            }
+        });
+    }
+}
+
+/**
+ * File import panel: choose a file, map columns, preview, import
+ */
+class ImportPanel {
+    static PREVIEW_LIMIT = 200;
+
+    /**
+     * @param {ActivityStore|null} store - Activity log to import into
+     * @param {PreferenceStore|null} preferences - Saved grid region and tariff for energy rows
+     */
+    constructor(store, preferences = null) {
+        this.store = store;
+        this.preferences = preferences;
+        this.fileInput = Utils.safeSelect('#import-file');
+        this.mappingContainer = Utils.safeSelect('#import-mapping');
+        this.previewContainer = Utils.safeSelect('#import-preview');
+        this.summary = Utils.safeSelect('#import-summary');
+        this.importBtn = Utils.safeSelect('#import-confirm-btn');
+        this.parsed = null;
+        this.rows = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize file picking and import controls
+     */
+    init() {
+        if (!this.fileInput || !this.store) return;
+
+        Utils.addSafeListener(this.fileInput, 'change', () => this.readFile());
+        Utils.addSafeListener(this.mappingContainer, 'change', () => this.updatePreview());
+        Utils.addSafeListener(this.importBtn, 'click', () => this.importRows());
+    }
+
+    /**
+     * Read and parse the chosen file
+     */
+    async readFile() {
+        const file = this.fileInput.files?.[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            this.parsed = ActivityImporter.parseFile(text, file.name);
+            this.renderMapping(ActivityImporter.guessMapping(this.parsed.headers));
+            this.updatePreview();
+        } catch (error) {
+            this.parsed = null;
+            this.reset(error.message);
+        }
+    }
+
+    /**
+     * Render a column picker for each field
+     * @param {Object} mapping - Initial field to column mapping
+     */
+    renderMapping(mapping) {
+        if (!this.mappingContainer) return;
+
+        const options = (selected, required) => [
+            required ? '' : '<option value="">— not in file —</option>',
+            ...this.parsed.headers.map(header => `
+                <option value="${Utils.escapeHtml(header)}" ${header === selected ? 'selected' : ''}>${Utils.escapeHtml(header)}</option>
+            `)
+        ].join('');
+
+        this.mappingContainer.innerHTML = Object.entries(ActivityImporter.FIELDS).map(([field, config]) => `
+            <label>${Utils.escapeHtml(config.label)}${config.required ? ' *' : ''}
+                <select data-field="${field}">${options(mapping[field], config.required)}</select>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Current column mapping from the pickers
+     * @returns {Object} - Field to column name
+     */
+    getMapping() {
+        const mapping = {};
+        this.mappingContainer.querySelectorAll('[data-field]').forEach(select => {
+            mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    }
+
+    /**
+     * Validate rows against the mapping and show the preview
+     */
+    updatePreview() {
+        if (!this.parsed) return;
+
+        this.rows = ActivityImporter.preview(this.parsed.records, this.getMapping(), this.store.getAll(), {
+            region: this.preferences?.get('gridRegion') || CarbonCalculator.guessGridRegion(),
+            renewableShare: this.preferences?.get('renewableShare', 0) ?? 0
+        });
+        const counts = { ok: 0, error: 0, duplicate: 0 };
+        this.rows.forEach(row => counts[row.status]++);
+
+        if (this.summary) {
+            this.summary.textContent = `${counts.ok} ready to import · ${counts.error} with errors · ${counts.duplicate} duplicates skipped`;
+        }
+        if (this.importBtn) {
+            this.importBtn.disabled = counts.ok === 0;
+            this.importBtn.hidden = false;
+        }
+        this.renderPreview();
+    }
+
+    /**
+     * Render the validation preview table
+     */
+    renderPreview() {
+        if (!this.previewContainer) return;
+
+        const shown = this.rows.slice(0, ImportPanel.PREVIEW_LIMIT);
+        const more = this.rows.length - shown.length;
+
+        this.previewContainer.innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr><th>Row</th><th>Date</th><th>Category</th><th>Amount</th><th>kg CO₂e</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${shown.map(row => `
+                        <tr class="import-row-${row.status}">
+                            <td>${row.index + 2}</td>
+                            <td>${row.activity ? Utils.toDateKey(row.activity.timestamp) : ''}</td>
+                            <td>${row.activity ? Utils.escapeHtml(APP_CONFIG.categoryLabels[row.activity.type]) : ''}</td>
+                            <td>${row.activity ? `${row.activity.amount} ${Utils.escapeHtml(UnitConverter.getLabel(row.activity.unit))}` : ''}</td>
+                            <td>${row.activity ? row.activity.co2e.toFixed(2) : ''}</td>
+                            <td>${row.status === 'ok' ? 'Ready' : Utils.escapeHtml(row.message)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${more > 0 ? `<p class="import-more">…and ${more} more rows</p>` : ''}
+        `;
+    }
+
+    /**
+     * Import every valid, non-duplicate row
+     */
+    async importRows() {
+        const activities = this.rows.filter(row => row.status === 'ok').map(row => row.activity);
+        if (!activities.length) return;
+
+        if (this.importBtn) this.importBtn.disabled = true;
+        try {
+            const imported = await this.store.addMany(activities);
+            this.parsed = null;
+            this.fileInput.value = '';
+            this.reset(`Imported ${imported.length} activit${imported.length === 1 ? 'y' : 'ies'}.`);
+        } catch (error) {
+            console.error('Import failed:', error);
+            if (this.summary) this.summary.textContent = `Import failed: ${error.message}`;
+            if (this.importBtn) this.importBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Clear the mapping and preview, leaving a status message
+     * @param {string} message - Message to show
+     */
+    reset(message = '') {
+        this.rows = [];
+        if (this.mappingContainer) this.mappingContainer.innerHTML = '';
+        if (this.previewContainer) this.previewContainer.innerHTML = '';
+        if (this.importBtn) this.importBtn.hidden = true;
+        if (this.summary) this.summary.textContent = message;
+    }
+}
+
+// ============================
+// EXPORT & REPORTS MODULE
+// ============================
+
+/**
+ * Client-side export of the activity log
+ */
+class ActivityExporter {
+    static CSV_COLUMNS = [
+        ['id', a => a.id],
+        ['timestamp', a => a.timestamp],
+        ['date', a => Utils.toDateKey(a.timestamp)],
+        ['category', a => a.type],
+        ['amount', a => a.amount],
+        ['unit', a => a.unit],
+        ['base_amount', a => a.baseAmount],
+        ['base_unit', a => a.baseUnit],
+        ['factor', a => a.factor],
+        ['factor_label', a => a.factorLabel],
+        ['factor_source', a => a.factorSource],
+        ['factor_year', a => a.factorYear],
+        ['co2e_kg', a => a.co2e],
+        ['details', a => (a.details && Object.keys(a.details).length ? JSON.stringify(a.details) : '')]
+    ];
+
+    /**
+     * Activities as CSV
+     * @param {Object[]} activities - Activity entries
+     * @returns {string} - CSV text
+     */
+    static toCSV(activities) {
+        return CsvParser.stringify([
+            this.CSV_COLUMNS.map(([name]) => name),
+            ...activities.map(activity => this.CSV_COLUMNS.map(([, read]) => read(activity)))
+        ]);
+    }
+
+    /**
+     * Activities as JSON, in the shape the importer accepts
+     * @param {Object[]} activities - Activity entries
+     * @returns {string} - JSON text
+     */
+    static toJSON(activities) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            version: APP_CONFIG.version,
+            activities: activities.map(activity => ({
+                ...activity,
+                date: Utils.toDateKey(activity.timestamp),
+                category: activity.type
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Save text as a file download
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - Content type
+     */
+    static download(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+/**
+ * Monthly report built from the activity log
+ */
+class MonthlyReport {
+    /**
+     * Summarise a month of activities
+     * @param {Object[]} activities - All activity entries
+     * @param {string} monthKey - Month as YYYY-MM
+     * @param {OffsetEntry[]} offsets - Offset ledger; credits retired in the month count against it
+     * @returns {Object} - { monthKey, label, total, byCategory, previousTotal, change, topSources, tips, count, offsets, net }
+     */
+    static build(activities, monthKey, offsets = []) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const previousKey = Utils.toDateKey(new Date(year, month - 2, 1)).slice(0, 7);
+        const inMonth = activities.filter(activity => Utils.toDateKey(activity.timestamp).startsWith(monthKey));
+        const previous = activities.filter(activity => Utils.toDateKey(activity.timestamp).startsWith(previousKey));
+        const sum = list => list.reduce((total, activity) => total + (Number(activity.co2e) || 0), 0);
+
+        const byCategory = {};
+        Object.keys(APP_CONFIG.categoryLabels).forEach(type => {
+            byCategory[type] = sum(inMonth.filter(activity => activity.type === type));
+        });
+
+        // Group by the factor that applied, e.g. "Petrol car (medium)" or "Germany grid"
+        const sources = new Map();
+        inMonth.forEach(activity => {
+            const label = activity.factorLabel && activity.factorLabel !== 'Generic average'
+                ? activity.factorLabel
+                : I18n.category(activity.type);
+            const key = `${activity.type}|${label}`;
+            const entry = sources.get(key) || { type: activity.type, label, co2e: 0, count: 0 };
+            entry.co2e += Number(activity.co2e) || 0;
+            entry.count++;
+            sources.set(key, entry);
+        });
+
+        const tips = [...new Set(inMonth
+            .filter(activity => activity.co2e > 0)
+            .sort((a, b) => b.co2e - a.co2e)
+            .map(activity => CarbonCalculator.getTip(activity.type, activity.details)))]
+            .slice(0, 6);
+
+        const total = sum(inMonth);
+        const previousTotal = sum(previous);
+        const lastDay = Utils.toDateKey(new Date(year, month, 0));
+        const monthOffsets = OffsetLedger.summarize(offsets, `${monthKey}-01`, lastDay);
+
+        return {
+            monthKey,
+            label: I18n.formatDate(new Date(year, month - 1, 1), { month: 'long', year: 'numeric' }),
+            count: inMonth.length,
+            total,
+            byCategory,
+            previousTotal,
+            change: previousTotal > 0 ? (total - previousTotal) / previousTotal * 100 : null,
+            topSources: [...sources.values()].sort((a, b) => b.co2e - a.co2e).slice(0, 5),
+            tips,
+            offsets: monthOffsets,
+            net: OffsetLedger.net(total, monthOffsets)
+        };
+    }
+
+    /**
+     * Printable report markup
+     * @param {Object} report - Result of build()
+     * @returns {string} - Report HTML
+     */
+    static render(report) {
+        const t = (key, params) => Utils.escapeHtml(I18n.t(`report.${key}`, params));
+        const kg = value => I18n.formatFixed(value, 2);
+        const trend = report.change === null
+            ? I18n.t('report.noPrevious')
+            : I18n.t('report.change', {
+                arrow: report.change <= 0 ? '▼' : '▲',
+                change: I18n.formatFixed(Math.abs(report.change), 1),
+                previous: kg(report.previousTotal)
+            });
+
+        const categoryRows = Object.entries(report.byCategory).map(([type, value]) => `
+            <tr>
+                <td>${Utils.escapeHtml(I18n.category(type))}</td>
+                <td>${kg(value)}</td>
+                <td>${report.total > 0 ? Math.round(value / report.total * 100) : 0}%</td>
+            </tr>
+        `).join('');
+
+        const sourceRows = report.topSources.map(source => `
+            <tr>
+                <td>${Utils.escapeHtml(source.label)}</td>
+                <td>${Utils.escapeHtml(I18n.category(source.type))}</td>
+                <td>${source.count}</td>
+                <td>${kg(source.co2e)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <header class="report-header">
+                <h2>🌱 ${t('title')}</h2>
+                <p>${t('meta', {
+                    month: report.label,
+                    activities: I18n.t(`report.activities.${report.count === 1 ? 'one' : 'other'}`, { count: report.count }),
+                    generated: I18n.formatDateTime(new Date())
+                })}</p>
+            </header>
+            <section class="report-summary">
+                <div><strong>${kg(report.total)}</strong><span>${t('thisMonth')}</span></div>
+                <div><span>${Utils.escapeHtml(trend)}</span></div>
+            </section>
+            ${report.offsets.retiredKg > 0 ? `
+                <section>
+                    <h3>${t('offsets')}</h3>
+                    <table class="report-table">
+                        <tbody>
+                            <tr><td>${t('gross')}</td><td>${kg(report.total)} kg CO₂e</td></tr>
+                            <tr><td>${t('removals')}</td><td>−${kg(report.offsets.removalKg)} kg CO₂e</td></tr>
+                            <tr><td>${t('avoidance')}</td><td>−${kg(report.offsets.avoidanceKg)} kg CO₂e</td></tr>
+                            <tr><th>${t('net')}</th><th>${kg(report.net.net)} kg CO₂e</th></tr>
+                        </tbody>
+                    </table>
+                    ${report.net.warning ? `<p class="report-warning">${Utils.escapeHtml(report.net.warning)}</p>` : ''}
+                </section>
+            ` : ''}
+            <section>
+                <h3>${t('byCategory')}</h3>
+                <table class="report-table">
+                    <thead><tr><th>${t('category')}</th><th>kg CO₂e</th><th>${t('share')}</th></tr></thead>
+                    <tbody>${categoryRows}</tbody>
+                </table>
+            </section>
+            <section>
+                <h3>${t('topSources')}</h3>
+                ${sourceRows ? `
+                    <table class="report-table">
+                        <thead><tr><th>${t('source')}</th><th>${t('category')}</th><th>${t('entries')}</th><th>kg CO₂e</th></tr></thead>
+                        <tbody>${sourceRows}</tbody>
+                    </table>
+                ` : `<p>${t('noActivities')}</p>`}
+            </section>
+            <section>
+                <h3>${t('tips')}</h3>
+                ${report.tips.length ? `<ul>${report.tips.map(tip => `<li>${Utils.escapeHtml(tip)}</li>`).join('')}</ul>` : `<p>${t('noTips')}</p>`}
+            </section>
+        `;
+    }
+}
+
+/**
+ * Export buttons and the monthly report viewer
+ */
+class ExportPanel {
+    /**
+     * @param {ActivityStore|null} store - Activity log
+     * @param {OffsetLedger|null} offsets - Offsets for the report's net footprint
+     */
+    constructor(store, offsets = null) {
+        this.store = store;
+        this.offsets = offsets;
+        this.csvBtn = Utils.safeSelect('#export-csv-btn');
+        this.jsonBtn = Utils.safeSelect('#export-json-btn');
+        this.monthInput = Utils.safeSelect('#report-month');
+        this.reportBtn = Utils.safeSelect('#view-report-btn');
+        this.reportView = Utils.safeSelect('#monthly-report');
+        this.reportContent = Utils.safeSelect('#monthly-report-content');
+        this.printBtn = Utils.safeSelect('#print-report-btn');
+        this.closeBtn = Utils.safeSelect('#close-report-btn');
+
+        this.init();
+    }
+
+    /**
+     * Initialize export and report controls
+     */
+    init() {
+        if (!this.store) return;
+
+        if (this.monthInput && !this.monthInput.value) {
+            this.monthInput.value = Utils.toDateKey(new Date()).slice(0, 7);
+        }
+
+        const stamp = () => Utils.toDateKey(new Date());
+        Utils.addSafeListener(this.csvBtn, 'click', () => {
+            ActivityExporter.download(ActivityExporter.toCSV(this.store.getAll()), `ecotrack-activities-${stamp()}.csv`, 'text/csv');
+        });
+        Utils.addSafeListener(this.jsonBtn, 'click', () => {
+            ActivityExporter.download(ActivityExporter.toJSON(this.store.getAll()), `ecotrack-activities-${stamp()}.json`, 'application/json');
+        });
+        Utils.addSafeListener(this.reportBtn, 'click', () => this.showReport());
+        Utils.addSafeListener(this.printBtn, 'click', () => window.print());
+        Utils.addSafeListener(this.closeBtn, 'click', () => this.hideReport());
+    }
+
+    /**
+     * Build and show the report for the selected month
+     */
+    showReport() {
+        if (!this.reportView || !this.reportContent) return;
+
+        const monthKey = this.monthInput?.value || Utils.toDateKey(new Date()).slice(0, 7);
+        this.reportContent.innerHTML = MonthlyReport.render(MonthlyReport.build(this.store.getAll(), monthKey, this.offsets?.getAll() || []));
+        this.reportView.hidden = false;
+        document.body.classList.add('report-open');
+        this.closeBtn?.focus();
+    }
+
+    /**
+     * Close the report viewer
+     */
+    hideReport() {
+        if (!this.reportView) return;
+        this.reportView.hidden = true;
+        document.body.classList.remove('report-open');
+        this.reportBtn?.focus();
+    }
+}
+
+// ============================
+// CARBON OFFSET MODULE
+// ============================
+
+/**
+ * @typedef {Object} OffsetEntry
+ * @property {string} id - Entry id
+ * @property {string} projectType - Key of APP_CONFIG.offsets.projectTypes
+ * @property {number} tonnes - Tonnes CO2e
+ * @property {number} vintage - Year the reduction or removal happened
+ * @property {string} registryId - Serial number on the registry (Verra, Gold Standard, ...)
+ * @property {number} cost - Amount paid
+ * @property {string} currency - ISO 4217 code of the cost
+ * @property {string|null} retiredAt - Retirement date (YYYY-MM-DD); held credits don't reduce the footprint
+ */
+
+/**
+ * Per-user offset ledger, persisted in localStorage
+ */
+class OffsetLedger extends ScopedListStore {
+    /**
+     * @param {string|null} scope - Signed-in user id, or null for the guest ledger
+     * @param {string} baseKey - localStorage key
+     */
+    constructor(scope = null, baseKey = APP_CONFIG.storage.offsetsKey) {
+        super(scope, baseKey);
+    }
+
+    /**
+     * All entries, most recently retired first, held credits last
+     * @returns {OffsetEntry[]} - Entries
+     */
+    getAll() {
+        return [...this.items].sort((a, b) => (b.retiredAt || '').localeCompare(a.retiredAt || ''));
+    }
+
+    /**
+     * Validate and normalise an entry
+     * @param {Object} input - Raw form values
+     * @returns {Object} - Entry fields without an id
+     * @throws {Error} - For missing or implausible values
+     */
+    static normalize(input) {
+        const type = APP_CONFIG.offsets.projectTypes[input.projectType];
+        const tonnes = Number(input.tonnes);
+        const vintage = Number(input.vintage);
+        const cost = input.cost === '' || input.cost === undefined ? 0 : Number(input.cost);
+        const currentYear = new Date().getFullYear();
+        const registryId = String(input.registryId || '').trim();
+
+        if (!type) {
+            throw new Error('Please choose a project type');
+        }
+        if (!(tonnes > 0)) {
+            throw new Error('Tonnes must be greater than zero');
+        }
+        if (!Number.isInteger(vintage) || vintage < 1990 || vintage > currentYear) {
+            throw new Error(`Vintage must be a year between 1990 and ${currentYear}`);
+        }
+        if (!registryId) {
+            throw new Error('Please enter the registry serial number so the credit can be verified');
+        }
+        if (!(cost >= 0)) {
+            throw new Error('Cost cannot be negative');
+        }
+        if (input.retiredAt && input.retiredAt > Utils.toDateKey(new Date())) {
+            throw new Error('Retirement date cannot be in the future');
+        }
+
+        return {
+            projectType: input.projectType,
+            tonnes,
+            vintage,
+            registryId,
+            cost,
+            currency: input.currency || 'USD',
+            retiredAt: input.retiredAt || null
+        };
+    }
+
+    /**
+     * Record a purchase
+     * @param {Object} input - Entry fields
+     * @returns {OffsetEntry} - Stored entry
+     */
+    add(input) {
+        const entry = { id: ActivityStore.createId(), ...OffsetLedger.normalize(input) };
+        this.items.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Mark a held credit as retired
+     * @param {string} id - Entry id
+     * @param {string} date - Retirement date (YYYY-MM-DD)
+     * @returns {OffsetEntry} - Updated entry
+     */
+    retire(id, date = Utils.toDateKey(new Date())) {
+        const entry = this.items.find(item => item.id === id);
+        if (!entry) {
+            throw new Error('Offset not found');
+        }
+        entry.retiredAt = date;
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Entry id
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    /**
+     * Retired tonnage split into avoidance and removal, optionally for a date range
+     * @param {OffsetEntry[]} entries - Ledger entries
+     * @param {string|null} from - First day (inclusive)
+     * @param {string|null} to - Last day (inclusive)
+     * @returns {Object} - { retiredKg, removalKg, avoidanceKg, heldKg, cost }
+     */
+    static summarize(entries, from = null, to = null) {
+        const totals = { retiredKg: 0, removalKg: 0, avoidanceKg: 0, heldKg: 0, cost: 0 };
+        entries.forEach(entry => {
+            const kg = entry.tonnes * 1000;
+            if (!entry.retiredAt) {
+                totals.heldKg += kg;
+                return;
+            }
+            if ((from && entry.retiredAt < from) || (to && entry.retiredAt > to)) return;
+
+            const kind = APP_CONFIG.offsets.projectTypes[entry.projectType]?.kind;
+            totals.retiredKg += kg;
+            totals[kind === 'removal' ? 'removalKg' : 'avoidanceKg'] += kg;
+            try {
+                totals.cost += CurrencyConverter.convert(entry.cost, entry.currency, 'USD');
+            } catch (error) {
+                // Unknown currency: leave it out of the spend total
+            }
+        });
+        return totals;
+    }
+
+    /**
+     * Net footprint: gross emissions minus retired offsets
+     * @param {number} grossKg - Gross kg CO2e
+     * @param {Object} offsets - Result of summarize()
+     * @returns {Object} - { gross, net, netOfRemovals, warning }
+     */
+    static net(grossKg, offsets) {
+        const net = grossKg - offsets.retiredKg;
+        const netOfRemovals = grossKg - offsets.removalKg;
+        let warning = null;
+
+        if (offsets.avoidanceKg > 0) {
+            warning = I18n.t('offsets.avoidanceShare', {
+                avoidance: OffsetLedger.formatKg(offsets.avoidanceKg),
+                net: OffsetLedger.formatKg(netOfRemovals)
+            });
+        }
+        if (net <= 0 && netOfRemovals > 0) {
+            warning = I18n.t('offsets.notNetZero', { needed: OffsetLedger.formatKg(netOfRemovals) });
+        }
+        return { gross: grossKg, net, netOfRemovals, warning };
+    }
+
+    /**
+     * Data-quality warnings for one entry
+     * @param {OffsetEntry} entry - Entry to check
+     * @param {OffsetEntry[]} entries - Whole ledger, for duplicate serials
+     * @returns {string[]} - Warnings
+     */
+    static warningsFor(entry, entries) {
+        const type = APP_CONFIG.offsets.projectTypes[entry.projectType];
+        const warnings = [];
+        const year = entry.retiredAt ? Number(entry.retiredAt.slice(0, 4)) : new Date().getFullYear();
+
+        if (type?.kind === 'avoidance') {
+            warnings.push(I18n.t('offsets.avoidanceCredit'));
+        }
+        if (type?.risk) {
+            warnings.push(I18n.t(`offsets.risk.${entry.projectType}`, {}, type.risk));
+        }
+        if (year - entry.vintage > APP_CONFIG.offsets.maxVintageAge) {
+            warnings.push(I18n.t('offsets.oldVintage', { vintage: entry.vintage, years: APP_CONFIG.offsets.maxVintageAge }));
+        }
+        if (entries.filter(item => item.registryId === entry.registryId).length > 1) {
+            warnings.push(I18n.t('offsets.duplicateSerial'));
+        }
+        return warnings;
+    }
+
+    /**
+     * Format kilograms, switching to tonnes for large values
+     * @param {number} kg - kg CO2e
+     * @returns {string} - e.g. "850 kg CO₂e" or "2.40 t CO₂e"
+     */
+    static formatKg(kg) {
+        return Math.abs(kg) >= 1000 ? `${I18n.formatFixed(kg / 1000, 2)} t CO₂e` : `${I18n.formatFixed(kg, 1)} kg CO₂e`;
+    }
+}
+
+/**
+ * Offset ledger form, list and all-time net footprint
+ */
+class OffsetPanel {
+    /**
+     * @param {OffsetLedger} ledger - Offset entries
+     * @param {ActivityStore|null} store - Activity log, for gross emissions
+     */
+    constructor(ledger, store) {
+        this.ledger = ledger;
+        this.store = store;
+        this.form = Utils.safeSelect('#offset-form');
+        this.typeSelect = Utils.safeSelect('#offset-type');
+        this.currencySelect = Utils.safeSelect('#offset-currency');
+        this.message = Utils.safeSelect('#offset-message');
+        this.summary = Utils.safeSelect('#offset-summary');
+        this.list = Utils.safeSelect('#offset-list');
+
+        this.init();
+    }
+
+    /**
+     * Fill selects, bind the form and list, and follow data changes
+     */
+    init() {
+        if (!this.form || !this.ledger) return;
+
+        this.typeSelect.innerHTML = Object.entries(APP_CONFIG.offsets.projectTypes).map(([key, type]) =>
+            `<option value="${key}">${Utils.escapeHtml(type.label)} (${type.kind})</option>`
+        ).join('');
+        this.currencySelect.innerHTML = Object.keys(CURRENCY_RATES.perUSD).map(code =>
+            `<option value="${code}">${code}</option>`
+        ).join('');
+
+        Utils.addSafeListener(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        Utils.addSafeListener(this.list, 'click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'retire') {
+                this.ledger.retire(button.dataset.id);
+            } else if (button.dataset.action === 'delete') {
+                this.ledger.remove(button.dataset.id);
+            }
+        });
+
+        this.unsubscribe = this.ledger.subscribe(() => this.render());
+        this.unsubscribeStore = this.store?.subscribe(() => this.render());
+        // Warnings follow the chosen language
+        this.unsubscribeLocale = I18n.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Add an entry from the form
+     * @returns {Promise<void>}
+     */
+    async submit() {
+        const values = Object.fromEntries(new FormData(this.form));
+        await Utils.runWithMessage(this.message, () => {
+            this.ledger.add(values);
+            this.form.reset();
+        });
+    }
+
+    /**
+     * Render the net-footprint summary and the ledger
+     */
+    render() {
+        const entries = this.ledger.getAll();
+        const gross = (this.store ? this.store.getAll() : []).reduce((sum, activity) => sum + (Number(activity.co2e) || 0), 0);
+        const offsets = OffsetLedger.summarize(entries);
+        const result = OffsetLedger.net(gross, offsets);
+
+        if (this.summary) {
+            this.summary.innerHTML = `
+                <div><strong>${OffsetLedger.formatKg(gross)}</strong><span>gross emissions logged</span></div>
+                <div><strong>${OffsetLedger.formatKg(offsets.retiredKg)}</strong><span>offsets retired (${OffsetLedger.formatKg(offsets.removalKg)} removals)</span></div>
+                <div><strong>${OffsetLedger.formatKg(result.net)}</strong><span>net footprint</span></div>
+                ${offsets.heldKg > 0 ? `<p class="offset-note">${OffsetLedger.formatKg(offsets.heldKg)} bought but not yet retired — held credits don't reduce your footprint until they are retired on the registry.</p>` : ''}
+                ${result.warning ? `<p class="offset-warning" role="note"><i class="fas fa-exclamation-triangle" aria-hidden="true"></i> ${Utils.escapeHtml(result.warning)}</p>` : ''}
+            `;
+        }
+
+        if (this.list) {
+            this.list.innerHTML = entries.map(entry => {
+                const type = APP_CONFIG.offsets.projectTypes[entry.projectType];
+                const warnings = OffsetLedger.warningsFor(entry, entries);
+                return `
+                    <li class="offset-item offset-${type?.kind || 'avoidance'}">
+                        <div class="offset-main">
+                            <strong>${entry.tonnes} t · ${Utils.escapeHtml(type?.label || entry.projectType)}</strong>
+                            <span class="offset-kind">${type?.kind === 'removal' ? 'Removal' : 'Avoidance'}</span>
+                            <span>Vintage ${entry.vintage} · ${Utils.escapeHtml(entry.registryId)} · ${entry.cost.toFixed(2)} ${Utils.escapeHtml(entry.currency)}</span>
+                            <span>${entry.retiredAt ? `Retired ${entry.retiredAt}` : 'Held (not retired)'}</span>
+                        </div>
+                        ${warnings.length ? `<ul class="offset-warnings">${warnings.map(text => `<li>${Utils.escapeHtml(text)}</li>`).join('')}</ul>` : ''}
+                        <div class="offset-actions">
+                            ${entry.retiredAt ? '' : `<button type="button" class="history-btn" data-action="retire" data-id="${entry.id}">Mark retired</button>`}
+                            <button type="button" class="history-btn" data-action="delete" data-id="${entry.id}" aria-label="Delete offset ${Utils.escapeHtml(entry.registryId)}"><i class="fas fa-trash" aria-hidden="true"></i></button>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        }
+    }
+
+    /**
+     * Stop listening for changes
+     */
+    destroy() {
+        this.unsubscribe?.();
+        this.unsubscribeStore?.();
+    }
+}
+
+// ============================
+// HERO DASHBOARD MODULE
+// ============================
+
+/**
+ * Hero dashboard metrics computed from the activity log
+ */
+class HeroDashboard {
+    /**
+     * @param {ActivityStore|null} store - Activity log
+     * @param {CounterAnimator} counterAnimator - Shared counter animator
+     * @param {CarbonBudget|null} budget - Budget the progress bar measures against
+     * @param {OffsetLedger|null} offsets - Retired offsets for the net figure
+     */
+    constructor(store, counterAnimator, budget = null, offsets = null) {
+        this.store = store;
+        this.counterAnimator = counterAnimator;
+        this.budget = budget;
+        this.offsets = offsets;
+        this.netLabel = Utils.safeSelect('#net-footprint');
+        this.treesLabel = Utils.safeSelect('#trees-saved-label');
+        this.progressFill = Utils.safeSelect('#progress-bar-fill');
+        this.progressLabel = Utils.safeSelect('#progress-label');
+        this.trendLabel = Utils.safeSelect('#monthly-trend-label');
+        this.emptyState = Utils.safeSelect('#dashboard-empty');
+
+        this.init();
+    }
+
+    /**
+     * Subscribe to new activities
+     */
+    init() {
+        if (this.store) {
+            this.unsubscribe = this.store.subscribe(() => this.refresh());
+        }
+        if (this.budget) {
+            this.unsubscribeBudget = this.budget.subscribe(() => this.refresh());
+        }
+        if (this.offsets) {
+            this.unsubscribeOffsets = this.offsets.subscribe(() => this.refresh());
+        }
+        // Equivalents follow the chosen language and unit system
+        this.unsubscribeLocale = I18n.subscribe(() => this.refresh());
+    }
+
+    /**
+     * Sum emissions per local day
+     * @param {Object[]} activities - Activity entries
+     * @returns {Map<string, number>} - Date key to kg CO2e
+     */
+    static totalsByDay(activities) {
+        const totals = new Map();
+        activities.forEach(activity => {
+            const key = Utils.toDateKey(activity.timestamp);
+            totals.set(key, (totals.get(key) || 0) + (Number(activity.co2e) || 0));
+        });
+        return totals;
+    }
+
+    /**
+     * Days on which every one of the given categories was logged
+     * @param {Object[]} activities - Activity entries
+     * @param {string[]} categories - Categories a complete day needs
+     * @returns {Set<string>} - Date keys
+     */
+    static completeDays(activities, categories) {
+        const logged = new Map();
+        activities.forEach(activity => {
+            const key = Utils.toDateKey(activity.timestamp);
+            if (!logged.has(key)) logged.set(key, new Set());
+            logged.get(key).add(activity.type);
+        });
+        return new Set([...logged].filter(([, types]) => categories.every(type => types.has(type))).map(([key]) => key));
+    }
+
+    /**
+     * Compute dashboard metrics
+     * @param {Object[]} activities - Activity entries
+     * @param {Date} now - Reference time
+     * @param {Object} config - Dashboard constants
+     * @param {OffsetEntry[]} offsets - Offset ledger
+     * @returns {Object} - { isEmpty, today, monthlyChange, belowAverageKg, belowAverageTrees, monthNet }
+     */
+    static computeMetrics(activities, now = new Date(), config = APP_CONFIG.dashboard, offsets = []) {
+        const byDay = this.totalsByDay(activities);
+        const today = byDay.get(Utils.toDateKey(now)) || 0;
+
+        // Month-to-date against the same span of days last month
+        const dayOfMonth = now.getDate();
+        const thisMonth = Utils.toDateKey(now).slice(0, 7);
+        const lastMonthDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+        const lastMonth = Utils.toDateKey(lastMonthDate).slice(0, 7);
+        let currentTotal = 0;
+        let previousTotal = 0;
+        byDay.forEach((total, key) => {
+            const day = Number(key.slice(8));
+            if (day > dayOfMonth) return;
+            if (key.startsWith(thisMonth)) currentTotal += total;
+            if (key.startsWith(lastMonth)) previousTotal += total;
+        });
+        const monthlyChange = previousTotal > 0
+            ? Math.round((currentTotal - previousTotal) / previousTotal * 100)
+            : null;
+
+        // How far finished, completely logged days came in under the average
+        // footprint. A day missing a category would land below it just for the
+        // gap, and today is still being logged, so both are left out
+        const todayKey = Utils.toDateKey(now);
+        const complete = this.completeDays(activities, config.completeDayCategories);
+        let belowAverageKg = 0;
+        byDay.forEach((total, key) => {
+            if (key >= todayKey || !complete.has(key)) return;
+            belowAverageKg += Math.max(0, config.baselineDaily - total);
+        });
+
+        return {
+            isEmpty: activities.length === 0,
+            today: Math.round(today * 10) / 10,
+            monthlyChange,
+            belowAverageKg: Math.round(belowAverageKg * 10) / 10,
+            belowAverageTrees: Math.round(Equivalencies.convert(belowAverageKg, 'tree_years') * 10) / 10,
+            monthNet: OffsetLedger.net(currentTotal, OffsetLedger.summarize(offsets, `${thisMonth}-01`, Utils.toDateKey(now)))
+        };
+    }
+
+    /**
+     * Recompute metrics and re-animate the hero cards
+     */
+    refresh() {
+        const metrics = HeroDashboard.computeMetrics(
+            this.store ? this.store.getAll() : [], new Date(), APP_CONFIG.dashboard, this.offsets ? this.offsets.getAll() : []
+        );
+
+        this.counterAnimator.animateCounter('carbon-today', metrics.today);
+        this.counterAnimator.animateCounter('trees-saved', metrics.belowAverageTrees);
+        if (this.treesLabel) {
+            const tree = EMISSION_EQUIVALENCIES.tree_years;
+            const alternative = Equivalencies.pick(metrics.belowAverageKg, 3).find(item => item.key !== 'tree_years');
+            this.treesLabel.textContent = alternative
+                ? I18n.t('dashboard.treesOr', { alternative: alternative.text })
+                : I18n.t('dashboard.trees');
+            this.treesLabel.title = I18n.t('dashboard.treesExplained', {
+                categories: APP_CONFIG.dashboard.completeDayCategories.map(type => I18n.category(type).toLowerCase()).join(', '),
+                baseline: I18n.formatNumber(APP_CONFIG.dashboard.baselineDaily),
+                kgPerTree: I18n.formatNumber(tree.kgPerUnit),
+                source: tree.source,
+                year: tree.year
+            });
+        }
+
+        if (metrics.monthlyChange === null) {
+            const trend = Utils.safeSelect('#monthly-trend');
+            if (trend) trend.textContent = '—';
+        } else {
+            this.counterAnimator.animateCounter('monthly-trend', metrics.monthlyChange, '%');
+        }
+        if (this.trendLabel) {
+            this.trendLabel.textContent = I18n.t(metrics.monthlyChange === null ? 'dashboard.trendNoData' : 'dashboard.trend');
+        }
+
+        if (this.budget) {
+            const status = this.budget.getStatus();
+            CarbonBudget.renderProgress(this.progressFill, status);
+            if (this.progressLabel) {
+                this.progressLabel.textContent = I18n.t('dashboard.budget', {
+                    used: I18n.formatFixed(status.used, 1),
+                    allowance: I18n.formatFixed(status.allowance, 1),
+                    period: status.periodLabel,
+                    status: status.message
+                });
+            }
+        }
+        if (this.netLabel) {
+            const { gross, net, netOfRemovals } = metrics.monthNet;
+            this.netLabel.hidden = gross === net;
+            this.netLabel.textContent = gross === net
+                ? ''
+                : I18n.t('dashboard.net', { net: OffsetLedger.formatKg(net), netOfRemovals: OffsetLedger.formatKg(netOfRemovals) });
+        }
+        if (this.emptyState) {
+            this.emptyState.hidden = !metrics.isEmpty;
+        }
+
+        return metrics;
+    }
+}
+
+// ============================
+// ANALYTICS CHARTS MODULE
+// ============================
+
+/**
+ * Dependency-free SVG charts of the activity log
+ */
+class EmissionsCharts {
+    /**
+     * @param {ActivityStore|null} store - Activity log
+     */
+    constructor(store) {
+        this.store = store;
+        this.section = Utils.safeSelect('#analytics');
+        this.barChart = Utils.safeSelect('#chart-bars');
+        this.donutChart = Utils.safeSelect('#chart-donut');
+        this.heatmap = Utils.safeSelect('#chart-heatmap');
+        this.granularity = Utils.safeSelect('#chart-granularity');
+        this.rangePreset = Utils.safeSelect('#analytics-range');
+        this.fromInput = Utils.safeSelect('#analytics-from');
+        this.toInput = Utils.safeSelect('#analytics-to');
+        this.tooltip = Utils.safeSelect('#chart-tooltip');
+
         this.init();
     }
 
     /**
-     * Initialize carbon calculator
+     * Initialize controls, tooltips and live updates
+     */
+    init() {
+        if (!this.section || !this.store) return;
+
+        this.applyPreset(this.rangePreset?.value || '30');
+
+        Utils.addSafeListener(this.rangePreset, 'change', () => {
+            if (this.rangePreset.value !== 'custom') this.applyPreset(this.rangePreset.value);
+            this.render();
+        });
+        [this.fromInput, this.toInput].forEach(input => {
+            Utils.addSafeListener(input, 'change', () => {
+                if (this.rangePreset) this.rangePreset.value = 'custom';
+                this.render();
+            });
+        });
+        Utils.addSafeListener(this.granularity, 'change', () => this.render());
+
+        Utils.addSafeListener(this.section, 'mousemove', (e) => this.handleTooltip(e));
+        Utils.addSafeListener(this.section, 'mouseleave', () => this.hideTooltip());
+
+        this.unsubscribe = this.store.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Fill the date inputs for a "last N days" preset
+     * @param {string} days - Number of days
+     */
+    applyPreset(days) {
+        const count = parseInt(days, 10) || 30;
+        const today = new Date();
+        if (this.toInput) this.toInput.value = Utils.toDateKey(today);
+        if (this.fromInput) this.fromInput.value = Utils.toDateKey(Utils.addDays(today, -(count - 1)));
+    }
+
+    /**
+     * Selected date range, swapped if entered backwards
+     * @returns {Object} - { from, to } as date keys
+     */
+    getRange() {
+        const today = Utils.toDateKey(new Date());
+        let from = this.fromInput?.value || Utils.toDateKey(Utils.addDays(new Date(), -29));
+        let to = this.toInput?.value || today;
+        if (from > to) [from, to] = [to, from];
+        return { from, to };
+    }
+
+    /**
+     * Bucket key for a date at a granularity
+     * @param {Date} date - Local date
+     * @param {string} granularity - 'day', 'week' or 'month'
+     * @returns {string} - Bucket key (week buckets start on Monday)
      */
-    init() {
-        if (this.calculateBtn) {
-            Utils.addSafeListener(this.calculateBtn, 'click', () => this.calculate());
+    static bucketKey(date, granularity) {
+        if (granularity === 'month') return Utils.toDateKey(date).slice(0, 7);
+        if (granularity === 'week') {
+            const offset = (date.getDay() + 6) % 7;
+            return Utils.toDateKey(Utils.addDays(date, -offset));
         }
-        
-        // Add form validation
-        if (this.form) {
-            Utils.addSafeListener(this.form, 'submit', (e) => {
-                e.preventDefault();
-                this.calculate();
-            });
+        return Utils.toDateKey(date);
+    }
+
+    /**
+     * Sum emissions per bucket and category across a date range
+     * @param {Object[]} activities - Activity entries within the range
+     * @param {Object} range - { from, to } date keys
+     * @param {string} granularity - 'day', 'week' or 'month'
+     * @returns {Array<Object>} - [{ key, total, byCategory }] including empty buckets
+     */
+    static bucketize(activities, range, granularity) {
+        const buckets = new Map();
+        const end = Utils.parseDateKey(range.to);
+        for (let day = Utils.parseDateKey(range.from); day <= end; day = Utils.addDays(day, 1)) {
+            const key = this.bucketKey(day, granularity);
+            if (!buckets.has(key)) buckets.set(key, { key, total: 0, byCategory: {} });
         }
 
-        // Add real-time validation
-        [this.activityType, this.activityAmount].forEach(element => {
-            if (element) {
-                Utils.addSafeListener(element, 'change', () => this.validateForm());
-            }
+        activities.forEach(activity => {
+            const bucket = buckets.get(this.bucketKey(new Date(activity.timestamp), granularity));
+            if (!bucket) return;
+            const co2e = Number(activity.co2e) || 0;
+            bucket.total += co2e;
+            bucket.byCategory[activity.type] = (bucket.byCategory[activity.type] || 0) + co2e;
         });
+
+        return [...buckets.values()];
     }
 
     /**
-     * Validate form inputs
-     * @returns {boolean} - Form validity
+     * Readable label for a bucket key
+     * @param {string} key - Bucket key
+     * @param {string} granularity - 'day', 'week' or 'month'
+     * @returns {string} - Label
      */
-    validateForm() {
-        const activityType = this.activityType?.value;
-        const amount = parseFloat(this.activityAmount?.value) || 0;
-        
-        const isValid = activityType && amount > 0;
-        
-        if (this.calculateBtn) {
-            this.calculateBtn.disabled = !isValid;
-            this.calculateBtn.style.opacity = isValid ? '1' : '0.5';
+    static bucketLabel(key, granularity) {
+        if (granularity === 'month') {
+            return I18n.formatDate(Utils.parseDateKey(`${key}-01`), { month: 'short', year: 'numeric' });
         }
-        
-        return isValid;
+        const label = I18n.formatDate(Utils.parseDateKey(key), { month: 'short', day: 'numeric' });
+        return granularity === 'week' ? `Week of ${label}` : label;
     }
 
     /**
-     * Calculate carbon footprint
+     * Round an axis maximum up to a tidy value
+     * @param {number} value - Largest data value
+     * @returns {number} - Axis maximum
      */
-    calculate() {
-        if (!this.validateForm()) {
-            this.showError('Please select an activity and enter a valid amount!');
-            return;
-        }
-
-        const activityType = this.activityType.value;
-        const amount = parseFloat(this.activityAmount.value);
-        
-        const carbonAmount = (amount * APP_CONFIG.carbonFactors[activityType]).toFixed(2);
-        const tip = APP_CONFIG.ecoTips[activityType];
-        
-        this.displayResult(carbonAmount, tip);
+    static niceMax(value) {
+        if (value <= 0) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= value);
+        return step * magnitude;
     }
 
     /**
-     * Display calculation result with animation
-     * @param {string} carbonAmount - Carbon amount
-     * @param {string} tip - Eco tip
+     * Redraw every chart
      */
-    displayResult(carbonAmount, tip) {
-        if (!this.resultDiv || !this.amountSpan || !this.tipDiv) return;
+    render() {
+        if (!this.section) return;
 
-        // Show result container
-        this.resultDiv.style.display = 'block';
-        
-        // Animate entrance
-        this.resultDiv.style.transform = 'scale(0.9)';
-        this.resultDiv.style.opacity = '0';
-        
-        // Reset content opacity
-        this.amountSpan.style.opacity = '0';
-        this.tipDiv.style.opacity = '0';
-        
-        // Animate container
-        setTimeout(() => {
-            this.resultDiv.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
-            this.resultDiv.style.transform = 'scale(1)';
-            this.resultDiv.style.opacity = '1';
-            
-            // Set content
-            setTimeout(() => {
-                this.amountSpan.textContent = carbonAmount;
-                this.tipDiv.textContent = tip;
-                
-                // Animate content
-                this.amountSpan.style.transition = 'opacity 0.5s ease';
-                this.tipDiv.style.transition = 'opacity 0.5s ease 0.2s';
-                this.amountSpan.style.opacity = '1';
-                this.tipDiv.style.opacity = '1';
-            }, 200);
-        }, 100);
+        const range = this.getRange();
+        const activities = this.store.getAll(range);
+        const granularity = this.granularity?.value || 'day';
+
+        this.renderBars(EmissionsCharts.bucketize(activities, range, granularity), granularity);
+        this.renderDonut(activities);
+        this.renderHeatmap(activities, range);
     }
 
     /**
-     * Show error message
-     * @param {string} message - Error message
+     * Stacked bar chart of emissions per bucket by category
+     * @param {Array<Object>} buckets - Output of bucketize()
+     * @param {string} granularity - Bucket granularity
      */
-    showError(message) {
-        // Create or update error display
-        let errorDiv = Utils.safeSelect('#carbon-error');
-        
-        if (!errorDiv) {
-            errorDiv = document.createElement('div');
-            errorDiv.id = 'carbon-error';
-            errorDiv.style.cssText = `
-                background: #ff6b6b;
-                color: white;
-                padding: 1rem;
-                border-radius: 10px;
-                margin-top: 1rem;
-                text-align: center;
-                opacity: 0;
-                transition: opacity 0.3s ease;
+    renderBars(buckets, granularity) {
+        if (!this.barChart) return;
+
+        const width = 640;
+        const height = 260;
+        const margin = { top: 16, right: 12, bottom: 36, left: 44 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const max = EmissionsCharts.niceMax(Math.max(0, ...buckets.map(bucket => bucket.total)));
+        const slot = plotWidth / Math.max(1, buckets.length);
+        const barWidth = Math.max(1, slot * 0.7);
+        const labelEvery = Math.ceil(buckets.length / 8);
+        const categories = Object.keys(APP_CONFIG.categoryLabels);
+
+        const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+            const y = margin.top + plotHeight * (1 - fraction);
+            return `
+                <line x1="${margin.left}" x2="${width - margin.right}" y1="${y}" y2="${y}" class="chart-grid"></line>
+                <text x="${margin.left - 6}" y="${y + 4}" class="chart-axis" text-anchor="end">${+(max * fraction).toFixed(1)}</text>
             `;
-            
-            if (this.calculateBtn && this.calculateBtn.parentNode) {
-                this.calculateBtn.parentNode.insertBefore(errorDiv, this.calculateBtn.nextSibling);
+        }).join('');
+
+        const bars = buckets.map((bucket, index) => {
+            const x = margin.left + index * slot + (slot - barWidth) / 2;
+            const label = EmissionsCharts.bucketLabel(bucket.key, granularity);
+            let y = margin.top + plotHeight;
+
+            const segments = categories.filter(type => bucket.byCategory[type] > 0).map(type => {
+                const value = bucket.byCategory[type];
+                const segmentHeight = value / max * plotHeight;
+                y -= segmentHeight;
+                const tooltip = `${label} · ${APP_CONFIG.categoryLabels[type]}: ${value.toFixed(2)} kg CO₂e (total ${bucket.total.toFixed(2)} kg)`;
+                return `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${barWidth.toFixed(2)}" height="${segmentHeight.toFixed(2)}"
+                    fill="${APP_CONFIG.categoryColors[type]}" data-tooltip="${Utils.escapeHtml(tooltip)}"></rect>`;
+            }).join('');
+
+            const xLabel = index % labelEvery === 0
+                ? `<text x="${(x + barWidth / 2).toFixed(2)}" y="${height - margin.bottom + 16}" class="chart-axis" text-anchor="middle">${Utils.escapeHtml(label.replace('Week of ', ''))}</text>`
+                : '';
+            return segments + xLabel;
+        }).join('');
+
+        this.barChart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Emissions by ${granularity} and category">
+                ${gridLines}
+                ${bars}
+                <text x="12" y="${margin.top + plotHeight / 2}" class="chart-axis" transform="rotate(-90 12 ${margin.top + plotHeight / 2})" text-anchor="middle">kg CO₂e</text>
+            </svg>
+            ${this.renderLegend()}
+        `;
+    }
+
+    /**
+     * Category colour legend
+     * @returns {string} - Legend HTML
+     */
+    renderLegend() {
+        return `
+            <ul class="chart-legend">
+                ${Object.entries(APP_CONFIG.categoryLabels).map(([type, label]) => `
+                    <li><span class="chart-swatch" style="background: ${APP_CONFIG.categoryColors[type]};"></span>${Utils.escapeHtml(label)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Donut chart of the category breakdown
+     * @param {Object[]} activities - Activities in range
+     */
+    renderDonut(activities) {
+        if (!this.donutChart) return;
+
+        const totals = {};
+        activities.forEach(activity => {
+            totals[activity.type] = (totals[activity.type] || 0) + (Number(activity.co2e) || 0);
+        });
+        const total = Object.values(totals).reduce((sum, value) => sum + value, 0);
+
+        const size = 220;
+        const radius = 90;
+        const inner = 58;
+        const center = size / 2;
+        const point = (angle, r) => [
+            (center + r * Math.sin(angle)).toFixed(2),
+            (center - r * Math.cos(angle)).toFixed(2)
+        ];
+
+        let angle = 0;
+        const slices = total > 0 ? Object.keys(APP_CONFIG.categoryLabels).filter(type => totals[type] > 0).map(type => {
+            const share = totals[type] / total;
+            // A lone category would be a zero-length arc, so stop just short of a full turn
+            const sweep = Math.min(share * Math.PI * 2, Math.PI * 2 - 0.0001);
+            const [x1, y1] = point(angle, radius);
+            const [x2, y2] = point(angle + sweep, radius);
+            const [x3, y3] = point(angle + sweep, inner);
+            const [x4, y4] = point(angle, inner);
+            const large = sweep > Math.PI ? 1 : 0;
+            angle += sweep;
+            const tooltip = `${APP_CONFIG.categoryLabels[type]}: ${totals[type].toFixed(2)} kg CO₂e (${Math.round(share * 100)}%)`;
+            return `<path d="M ${x1} ${y1} A ${radius} ${radius} 0 ${large} 1 ${x2} ${y2} L ${x3} ${y3} A ${inner} ${inner} 0 ${large} 0 ${x4} ${y4} Z"
+                fill="${APP_CONFIG.categoryColors[type]}" data-tooltip="${Utils.escapeHtml(tooltip)}"></path>`;
+        }).join('') : `<circle cx="${center}" cy="${center}" r="${(radius + inner) / 2}" class="chart-empty-ring" stroke-width="${radius - inner}"></circle>`;
+
+        this.donutChart.innerHTML = `
+            <svg viewBox="0 0 ${size} ${size}" role="img" aria-label="Emissions by category">
+                ${slices}
+                <text x="${center}" y="${center - 2}" class="chart-donut-total" text-anchor="middle">${total.toFixed(1)}</text>
+                <text x="${center}" y="${center + 18}" class="chart-axis" text-anchor="middle">kg CO₂e</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Calendar heatmap of daily totals, one column per week
+     * @param {Object[]} activities - Activities in range
+     * @param {Object} range - { from, to } date keys
+     */
+    renderHeatmap(activities, range) {
+        if (!this.heatmap) return;
+
+        const byDay = HeroDashboard.totalsByDay(activities);
+        const max = Math.max(0, ...byDay.values());
+        const cell = 14;
+        const gap = 3;
+        const top = 18;
+        const left = 28;
+
+        const start = Utils.parseDateKey(range.from);
+        const end = Utils.parseDateKey(range.to);
+        const firstMonday = Utils.addDays(start, -((start.getDay() + 6) % 7));
+
+        const cells = [];
+        const monthLabels = [];
+        let lastMonth = null;
+        for (let day = new Date(start); day <= end; day = Utils.addDays(day, 1)) {
+            const week = Math.floor(Math.round((day - firstMonday) / 86400000) / 7);
+            const row = (day.getDay() + 6) % 7;
+            const key = Utils.toDateKey(day);
+            const value = byDay.get(key) || 0;
+            const level = value > 0 && max > 0 ? Math.min(4, Math.ceil(value / max * 4)) : 0;
+            const x = left + week * (cell + gap);
+            const y = top + row * (cell + gap);
+            const tooltip = `${I18n.formatDate(day)}: ${value.toFixed(2)} kg CO₂e`;
+
+            cells.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="3" class="heat-${level}" data-tooltip="${Utils.escapeHtml(tooltip)}"></rect>`);
+
+            if (day.getMonth() !== lastMonth) {
+                lastMonth = day.getMonth();
+                monthLabels.push(`<text x="${x}" y="${top - 6}" class="chart-axis">${I18n.formatDate(day, { month: 'short' })}</text>`);
             }
         }
-        
-        errorDiv.textContent = message;
-        errorDiv.style.opacity = '1';
-        
-        // Hide error after 3 seconds
-        setTimeout(() => {
-            errorDiv.style.opacity = '0';
-        }, 3000);
+
+        const weeks = Math.floor(Math.round((end - firstMonday) / 86400000) / 7) + 1;
+        const width = left + weeks * (cell + gap);
+        const height = top + 7 * (cell + gap);
+        const dayLabels = ['Mon', 'Wed', 'Fri'].map((label, index) => (
+            `<text x="0" y="${top + index * 2 * (cell + gap) + cell - 3}" class="chart-axis">${label}</text>`
+        )).join('');
+
+        this.heatmap.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Daily emissions calendar">
+                ${dayLabels}
+                ${monthLabels.join('')}
+                ${cells.join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Show the tooltip for the hovered chart element
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleTooltip(e) {
+        if (!this.tooltip) return;
+
+        const target = e.target.closest?.('[data-tooltip]');
+        if (!target) {
+            this.hideTooltip();
+            return;
+        }
+
+        const bounds = this.section.getBoundingClientRect();
+        this.tooltip.textContent = target.getAttribute('data-tooltip');
+        this.tooltip.style.left = `${e.clientX - bounds.left + 12}px`;
+        this.tooltip.style.top = `${e.clientY - bounds.top + 12}px`;
+        this.tooltip.hidden = false;
+    }
+
+    /**
+     * Hide the chart tooltip
+     */
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.hidden = true;
     }
 }
 
@@ -716,11 +8719,16 @@ class ScrollAnimator {
             this.observerOptions
         );
 
-        // Observe animatable elements
+        // Observe animatable elements; with reduced motion they start in place
         const animatedElements = Utils.safeSelectAll('.feature-card, .pricing-card, .dashboard-card');
+        const reduced = MotionPreference.reduced;
         animatedElements.forEach(element => {
             element.classList.add('animate-on-scroll');
-            this.observer.observe(element);
+            if (reduced) {
+                element.classList.add('animate-in');
+            } else {
+                this.observer.observe(element);
+            }
         });
     }
 
@@ -748,82 +8756,17 @@ class ScrollAnimator {
  */
 class ContentGenerator {
     constructor() {
+        // Titles and descriptions are features.<id>.* in LOCALES
         this.featuresData = [
-            {
-                icon: 'fas fa-brain',
-                title: 'AI-Powered Insights',
-                description: 'Get personalized recommendations based on your lifestyle patterns and carbon footprint analysis using advanced machine learning algorithms.'
-            },
-            {
-                icon: 'fas fa-chart-bar',
-                title: 'Real-time Analytics',
-                description: 'Track your progress with beautiful visualizations and detailed reports that show your environmental impact across different activities.'
-            },
-            {
-                icon: 'fas fa-users',
-                title: 'Team Collaboration',
-                description: 'Perfect for businesses and organizations looking to achieve sustainability goals together with team challenges and leaderboards.'
-            },
-            {
-                icon: 'fas fa-mobile-alt',
-                title: 'Mobile App',
-                description: 'Log activities on-the-go with our intuitive mobile app that makes carbon tracking as easy as taking a photo.'
-            },
-            {
-                icon: 'fas fa-leaf',
-                title: 'Eco-friendly Marketplace',
-                description: 'Discover and purchase sustainable products from our curated marketplace of eco-friendly brands and partners.'
-            },
-            {
-                icon: 'fas fa-certificate',
-                title: 'Carbon Offsetting',
-                description: 'Automatically offset your carbon footprint through verified projects including reforestation and renewable energy initiatives.'
-            }
+            { id: 'insights', icon: 'fas fa-brain' },
+            { id: 'analytics', icon: 'fas fa-chart-bar' },
+            { id: 'teams', icon: 'fas fa-users' },
+            { id: 'mobile', icon: 'fas fa-mobile-alt' },
+            { id: 'marketplace', icon: 'fas fa-leaf' },
+            { id: 'offsets', icon: 'fas fa-certificate' }
         ];
 
-        this.pricingData = [
-            {
-                name: 'Personal',
-                price: 'Free',
-                description: 'Perfect for individuals starting their eco-journey',
-                features: [
-                    'Basic carbon tracking',
-                    '3 activity categories',
-                    'Monthly reports',
-                    'Mobile app access'
-                ],
-                buttonText: 'Get Started',
-                featured: false
-            },
-            {
-                name: 'Pro',
-                price: '$9<span style="font-size: 1rem;">/month</span>',
-                description: 'Advanced features for serious eco-warriors',
-                features: [
-                    'Unlimited tracking',
-                    'AI recommendations',
-                    'Real-time analytics',
-                    'Carbon offsetting',
-                    'Priority support'
-                ],
-                buttonText: 'Choose Pro',
-                featured: true
-            },
-            {
-                name: 'Business',
-                price: '$29<span style="font-size: 1rem;">/month</span>',
-                description: 'Complete solution for organizations',
-                features: [
-                    'Team management',
-                    'Custom reporting',
-                    'API access',
-                    'White-label options',
-                    'Dedicated support'
-                ],
-                buttonText: 'Contact Sales',
-                featured: false
-            }
-        ];
+        this.pricingData = PRICING_PLANS;
 
         this.init();
     }
@@ -835,6 +8778,11 @@ class ContentGenerator {
         this.generateFeatures();
         this.generatePricing();
         this.updateCurrentYear();
+
+        this.unsubscribeLocale = I18n.subscribe(() => {
+            this.generateFeatures();
+            this.generatePricing();
+        });
     }
 
     /**
@@ -849,8 +8797,8 @@ class ContentGenerator {
                 <div class="feature-icon">
                     <i class="${feature.icon}"></i>
                 </div>
-                <h3>${feature.title}</h3>
-                <p>${feature.description}</p>
+                <h3>${Utils.escapeHtml(I18n.t(`features.${feature.id}.title`))}</h3>
+                <p>${Utils.escapeHtml(I18n.t(`features.${feature.id}.description`))}</p>
             </div>
         `).join('');
     }
@@ -865,18 +8813,28 @@ class ContentGenerator {
         pricingGrid.innerHTML = this.pricingData.map(plan => `
             <div class="pricing-card ${plan.featured ? 'featured' : ''}">
                 <h3>${plan.name}</h3>
-                <div class="price">${plan.price}</div>
-                <p>${plan.description}</p>
+                <div class="price">${this.formatPrice(plan)}</div>
+                <p>${Utils.escapeHtml(I18n.t(`pricing.${plan.id}.description`))}</p>
                 <ul style="text-align: left; margin: 2rem 0;">
-                    ${plan.features.map(feature => `<li>✅ ${feature}</li>`).join('')}
+                    ${I18n.t(`pricing.${plan.id}.features`).map(feature => `<li>✅ ${Utils.escapeHtml(feature)}</li>`).join('')}
                 </ul>
-                <button class="btn-primary" ${plan.featured ? 'style="background: white; color: var(--primary);"' : ''}>
-                    ${plan.buttonText}
+                <button class="btn-primary" data-plan="${plan.id}" ${plan.featured ? 'style="background: white; color: var(--primary);"' : ''}>
+                    ${Utils.escapeHtml(I18n.t(`pricing.${plan.id}.button`))}
                 </button>
             </div>
         `).join('');
     }
 
+    /**
+     * Price line for a plan card
+     * @param {Object} plan - Entry of PRICING_PLANS
+     * @returns {string} - Price HTML
+     */
+    formatPrice(plan) {
+        if (!plan.monthlyPrice) return Utils.escapeHtml(I18n.t('pricing.free'));
+        return `${Utils.escapeHtml(I18n.formatCurrency(plan.monthlyPrice, plan.currency))}<span style="font-size: 1rem;">${Utils.escapeHtml(I18n.t('pricing.perMonth'))}</span>`;
+    }
+
     /**
      * Update current year in footer
      */
@@ -888,6 +8846,172 @@ class ContentGenerator {
     }
 }
 
+// ============================
+// OFFLINE APP MODULE
+// ============================
+
+/**
+ * Registers the service worker (sw.js) that precaches the app, offers the
+ * browser's install prompt and asks before switching to a new version
+ */
+class OfflineApp {
+    /**
+     * @param {Object} config - { url, updateInterval }
+     */
+    constructor(config = APP_CONFIG.serviceWorker) {
+        this.config = config;
+        this.installButton = Utils.safeSelect('#install-app-btn');
+        this.banner = Utils.safeSelect('#update-banner');
+        this.reloadButton = Utils.safeSelect('#update-reload-btn');
+        this.dismissButton = Utils.safeSelect('#update-dismiss-btn');
+        this.registration = null;
+        this.installPrompt = null;
+        this.reloading = false;
+
+        this.init();
+    }
+
+    /**
+     * Whether this page can run a service worker (not from file://)
+     * @returns {boolean} - Support
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol);
+    }
+
+    /**
+     * Wire the install and update controls and register the worker
+     */
+    init() {
+        // Browsers that can install the app say so with beforeinstallprompt
+        this.onBeforeInstallPrompt = (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            if (this.installButton) this.installButton.hidden = false;
+        };
+        this.onInstalled = () => {
+            this.installPrompt = null;
+            if (this.installButton) this.installButton.hidden = true;
+        };
+        window.addEventListener('beforeinstallprompt', this.onBeforeInstallPrompt);
+        window.addEventListener('appinstalled', this.onInstalled);
+
+        Utils.addSafeListener(this.installButton, 'click', () => {
+            this.install().catch(error => console.error('Install prompt failed:', error));
+        });
+        Utils.addSafeListener(this.reloadButton, 'click', () => this.applyUpdate());
+        Utils.addSafeListener(this.dismissButton, 'click', () => {
+            if (this.banner) this.banner.hidden = true;
+        });
+
+        this.register().catch(error => console.warn('Offline support unavailable:', error));
+    }
+
+    /**
+     * Register the worker and watch for new versions
+     * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, null when unsupported
+     */
+    async register() {
+        if (!OfflineApp.isSupported()) return null;
+
+        const { serviceWorker } = navigator;
+        this.registration = await serviceWorker.register(this.config.url);
+
+        // A worker already waiting means a version arrived while the app was closed
+        if (this.registration.waiting && serviceWorker.controller) {
+            this.showUpdate();
+        }
+        this.registration.addEventListener('updatefound', () => this.trackInstalling(this.registration.installing));
+
+        // Only reload for an update the user accepted, not the first install taking control
+        this.onControllerChange = () => {
+            if (this.reloading) window.location.reload();
+        };
+        serviceWorker.addEventListener('controllerchange', this.onControllerChange);
+
+        // The worker re-downloads the app files in the background and reports changed ones
+        this.onWorkerMessage = (e) => {
+            if (e.data?.type === 'SHELL_UPDATED') this.showUpdate();
+        };
+        serviceWorker.addEventListener('message', this.onWorkerMessage);
+
+        // Long-lived tabs check for releases too, not only on reload
+        this.updateTimer = setInterval(() => {
+            this.registration.update().catch(() => {});
+            serviceWorker.controller?.postMessage({ type: 'CHECK_SHELL' });
+        }, this.config.updateInterval);
+
+        return this.registration;
+    }
+
+    /**
+     * Prompt once a newly found worker has finished installing
+     * @param {ServiceWorker|null} worker - Installing worker
+     */
+    trackInstalling(worker) {
+        if (!worker) return;
+
+        Utils.addSafeListener(worker, 'statechange', () => {
+            // The first install has no controller yet, so there is nothing to update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.showUpdate();
+            }
+        });
+    }
+
+    /**
+     * Show the update-available banner
+     */
+    showUpdate() {
+        if (this.banner) this.banner.hidden = false;
+    }
+
+    /**
+     * Switch to the waiting version and reload into it. Without a waiting
+     * worker the update is new app files, which the reload picks up.
+     */
+    applyUpdate() {
+        if (this.banner) this.banner.hidden = true;
+
+        const waiting = this.registration?.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        this.reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * Show the browser's install dialog
+     * @returns {Promise<string|null>} - 'accepted', 'dismissed', or null without a prompt
+     */
+    async install() {
+        if (!this.installPrompt) return null;
+
+        const prompt = this.installPrompt;
+        this.installPrompt = null;
+        if (this.installButton) this.installButton.hidden = true;
+
+        prompt.prompt();
+        const { outcome } = await prompt.userChoice;
+        return outcome;
+    }
+
+    /**
+     * Stop listening and checking for updates
+     */
+    destroy() {
+        window.removeEventListener('beforeinstallprompt', this.onBeforeInstallPrompt);
+        window.removeEventListener('appinstalled', this.onInstalled);
+        if (this.onControllerChange) {
+            navigator.serviceWorker.removeEventListener('controllerchange', this.onControllerChange);
+            navigator.serviceWorker.removeEventListener('message', this.onWorkerMessage);
+        }
+        clearInterval(this.updateTimer);
+    }
+}
+
 // ============================
 // DEBUGGING UTILITIES
 // ============================
@@ -1000,13 +9124,64 @@ class EcoTrackApp {
                 });
             }
 
+            // Restore the session first: each user has their own activity log
+            this.modules.auth = new AuthService(new LocalAuthProvider());
+            const user = await this.modules.auth.init();
+
+            // Open the activity log before modules that read or write it
+            this.modules.activityStore = new ActivityStore(APP_CONFIG.storage, user?.id || null);
+            try {
+                await this.modules.activityStore.init();
+            } catch (error) {
+                console.error('Activity log unavailable, results will not be saved:', error);
+                this.modules.activityStore = null;
+            }
+
+            this.modules.preferences = new PreferenceStore();
+            // Language and units first, so modules render in them from the start
+            I18n.init(this.modules.preferences);
+            this.modules.entitlements = new Entitlements(this.modules.auth, this.modules.preferences);
+            this.modules.carbonBudget = new CarbonBudget(this.modules.activityStore, this.modules.preferences);
+            this.modules.offsetLedger = new OffsetLedger(user?.id || null);
+            this.modules.recurringSchedule = new RecurringSchedule(this.modules.activityStore, user?.id || null);
+            this.activeScope = user?.id || null;
+            // Log recurring activities due since the app was last open, after the first
+            // sync has brought in occurrences deleted on other devices
+            this.updateSync()
+                .then(() => this.modules.recurringSchedule.materialize())
+                .catch(error => console.error('Could not log recurring activities:', error));
+            // Plan switches start or stop sync here; on sign-in and sign-out switchUser
+            // does it once the log belongs to the new user
+            this.unsubscribePlan = this.modules.entitlements.subscribe(() => {
+                if ((this.modules.auth.getUser()?.id || null) === this.activeScope) this.updateSync();
+            });
+            this.unsubscribeAuth = this.modules.auth.subscribe(nextUser => this.switchUser(nextUser));
+
             // Initialize modules
+            this.modules.localeSwitcher = new LocaleSwitcher();
             this.modules.smoothScroller = new SmoothScroller();
             this.modules.headerAnimator = new HeaderAnimator();
             this.modules.counterAnimator = new CounterAnimator();
-            this.modules.carbonCalculator = new CarbonCalculator();
+            this.modules.authModal = new AuthModal(this.modules.auth);
+            this.modules.carbonCalculator = new CarbonCalculator(this.modules.activityStore, this.modules.preferences, this.modules.carbonBudget, this.modules.entitlements);
+            this.modules.activityHistory = new ActivityHistory(this.modules.activityStore);
+            this.modules.importPanel = new ImportPanel(this.modules.activityStore, this.modules.preferences);
+            this.modules.recommendationsPanel = new RecommendationsPanel(this.modules.activityStore);
+            this.modules.scenarioPanel = new ScenarioPanel(this.modules.activityStore, this.modules.preferences);
+            this.modules.exportPanel = new ExportPanel(this.modules.activityStore, this.modules.offsetLedger);
+            this.modules.budgetPanel = new BudgetPanel(this.modules.carbonBudget, this.modules.activityStore);
+            this.modules.recurringPanel = new RecurringPanel(this.modules.recurringSchedule, this.modules.preferences, this.modules.entitlements);
+            this.modules.offsetPanel = new OffsetPanel(this.modules.offsetLedger, this.modules.activityStore);
+            this.modules.heroDashboard = new HeroDashboard(this.modules.activityStore, this.modules.counterAnimator, this.modules.carbonBudget, this.modules.offsetLedger);
+            this.modules.emissionsCharts = new EmissionsCharts(this.modules.activityStore);
             this.modules.scrollAnimator = new ScrollAnimator();
             this.modules.contentGenerator = new ContentGenerator();
+            this.modules.teamPanel = new TeamPanel(new TeamStore(), this.modules.activityStore, this.modules.auth, this.modules.entitlements, this.modules.authModal);
+            // Gate features once all gated markup, including the pricing cards, exists
+            this.modules.featureGate = new FeatureGate(this.modules.entitlements);
+            this.modules.planSelector = new PlanSelector(this.modules.entitlements, this.modules.auth);
+            // Cache the app for offline use and offer install/update prompts
+            this.modules.offlineApp = new OfflineApp();
 
             // Initialize typing animation with better element targeting
             const typingContainer = Utils.safeSelect('#typing-animation');
@@ -1016,13 +9191,16 @@ class EcoTrackApp {
                 console.error('Typing animation container not found');
             }
 
-            // Start counter animations after page load
-            window.addEventListener('load', () => {
-                setTimeout(() => {
-                    this.modules.counterAnimator.animateCounter('carbon-today', 2.4);
-                    this.modules.counterAnimator.animateCounter('monthly-trend', -12, '%');
-                }, 1000);
-            });
+            // Start counter animations after page load (which may already
+            // have happened while the activity log was opening)
+            const startCounters = () => {
+                setTimeout(() => this.modules.heroDashboard.refresh(), 1000);
+            };
+            if (document.readyState === 'complete') {
+                startCounters();
+            } else {
+                window.addEventListener('load', startCounters);
+            }
 
             this.isInitialized = true;
             console.log('EcoTrack application initialized successfully');
@@ -1032,6 +9210,57 @@ class EcoTrackApp {
         }
     }
 
+    /**
+     * Mirror the active user's log to APP_CONFIG.apiEndpoint while their plan
+     * includes API access (changes queue locally while offline), and stop
+     * when it doesn't
+     * @returns {Promise<*>} - Settles after the first sync of a new user or service
+     */
+    updateSync() {
+        const allowed = !!this.modules.activityStore && this.modules.entitlements.can('apiAccess');
+
+        if (!allowed) {
+            this.modules.syncService?.destroy();
+            this.modules.syncService = null;
+            this.modules.recurringSchedule.sync = null;
+            return Promise.resolve();
+        }
+        if (!this.modules.syncService) {
+            this.modules.syncService = new SyncService(this.modules.activityStore, this.modules.preferences, {
+                client: new ApiClient({ headers: () => this.modules.auth.getAuthHeaders() }),
+                scope: this.activeScope
+            });
+            this.modules.recurringSchedule.sync = this.modules.syncService;
+            return this.modules.syncService.sync();
+        }
+        return this.modules.syncService.scope === this.activeScope
+            ? Promise.resolve()
+            : this.modules.syncService.setScope(this.activeScope);
+    }
+
+    /**
+     * Move the app onto another user's activity log after sign-in or sign-out
+     * @param {AuthUser|null} user - New user
+     * @returns {Promise<void>}
+     */
+    async switchUser(user) {
+        const scope = user?.id || null;
+        const store = this.modules.activityStore;
+        this.modules.offsetLedger?.setScope(scope);
+        if (!store) return;
+
+        try {
+            await store.setScope(scope);
+            this.activeScope = scope;
+            this.modules.recurringSchedule?.setScope(scope);
+            // Re-scope sync for this user's plan first: occurrences logged below must queue for their account
+            await this.updateSync();
+            await this.modules.recurringSchedule?.materialize();
+        } catch (error) {
+            console.error('Could not open activity log for user:', error);
+        }
+    }
+
     /**
      * Get module instance
      * @param {string} moduleName - Module name
@@ -1050,6 +9279,46 @@ class EcoTrackApp {
             this.modules.counterAnimator.stopAll();
         }
 
+        // Detach views from the activity log and budget
+        ['activityHistory', 'heroDashboard', 'emissionsCharts', 'budgetPanel', 'recommendationsPanel', 'scenarioPanel', 'authModal', 'featureGate', 'planSelector',
+            'carbonCalculator', 'contentGenerator', 'localeSwitcher', 'typingAnimation'].forEach(name => {
+            const module = this.modules[name];
+            if (!module) return;
+            if (module.unsubscribe) module.unsubscribe();
+            if (module.unsubscribeBudget) module.unsubscribeBudget();
+            if (module.unsubscribeOffsets) module.unsubscribeOffsets();
+            if (module.unsubscribeLocale) module.unsubscribeLocale();
+            if (module.unsubscribeMotion) module.unsubscribeMotion();
+        });
+
+        if (this.modules.syncService) {
+            this.modules.syncService.destroy();
+        }
+        if (this.modules.teamPanel) {
+            this.modules.teamPanel.destroy();
+        }
+        if (this.modules.offsetPanel) {
+            this.modules.offsetPanel.destroy();
+        }
+        if (this.modules.recurringPanel) {
+            this.modules.recurringPanel.destroy();
+        }
+        if (this.modules.offlineApp) {
+            this.modules.offlineApp.destroy();
+        }
+        if (this.unsubscribePlan) {
+            this.unsubscribePlan();
+        }
+        if (this.unsubscribeAuth) {
+            this.unsubscribeAuth();
+        }
+        if (this.modules.entitlements?.unsubscribeAuth) {
+            this.modules.entitlements.unsubscribeAuth();
+        }
+        if (this.modules.carbonCalculator?.unsubscribeEntitlements) {
+            this.modules.carbonCalculator.unsubscribeEntitlements();
+        }
+
         // Disconnect scroll observer
         if (this.modules.scrollAnimator && this.modules.scrollAnimator.observer) {
             this.modules.scrollAnimator.observer.disconnect();
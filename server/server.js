@@ -0,0 +1,672 @@
+/**
+ * ========================================
+ * EcoTrack - Reference API Server
+ * Serves the frontend and implements /api/v1 for local development.
+ * Node built-ins only: run with `node server/server.js`
+ * ========================================
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+    TRANSPORT_MODES,
+    VEHICLE_SIZE_LABELS,
+    VEHICLE_FUEL_FACTORS,
+    FUEL_FACTORS,
+    FOOD_GROUPS,
+    FOOD_CATALOGUE,
+    FOOD_SOURCE,
+    SPEND_FACTORS,
+    SPEND_FACTOR_SOURCE,
+    CURRENCY_RATES,
+    GRID_INTENSITY
+} = require('../emission-factors.js');
+
+// ============================
+// SERVER CONFIGURATION
+// ============================
+
+const SERVER_CONFIG = {
+    version: '1.0.0',
+    port: Number(process.env.PORT) || 3000,
+    apiPrefix: '/api/v1',
+    publicDir: path.resolve(__dirname, '..'),
+    dataFile: process.env.ECOTRACK_DATA || path.join(__dirname, 'data', 'db.json'),
+    maxBodyBytes: 1024 * 1024,
+    categories: ['transport', 'energy', 'food', 'shopping'],
+    mimeTypes: {
+        '.html': 'text/html; charset=utf-8',
+        '.js': 'text/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.json': 'application/json; charset=utf-8',
+        '.webmanifest': 'application/manifest+json',
+        '.svg': 'image/svg+xml',
+        '.png': 'image/png',
+        '.ico': 'image/x-icon',
+        '.yaml': 'application/yaml; charset=utf-8'
+    }
+};
+
+// ============================
+// ERRORS
+// ============================
+
+/**
+ * Error carrying the HTTP status and optional payload to send back
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @param {Object} extra - Extra response fields (e.g. the current activity on 409)
+     */
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+/**
+ * Handler result that needs a status other than 200, or a file
+ */
+class Reply {
+    /**
+     * @param {number} status - HTTP status
+     * @param {Object} body - JSON body
+     * @param {string|null} file - File to stream instead of JSON
+     */
+    constructor(status, body = null, file = null) {
+        this.status = status;
+        this.body = body;
+        this.file = file;
+    }
+}
+
+// ============================
+// FILE STORE
+// ============================
+
+/**
+ * Object without a prototype, for maps keyed by client-supplied ids: an id
+ * like "__proto__" or "constructor" is then just another key
+ * @param {Object} entries - Initial entries
+ * @returns {Object} - Null-prototype copy
+ */
+function dictionary(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+/**
+ * JSON file store with one bucket per user. Writes are serialised and atomic
+ * (temp file + rename), so a crash never leaves a half-written database.
+ */
+class FileStore {
+    /**
+     * @param {string} file - Path to the JSON database
+     */
+    constructor(file) {
+        this.file = file;
+        this.data = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Empty per-user bucket. `revision` counts every activity write and
+     * `changes` records the revision at which each id last changed, so
+     * clients can pull by the server's order of writes rather than their clocks.
+     * @returns {Object} - { activities, tombstones, preferences, revision, changes }
+     */
+    static empty() {
+        return { activities: dictionary(), tombstones: dictionary(), preferences: {}, revision: 0, changes: dictionary() };
+    }
+
+    /**
+     * Bring a bucket read from disk into the current shape
+     * @param {Object} bucket - Stored bucket
+     * @returns {Object} - Bucket with null-prototype id maps
+     */
+    static normalize(bucket) {
+        // Buckets written before change tracking start at revision 0
+        const data = { ...FileStore.empty(), ...bucket };
+        ['activities', 'tombstones', 'changes'].forEach(key => {
+            data[key] = dictionary(data[key]);
+        });
+        return data;
+    }
+
+    /**
+     * Read the database file, creating it on first run
+     * @returns {Object} - { users: { [scope]: bucket } }
+     */
+    read() {
+        if (this.data) return this.data;
+
+        try {
+            this.data = { users: {}, ...JSON.parse(fs.readFileSync(this.file, 'utf8')) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read ${this.file}: ${error.message}`);
+            }
+            this.data = { users: {} };
+        }
+        // Scopes come from an unauthenticated header, so "__proto__" must be a plain key
+        const users = dictionary();
+        Object.keys(this.data.users).forEach(scope => {
+            users[scope] = FileStore.normalize(this.data.users[scope]);
+        });
+        this.data.users = users;
+        return this.data;
+    }
+
+    /**
+     * A user's bucket
+     * @param {string} scope - User id ('guest' when signed out)
+     * @returns {Object} - { activities, tombstones, preferences }
+     */
+    load(scope) {
+        const users = this.read().users;
+        if (!users[scope]) users[scope] = FileStore.empty();
+        return users[scope];
+    }
+
+    /**
+     * Apply a change to a user's bucket and persist it
+     * @param {string} scope - User id
+     * @param {Function} mutate - Receives the bucket and returns the response value
+     * @returns {Promise<*>} - Whatever mutate returned
+     */
+    write(scope, mutate) {
+        const run = this.queue.then(async () => {
+            const result = mutate(this.load(scope));
+            const temp = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.writeFile(temp, JSON.stringify(this.data, null, 2));
+            await fs.promises.rename(temp, this.file);
+            return result;
+        });
+        // Keep the chain alive after a failed write
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+// ============================
+// VALIDATION & AGGREGATES
+// ============================
+
+/**
+ * Check an activity body and keep only known fields
+ * @param {Object} body - Request body
+ * @returns {Object} - Clean activity
+ * @throws {HttpError} - 400 for invalid input
+ */
+function validateActivity(body) {
+    if (!body || typeof body !== 'object') {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    if (typeof body.id !== 'string' || !body.id || body.id.length > 100) {
+        throw new HttpError(400, 'id must be a non-empty string');
+    }
+    if (!SERVER_CONFIG.categories.includes(body.type)) {
+        throw new HttpError(400, `type must be one of ${SERVER_CONFIG.categories.join(', ')}`);
+    }
+    if (!Number.isFinite(body.amount) || body.amount <= 0) {
+        throw new HttpError(400, 'amount must be a positive number');
+    }
+    if (!Number.isFinite(body.co2e) || body.co2e < 0) {
+        throw new HttpError(400, 'co2e must be a non-negative number');
+    }
+    if (Number.isNaN(Date.parse(body.timestamp))) {
+        throw new HttpError(400, 'timestamp must be an ISO date');
+    }
+
+    const fields = ['id', 'timestamp', 'type', 'amount', 'unit', 'details', 'baseAmount', 'baseUnit',
+        'factor', 'factorLabel', 'factorSource', 'factorYear', 'co2e', 'source', 'updatedAt'];
+    const activity = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) activity[field] = body[field];
+    });
+    activity.details = activity.details && typeof activity.details === 'object' ? activity.details : {};
+    activity.updatedAt = Number.isNaN(Date.parse(activity.updatedAt)) ? new Date().toISOString() : activity.updatedAt;
+    return activity;
+}
+
+/**
+ * Local YYYY-MM-DD key for a timestamp
+ * @param {string} timestamp - ISO date
+ * @returns {string} - Date key
+ */
+function toDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Record that an activity was written or deleted
+ * @param {Object} data - User bucket
+ * @param {string} id - Activity id
+ */
+function recordChange(data, id) {
+    data.revision += 1;
+    data.changes[id] = data.revision;
+}
+
+/**
+ * Parse the `since` change cursor
+ * @param {string|undefined} value - Query value
+ * @returns {number|null} - Revision, null when absent
+ * @throws {HttpError} - 400 for anything but a non-negative integer
+ */
+function parseCursor(value) {
+    if (value === undefined || value === '') return null;
+    if (!/^\d+$/.test(value)) throw new HttpError(400, 'since must be a change cursor returned by GET /activities');
+    return Number(value);
+}
+
+/**
+ * Filter activities by date range, category and change cursor
+ * @param {Object[]} activities - All activities
+ * @param {Object} query - { from, to, type }
+ * @param {Function} changedSince - Optional id => boolean test for the `since` cursor
+ * @returns {Object[]} - Matches, newest first
+ */
+function filterActivities(activities, { from, to, type }, changedSince = null) {
+    return activities
+        .filter(activity => {
+            const key = toDateKey(activity.timestamp);
+            if (from && key < from) return false;
+            if (to && key > to) return false;
+            if (type && activity.type !== type) return false;
+            if (changedSince && !changedSince(activity.id)) return false;
+            return true;
+        })
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Daily or monthly totals by category
+ * @param {Object[]} activities - Activities to aggregate
+ * @param {string} period - 'daily' or 'monthly'
+ * @returns {Object} - { period, buckets: [{ key, total, byCategory }], total }
+ */
+function summarize(activities, period) {
+    const buckets = new Map();
+    activities.forEach(activity => {
+        const dayKey = toDateKey(activity.timestamp);
+        const key = period === 'monthly' ? dayKey.slice(0, 7) : dayKey;
+        if (!buckets.has(key)) {
+            buckets.set(key, { key, total: 0, byCategory: Object.fromEntries(SERVER_CONFIG.categories.map(type => [type, 0])) });
+        }
+        const bucket = buckets.get(key);
+        const co2e = Number(activity.co2e) || 0;
+        bucket.total += co2e;
+        bucket.byCategory[activity.type] = (bucket.byCategory[activity.type] || 0) + co2e;
+    });
+
+    const list = [...buckets.values()].sort((a, b) => a.key.localeCompare(b.key));
+    return {
+        period,
+        buckets: list,
+        total: list.reduce((sum, bucket) => sum + bucket.total, 0)
+    };
+}
+
+/**
+ * Look up a table entry by a client-supplied key, ignoring inherited
+ * properties such as "constructor" or "toString"
+ * @param {Object|undefined} table - Lookup table
+ * @param {string} key - Key
+ * @returns {*} - Entry, or undefined
+ */
+function ownEntry(table, key) {
+    return table && Object.hasOwn(table, key) ? table[key] : undefined;
+}
+
+/**
+ * Factor catalogue, optionally for one category or grid region
+ * @param {Object} query - { type, region }
+ * @returns {Object} - Factor tables
+ * @throws {HttpError} - 404 for unknown categories or regions
+ */
+function lookupFactors({ type, region }) {
+    if (region) {
+        const [country] = region.split('-');
+        const grid = ownEntry(ownEntry(GRID_INTENSITY, country)?.regions, region) || ownEntry(GRID_INTENSITY, region);
+        if (!grid) throw new HttpError(404, `Unknown electricity grid region: ${region}`);
+        const { regions, ...factor } = grid;
+        return { region, ...factor };
+    }
+
+    const catalogue = {
+        transport: { modes: TRANSPORT_MODES, vehicleSizes: VEHICLE_SIZE_LABELS, fuels: VEHICLE_FUEL_FACTORS },
+        energy: { grid: GRID_INTENSITY, fuels: FUEL_FACTORS },
+        food: { groups: FOOD_GROUPS, items: FOOD_CATALOGUE, ...FOOD_SOURCE },
+        shopping: { categories: SPEND_FACTORS, ...SPEND_FACTOR_SOURCE, currencies: CURRENCY_RATES }
+    };
+    if (!type) return catalogue;
+    if (!ownEntry(catalogue, type)) throw new HttpError(404, `Unknown activity type: ${type}`);
+    return { [type]: catalogue[type] };
+}
+
+// ============================
+// API ROUTES
+// ============================
+
+/**
+ * Build the route table
+ * @param {FileStore} store - Database
+ * @returns {Array<Object>} - [{ method, pattern, handler(params, query, body, scope) }] where handlers return a body or a Reply
+ */
+function createRoutes(store) {
+    return [
+        {
+            method: 'GET',
+            pattern: /^\/health$/,
+            handler: () => ({ status: 'ok', version: SERVER_CONFIG.version })
+        },
+        {
+            method: 'GET',
+            pattern: /^\/openapi\.yaml$/,
+            handler: () => new Reply(200, null, path.join(__dirname, 'openapi.yaml'))
+        },
+        {
+            method: 'GET',
+            pattern: /^\/activities$/,
+            handler: (params, query, body, scope) => {
+                const data = store.load(scope);
+                const since = parseCursor(query.since);
+                // Writes are stamped with the server's revision counter, so an edit made
+                // offline long ago still shows up for clients that synced in between
+                const changedSince = since === null ? null : id => (data.changes[id] || 0) > since;
+                // A full listing carries every tombstone, so a new device doesn't re-create deleted ids
+                const deleted = changedSince ? Object.keys(data.tombstones).filter(changedSince) : Object.keys(data.tombstones);
+                return {
+                    activities: filterActivities(Object.values(data.activities), query, changedSince),
+                    deleted,
+                    cursor: data.revision
+                };
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/activities\/([^/]+)$/,
+            handler: ([id], query, body, scope) => {
+                const activity = store.load(scope).activities[id];
+                if (!activity) throw new HttpError(404, `Activity not found: ${id}`);
+                return { activity };
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/activities$/,
+            handler: async (params, query, body, scope) => {
+                const activity = validateActivity(body);
+                return store.write(scope, data => {
+                    const existing = data.activities[activity.id];
+                    if (existing) {
+                        throw new HttpError(409, `Activity already exists: ${activity.id}`, { activity: existing });
+                    }
+                    data.activities[activity.id] = activity;
+                    delete data.tombstones[activity.id];
+                    recordChange(data, activity.id);
+                    return new Reply(201, { activity });
+                });
+            }
+        },
+        {
+            method: 'PUT',
+            pattern: /^\/activities\/([^/]+)$/,
+            handler: async ([id], query, body, scope) => {
+                const activity = validateActivity({ ...body, id });
+                return store.write(scope, data => {
+                    const existing = data.activities[id];
+                    // Optimistic concurrency: the edit must start from the stored version
+                    if (existing && body.baseUpdatedAt !== undefined && body.baseUpdatedAt !== existing.updatedAt) {
+                        throw new HttpError(409, 'Activity was changed elsewhere', { activity: existing });
+                    }
+                    data.activities[id] = activity;
+                    delete data.tombstones[id];
+                    recordChange(data, id);
+                    return new Reply(existing ? 200 : 201, { activity });
+                });
+            }
+        },
+        {
+            method: 'DELETE',
+            pattern: /^\/activities\/([^/]+)$/,
+            handler: ([id], query, body, scope) => store.write(scope, data => {
+                if (!data.activities[id]) throw new HttpError(404, `Activity not found: ${id}`);
+                delete data.activities[id];
+                data.tombstones[id] = new Date().toISOString();
+                recordChange(data, id);
+                return new Reply(204);
+            })
+        },
+        {
+            method: 'GET',
+            pattern: /^\/summary$/,
+            handler: (params, query, body, scope) => {
+                const period = query.period || 'daily';
+                if (!['daily', 'monthly'].includes(period)) {
+                    throw new HttpError(400, 'period must be daily or monthly');
+                }
+                return summarize(filterActivities(Object.values(store.load(scope).activities), query), period);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/factors$/,
+            handler: (params, query) => lookupFactors(query)
+        },
+        {
+            method: 'GET',
+            pattern: /^\/preferences$/,
+            handler: (params, query, body, scope) => ({ preferences: store.load(scope).preferences })
+        },
+        {
+            method: 'PATCH',
+            pattern: /^\/preferences$/,
+            handler: (params, query, body, scope) => {
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new HttpError(400, 'Request body must be a JSON object');
+                }
+                return store.write(scope, data => {
+                    data.preferences = { ...data.preferences, ...body };
+                    return { preferences: data.preferences };
+                });
+            }
+        }
+    ];
+}
+
+// ============================
+// HTTP HANDLING
+// ============================
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body, omitted for 204
+ */
+function sendJson(res, status, body) {
+    if (status === 204) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': SERVER_CONFIG.mimeTypes['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Stream a file with its content type
+ * @param {http.ServerResponse} res - Response
+ * @param {string} file - Absolute path
+ */
+function sendFile(res, file) {
+    fs.stat(file, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': SERVER_CONFIG.mimeTypes[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Cache-Control': 'no-cache'
+        });
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object|undefined>} - Parsed body, undefined when empty
+ * @throws {HttpError} - 413 for oversized bodies, 400 for invalid JSON
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > SERVER_CONFIG.maxBodyBytes) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Decode a percent-encoded path or path segment
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value
+ * @throws {HttpError} - 400 for malformed escapes such as "%E0%A4%A"
+ */
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL encoding');
+    }
+}
+
+/**
+ * Parse the request target
+ * @param {string} target - req.url
+ * @returns {URL} - Parsed URL
+ * @throws {HttpError} - 400 for targets that aren't a valid URL, such as "//:99999/x"
+ */
+function parseRequestUrl(target) {
+    try {
+        return new URL(target, 'http://localhost');
+    } catch (error) {
+        throw new HttpError(400, 'Malformed request URL');
+    }
+}
+
+/**
+ * Serve a frontend file, never anything outside the public directory,
+ * the server folder or dotfiles
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - URL path
+ * @throws {HttpError} - 400 for malformed paths
+ */
+function serveStatic(res, pathname) {
+    const relative = decodePath(pathname === '/' ? '/index.html' : pathname);
+    const file = path.resolve(SERVER_CONFIG.publicDir, `.${relative}`);
+    const inside = file.startsWith(SERVER_CONFIG.publicDir + path.sep);
+    const hidden = path.relative(SERVER_CONFIG.publicDir, file).split(path.sep).some(part => part.startsWith('.') || part === 'server');
+
+    if (!inside || hidden || !SERVER_CONFIG.mimeTypes[path.extname(file)]) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    sendFile(res, file);
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - { dataFile }
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createServer(options = {}) {
+    const store = new FileStore(options.dataFile || SERVER_CONFIG.dataFile);
+    const routes = createRoutes(store);
+
+    return http.createServer(async (req, res) => {
+        try {
+            const url = parseRequestUrl(req.url);
+            const routePath = url.pathname.slice(SERVER_CONFIG.apiPrefix.length);
+            if (!url.pathname.startsWith(`${SERVER_CONFIG.apiPrefix}/`)) {
+                if (req.method !== 'GET' && req.method !== 'HEAD') {
+                    throw new HttpError(405, 'Method not allowed');
+                }
+                serveStatic(res, url.pathname);
+                return;
+            }
+
+            const matches = routes.filter(route => route.pattern.test(routePath));
+            const route = matches.find(candidate => candidate.method === req.method);
+            if (!route) {
+                throw matches.length ? new HttpError(405, 'Method not allowed') : new HttpError(404, 'Not found');
+            }
+
+            const params = routePath.match(route.pattern).slice(1).map(decodePath);
+            const query = Object.fromEntries(url.searchParams);
+            const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : undefined;
+            // Development identity from the local auth provider; put real token checks here
+            const scope = String(req.headers['x-ecotrack-user'] || 'guest').slice(0, 100);
+            const result = await route.handler(params, query, body, scope);
+
+            if (result instanceof Reply && result.file) {
+                sendFile(res, result.file);
+            } else if (result instanceof Reply) {
+                sendJson(res, result.status, result.body);
+            } else {
+                sendJson(res, 200, result);
+            }
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`${req.method} ${req.url} failed:`, error);
+            }
+            const status = error instanceof HttpError ? error.status : 500;
+            sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message, ...error.extra });
+        }
+    });
+}
+
+// ============================
+// SERVER STARTUP
+// ============================
+
+if (require.main === module) {
+    createServer().listen(SERVER_CONFIG.port, () => {
+        console.log(`🌱 EcoTrack running at http://localhost:${SERVER_CONFIG.port}`);
+        console.log(`   API: http://localhost:${SERVER_CONFIG.port}${SERVER_CONFIG.apiPrefix} (data in ${SERVER_CONFIG.dataFile})`);
+    });
+}
+
+module.exports = { createServer, FileStore, summarize, validateActivity };
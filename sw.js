@@ -0,0 +1,262 @@
+/**
+ * ========================================
+ * EcoTrack - Service Worker
+ * Precaches the app shell so logging and history work offline
+ * ========================================
+ */
+
+// ============================
+// CACHE CONFIGURATION
+// ============================
+
+// Bump when the worker itself changes. Releases that only touch the app
+// files are picked up by revalidateShell() without a bump.
+const CACHE_VERSION = '1.1.0';
+const CACHE_PREFIX = 'ecotrack-';
+// Each download of the app files gets its own cache, named SHELL_PREFIX plus
+// a timestamp; an entry in the meta cache points at the current one
+const SHELL_PREFIX = `${CACHE_PREFIX}precache-${CACHE_VERSION}-`;
+const META_CACHE_NAME = `${CACHE_PREFIX}meta`;
+const CURRENT_SHELL_KEY = `current-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'emission-factors.js',
+    'locales.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+// Requests the app makes to its own API; the page queues writes while
+// offline (SyncQueue), so these always go to the network
+const API_PATH = '/api/';
+
+// Minimum time between background checks of the app shell
+const REVALIDATE_INTERVAL = 5 * 60 * 1000;
+let lastRevalidated = 0;
+
+// Shell cache each open page was loaded from, by client id, so a page keeps
+// getting its files from one release after a newer one is cached
+const pinnedShells = new Map();
+
+// ============================
+// LIFECYCLE
+// ============================
+
+self.addEventListener('install', (event) => {
+    // The new version waits until the page accepts the update prompt
+    event.waitUntil(downloadShell().then(stageShell));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(`${CACHE_PREFIX}precache-`) && !name.startsWith(SHELL_PREFIX))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (event.data && event.data.type === 'CHECK_SHELL') {
+        event.waitUntil(revalidateShell());
+    }
+});
+
+// ============================
+// SHELL REVALIDATION
+// ============================
+
+/**
+ * Whether two responses have the same body
+ * @param {Response} a - Response
+ * @param {Response} b - Response
+ * @returns {Promise<boolean>} - True when byte-for-byte equal
+ */
+async function sameBody(a, b) {
+    const [left, right] = await Promise.all([a.clone().arrayBuffer(), b.clone().arrayBuffer()]);
+    if (left.byteLength !== right.byteLength) return false;
+    const x = new Uint8Array(left);
+    const y = new Uint8Array(right);
+    return x.every((byte, index) => byte === y[index]);
+}
+
+/**
+ * Name of the shell cache new page loads are served from
+ * @returns {Promise<string|null>} - Cache name, or null before the first install
+ */
+async function currentShell() {
+    const meta = await caches.open(META_CACHE_NAME);
+    const pointer = await meta.match(CURRENT_SHELL_KEY);
+    return pointer ? pointer.text() : null;
+}
+
+/**
+ * Fetch every shell file past the HTTP cache
+ * @returns {Promise<Response[]>} - Responses in PRECACHE_URLS order
+ * @throws {Error} - When any file is missing
+ */
+async function downloadShell() {
+    const responses = await Promise.all(PRECACHE_URLS.map(url => fetch(url, { cache: 'no-cache' })));
+    const failed = responses.findIndex(response => !response.ok);
+    if (failed >= 0) throw new Error(`Could not download ${PRECACHE_URLS[failed]}`);
+    return responses;
+}
+
+/**
+ * Write a downloaded shell into a cache of its own, then point new page
+ * loads at it. The pointer is one put, so a page load sees either the old
+ * set or the complete new one.
+ * @param {Response[]} responses - Responses in PRECACHE_URLS order
+ * @returns {Promise<string>} - Name of the new shell cache
+ */
+async function stageShell(responses) {
+    const name = `${SHELL_PREFIX}${Date.now()}`;
+    const cache = await caches.open(name);
+    try {
+        await Promise.all(responses.map((response, index) => cache.put(PRECACHE_URLS[index], response)));
+    } catch (error) {
+        await caches.delete(name);
+        throw error;
+    }
+
+    const meta = await caches.open(META_CACHE_NAME);
+    await meta.put(CURRENT_SHELL_KEY, new Response(name));
+    return name;
+}
+
+/**
+ * Delete shell caches that are neither current nor still used by an open page
+ * @param {string} current - Current shell cache
+ * @returns {Promise<void>}
+ */
+async function pruneShells(current) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    const open = new Set(clients.map(client => client.id));
+    [...pinnedShells.keys()].forEach(id => {
+        if (!open.has(id)) pinnedShells.delete(id);
+    });
+
+    const inUse = new Set([current, ...pinnedShells.values()]);
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(SHELL_PREFIX) && !inUse.has(name))
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Fetch the shell past the HTTP cache and, if any file changed, stage the
+ * whole set as a new shell and tell open pages an update is ready. Open pages
+ * keep their own shell until they reload, so none mixes two releases.
+ * @returns {Promise<boolean>} - True when a new release was cached
+ */
+async function revalidateShell() {
+    if (Date.now() - lastRevalidated < REVALIDATE_INTERVAL) return false;
+    lastRevalidated = Date.now();
+
+    try {
+        const previous = await currentShell();
+        const responses = await downloadShell();
+
+        const cache = previous && await caches.open(previous);
+        const unchanged = await Promise.all(responses.map(async (response, index) => {
+            const cached = cache && await cache.match(PRECACHE_URLS[index]);
+            return cached ? sameBody(cached, response) : false;
+        }));
+        if (unchanged.every(Boolean)) return false;
+
+        const current = await stageShell(responses);
+        await pruneShells(current);
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'SHELL_UPDATED' }));
+        return true;
+    } catch (error) {
+        // Offline or a flaky network: keep serving the cached release and try again next time
+        lastRevalidated = 0;
+        return false;
+    }
+}
+
+// ============================
+// FETCH STRATEGIES
+// ============================
+
+/**
+ * App shell: answer from the shell the requesting page was loaded from, so a
+ * release is always served as one consistent set of files
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} - Cached or network response
+ */
+async function fromPrecache(event) {
+    const pinned = pinnedShells.get(event.clientId);
+    const name = pinned && await caches.has(pinned) ? pinned : await currentShell();
+    const cached = name && await (await caches.open(name)).match(event.request, { ignoreSearch: true });
+    return cached || fetch(event.request);
+}
+
+/**
+ * Page loads: the current shell's index.html, whatever the URL or hash. The
+ * new page is pinned to that shell for its other files.
+ * @param {FetchEvent} event - Navigation fetch event
+ * @returns {Promise<Response>} - Page response
+ */
+async function navigate(event) {
+    const name = await currentShell();
+    const cached = name && await (await caches.open(name)).match('index.html');
+    if (!cached) return fetch(event.request);
+
+    if (event.resultingClientId) pinnedShells.set(event.resultingClientId, name);
+    return cached;
+}
+
+/**
+ * Anything else (e.g. the icon font CDN): serve the last copy straight
+ * away and refresh it in the background
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} - Cached or network response
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (sameOrigin && url.pathname.includes(API_PATH)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigate(event));
+        event.waitUntil(revalidateShell());
+    } else if (sameOrigin && PRECACHE_URLS.some(path => url.pathname.endsWith(`/${path}`))) {
+        event.respondWith(fromPrecache(event));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});